@@ -0,0 +1,395 @@
+// controllers/agentTillController.js
+// Money field agents collect, the cash they hand over to the cashier and the
+// shortfalls or excess found when it is counted.
+import mongoose from 'mongoose';
+import AgentHandover from '../models/AgentHandover.js';
+import InstallmentLoan from '../models/InstallmentLoan.js';
+import User from '../models/User.js';
+import { toDayKey } from '../utils/holidayCalendar.js';
+import { toLoanDate } from '../utils/installmentLoanService.js';
+import { getSystemDate } from '../utils/systemDate.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const findAgent = async (agentId) => {
+  if (!mongoose.Types.ObjectId.isValid(agentId)) return null;
+  return User.findOne({ _id: agentId, role: 'agent' }).select('name email').lean();
+};
+
+// Payments an agent collected, oldest first
+const agentPayments = (agentId, match = {}) =>
+  InstallmentLoan.aggregate([
+    { $match: { 'payments.agentId': agentId } },
+    { $unwind: '$payments' },
+    { $match: { 'payments.agentId': agentId, 'payments.status': 'Received', ...match } },
+    {
+      $project: {
+        _id: 0,
+        loanId: 1,
+        customerName: 1,
+        paymentId: '$payments.paymentId',
+        date: '$payments.date',
+        amount: '$payments.totalAmount',
+        paymentMethod: '$payments.paymentMethod',
+        handoverId: '$payments.handoverId'
+      }
+    },
+    { $sort: { date: 1 } }
+  ]);
+
+const splitByMethod = (payments) => ({
+  cash: round2(payments.filter((p) => p.paymentMethod === 'Cash').reduce((sum, p) => sum + p.amount, 0)),
+  nonCash: round2(payments.filter((p) => p.paymentMethod !== 'Cash').reduce((sum, p) => sum + p.amount, 0))
+});
+
+// Get an agent's collections per day and the cash not yet handed over
+// (?from=&to= in DD/MM/YYYY or YYYY-MM-DD; default the business day)
+export const getAgentTill = async (req, res) => {
+  try {
+    const agent = await findAgent(req.params.agentId);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const today = await getSystemDate();
+    const from = req.query.from ? toLoanDate(req.query.from) : today;
+    const to = req.query.to ? toLoanDate(req.query.to) : from;
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const agentId = String(agent._id);
+    const [all, pending] = await Promise.all([agentPayments(agentId), agentPayments(agentId, { 'payments.handoverId': null })]);
+    const fromKey = toDayKey(from);
+    const toKey = toDayKey(to);
+
+    const days = new Map();
+    for (const payment of all) {
+      const day = toDayKey(payment.date);
+      if (day < fromKey || day > toKey) continue;
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push(payment);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        agent: { _id: agent._id, name: agent.name },
+        days: [...days.entries()].map(([date, payments]) => ({
+          date,
+          ...splitByMethod(payments),
+          total: round2(payments.reduce((sum, p) => sum + p.amount, 0)),
+          handedOver: payments.every((p) => p.handoverId),
+          payments
+        })),
+        notHandedOver: { ...splitByMethod(pending), payments: pending.length }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch agent till',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Record the cash an agent hands over. Covers every payment the agent has
+// collected and not handed over; the cashier enters what was counted.
+export const createHandover = async (req, res) => {
+  try {
+    const { receivedCash, notes = '' } = req.body;
+
+    if (receivedCash === undefined || isNaN(receivedCash) || receivedCash < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'receivedCash must be zero or more',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const agent = await findAgent(req.params.agentId);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Claim the payments for this handover before counting them, so a second
+    // submission running alongside this one cannot cover the same payments
+    const agentId = String(agent._id);
+    const handoverId = new mongoose.Types.ObjectId();
+    const unclaimed = { agentId, handoverId: null, status: 'Received' };
+    await InstallmentLoan.updateMany(
+      { payments: { $elemMatch: unclaimed } },
+      { $set: { 'payments.$[p].handoverId': handoverId } },
+      { arrayFilters: [{ 'p.agentId': agentId, 'p.handoverId': null, 'p.status': 'Received' }] }
+    );
+    const releaseClaim = () =>
+      InstallmentLoan.updateMany(
+        { 'payments.handoverId': handoverId },
+        { $set: { 'payments.$[p].handoverId': null } },
+        { arrayFilters: [{ 'p.handoverId': handoverId }] }
+      );
+
+    const pending = await agentPayments(agentId, { 'payments.handoverId': handoverId });
+    if (pending.length === 0 && Number(receivedCash) === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The agent has nothing to hand over',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { cash, nonCash } = splitByMethod(pending);
+    const variance = round2(Number(receivedCash) - cash);
+    let handover;
+    try {
+      handover = await AgentHandover.create({
+        _id: handoverId,
+        agentId,
+        agentName: agent.name,
+        handoverDate: await getSystemDate(),
+        expectedCash: cash,
+        receivedCash: round2(Number(receivedCash)),
+        variance,
+        outstandingVariance: variance,
+        status: variance === 0 ? 'Settled' : variance < 0 ? 'Short' : 'Excess',
+        nonCashCollected: nonCash,
+        paymentIds: pending.map((p) => p.paymentId),
+        receivedBy: req.user?.name || req.user?.id || 'system',
+        notes
+      });
+    } catch (error) {
+      await releaseClaim();
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message:
+        handover.status === 'Settled'
+          ? 'Handover settled'
+          : `Handover recorded with ${handover.status.toLowerCase()} of ₹${Math.abs(variance).toLocaleString()}`,
+      data: handover,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error recording handover:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record handover',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// List handovers (?agent=&status=&from=&to=)
+export const getHandovers = async (req, res) => {
+  try {
+    const { agent, status, from, to } = req.query;
+
+    const filter = {};
+    if (agent) filter.agentId = agent;
+    if (status) filter.status = status;
+    if (from || to) {
+      filter.handoverDate = {};
+      if (from) filter.handoverDate.$gte = toLoanDate(from);
+      if (to) {
+        const end = toLoanDate(to);
+        end.setHours(23, 59, 59, 999);
+        filter.handoverDate.$lte = end;
+      }
+    }
+
+    const handovers = await AgentHandover.find(filter).sort({ handoverDate: -1 }).lean();
+    res.json({
+      success: true,
+      data: handovers,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch handovers',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Settle all or part of a handover's shortfall or excess: money the agent
+// makes good, or excess paid back to them. Fully settled handovers leave the
+// unsettled report.
+export const settleHandoverVariance = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, paymentMethod = 'Cash', notes = '' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid handover ID',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const handover = await AgentHandover.findById(id);
+    if (!handover) {
+      return res.status(404).json({
+        success: false,
+        message: 'Handover not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const outstanding = handover.outstandingVariance ?? handover.variance;
+    if (handover.status === 'Settled' || outstanding === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Handover has no variance left to settle',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const settled = amount === undefined || amount === '' ? Math.abs(outstanding) : round2(Number(amount));
+    if (!(settled > 0) || settled > Math.abs(outstanding)) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount must be more than 0 and at most ₹${Math.abs(outstanding).toLocaleString()}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const remaining = round2(outstanding < 0 ? outstanding + settled : outstanding - settled);
+    // Only if no other settlement was saved since this one was read
+    const updated = await AgentHandover.findOneAndUpdate(
+      { _id: handover._id, status: handover.status, outstandingVariance: handover.outstandingVariance ?? null },
+      {
+        $set: { outstandingVariance: remaining, ...(remaining === 0 ? { status: 'Settled' } : {}) },
+        $push: {
+          recoveries: {
+            amount: settled,
+            date: await getSystemDate(),
+            paymentMethod,
+            receivedBy: req.user?.name || req.user?.id || 'system',
+            notes
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Handover was changed by another request; reload it and try again',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        remaining === 0
+          ? 'Handover variance settled'
+          : `₹${settled.toLocaleString()} settled, ₹${Math.abs(remaining).toLocaleString()} still ${outstanding < 0 ? 'short' : 'in excess'}`,
+      data: updated,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error settling handover variance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to settle handover variance',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Agents holding money not yet handed over, or with shortfalls or excess on
+// their handovers not yet settled
+export const getUnsettledBalances = async (req, res) => {
+  try {
+    const [held, variances] = await Promise.all([
+      InstallmentLoan.aggregate([
+        { $match: { 'payments.agentId': { $ne: null } } },
+        { $unwind: '$payments' },
+        { $match: { 'payments.agentId': { $ne: null }, 'payments.handoverId': null, 'payments.status': 'Received' } },
+        {
+          $group: {
+            _id: '$payments.agentId',
+            cash: { $sum: { $cond: [{ $eq: ['$payments.paymentMethod', 'Cash'] }, '$payments.totalAmount', 0] } },
+            nonCash: { $sum: { $cond: [{ $eq: ['$payments.paymentMethod', 'Cash'] }, 0, '$payments.totalAmount'] } },
+            payments: { $sum: 1 },
+            oldestPayment: { $min: '$payments.date' }
+          }
+        }
+      ]),
+      AgentHandover.aggregate([
+        { $match: { status: { $ne: 'Settled' } } },
+        {
+          $group: {
+            _id: '$agentId',
+            netVariance: { $sum: { $ifNull: ['$outstandingVariance', '$variance'] } },
+            handovers: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+
+    const agentIds = [...new Set([...held, ...variances].map((row) => row._id))];
+    const agents = await User.find({ _id: { $in: agentIds.filter((id) => mongoose.Types.ObjectId.isValid(id)) } })
+      .select('name')
+      .lean();
+
+    const report = agentIds
+      .map((agentId) => {
+        const holding = held.find((row) => row._id === agentId);
+        const variance = variances.find((row) => row._id === agentId);
+        const netVariance = round2(variance?.netVariance || 0);
+        return {
+          agentId,
+          agentName: agents.find((a) => String(a._id) === agentId)?.name || '',
+          cashNotHandedOver: round2(holding?.cash || 0),
+          nonCashNotHandedOver: round2(holding?.nonCash || 0),
+          paymentsNotHandedOver: holding?.payments || 0,
+          oldestPayment: holding?.oldestPayment || null,
+          netVariance, // negative: the agent is short
+          balanceDue: round2((holding?.cash || 0) - netVariance)
+        };
+      })
+      .filter((row) => row.cashNotHandedOver > 0 || row.nonCashNotHandedOver > 0 || row.netVariance !== 0)
+      .sort((a, b) => b.balanceDue - a.balanceDue);
+
+    res.json({
+      success: true,
+      data: report,
+      totals: {
+        cashNotHandedOver: round2(report.reduce((sum, r) => sum + r.cashNotHandedOver, 0)),
+        balanceDue: round2(report.reduce((sum, r) => sum + r.balanceDue, 0))
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build unsettled balance report',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,242 @@
+// controllers/auctionNoticeController.js
+import mongoose from "mongoose";
+import AuctionNotice, { NOTICE_STAGES } from "../models/AuctionNotice.js";
+import AuctionPolicy from "../models/AuctionPolicy.js";
+import AuctionTransfer from "../models/AuctionTransfer.js";
+import Voucher from "../models/Voucher.js";
+import { computeVoucherPayoff, loadInterestPolicy } from "../utils/interestCalculator.js";
+import { renderNoticeHtml } from "../utils/documents.js";
+import { getSystemDate } from "../utils/systemDate.js";
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * MS_PER_DAY);
+
+// Next notice a voucher is due for and the earliest date it may be issued
+const nextNoticeFor = (voucher, notices, policy) => {
+  const issued = new Set(notices.map((n) => n.stage));
+  const stage = NOTICE_STAGES.find((s) => !issued.has(s));
+  if (!stage) return { stage: null, earliestDate: null };
+
+  const previous = notices
+    .filter((n) => NOTICE_STAGES.indexOf(n.stage) === NOTICE_STAGES.indexOf(stage) - 1)
+    .pop();
+  const earliestDate = previous ? addDays(previous.issuedAt, policy.noticeGapDays) : voucher.dueDate;
+  return { stage, earliestDate };
+};
+
+// @desc    Get notices, optionally for one voucher or stage
+// @route   GET /api/auction-notices?voucherId=&stage=
+// @access  Private
+export const getAuctionNotices = async (req, res) => {
+  try {
+    const { voucherId, stage } = req.query;
+    const filter = {};
+    if (voucherId) {
+      if (!isValidObjectId(voucherId)) {
+        return res.status(400).json({ message: "Invalid voucher ID" });
+      }
+      filter.voucherId = voucherId;
+    }
+    if (stage) filter.stage = stage;
+
+    const notices = await AuctionNotice.find(filter).sort({ issuedAt: -1 });
+    res.json(notices);
+  } catch (err) {
+    console.error("❌ Error fetching auction notices:", err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Get overdue vouchers with the next notice each one needs
+// @route   GET /api/auction-notices/due
+// @access  Private
+export const getNoticesDue = async (req, res) => {
+  try {
+    const asOf = await getSystemDate();
+    const policy = await AuctionPolicy.current();
+
+    const vouchers = await Voucher.find({
+      status: { $in: ["Active", "Pending"] },
+      dueDate: { $lt: asOf },
+    })
+      .populate("customer", "customerId fullName phoneNumber address")
+      .sort({ dueDate: 1 });
+
+    const voucherIds = vouchers.map((v) => v._id);
+    const notices = await AuctionNotice.find({ voucherId: { $in: voucherIds } }).sort({ issuedAt: 1 });
+    const inAuction = new Set(
+      (
+        await AuctionTransfer.distinct("voucherId", {
+          voucherId: { $in: voucherIds },
+          status: { $in: AuctionTransfer.OPEN_STATUSES },
+        })
+      ).map(String)
+    );
+
+    const due = vouchers
+      .filter((voucher) => !inAuction.has(voucher._id.toString()))
+      .map((voucher) => {
+        const issued = notices.filter((n) => n.voucherId.toString() === voucher._id.toString());
+        const next = nextNoticeFor(voucher, issued, policy);
+        return {
+          voucherId: voucher._id,
+          billNo: voucher.billNo,
+          customer: voucher.customer,
+          dueDate: voucher.dueDate,
+          daysOverdue: Math.floor((asOf - voucher.dueDate) / MS_PER_DAY),
+          noticesIssued: issued.map((n) => ({ stage: n.stage, issuedAt: n.issuedAt })),
+          nextStage: next.stage,
+          nextNoticeFrom: next.earliestDate,
+          canIssueNow: Boolean(next.stage) && next.earliestDate <= asOf,
+        };
+      });
+
+    res.json({ asOf, noticeGapDays: policy.noticeGapDays, vouchers: due });
+  } catch (err) {
+    console.error("❌ Error fetching notices due:", err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Get a voucher's notices and whether it may now go to auction
+// @route   GET /api/auction-notices/voucher/:voucherId
+// @access  Private
+export const getVoucherNoticeStatus = async (req, res) => {
+  try {
+    const { voucherId } = req.params;
+    if (!isValidObjectId(voucherId)) {
+      return res.status(400).json({ message: "Invalid voucher ID" });
+    }
+
+    const voucher = await Voucher.findById(voucherId);
+    if (!voucher) {
+      return res.status(404).json({ message: "Voucher not found" });
+    }
+
+    const asOf = await getSystemDate();
+    const policy = await AuctionPolicy.current();
+    const requirements = await AuctionNotice.requirementsFor(voucher._id, asOf, policy);
+    const next = nextNoticeFor(voucher, requirements.notices, policy);
+
+    res.json({
+      voucherId: voucher._id,
+      billNo: voucher.billNo,
+      notices: requirements.notices,
+      nextStage: next.stage,
+      nextNoticeFrom: next.earliestDate,
+      requirementsMet: requirements.met,
+      auctionableFrom: requirements.auctionableFrom || null,
+      message: requirements.message || null,
+    });
+  } catch (err) {
+    console.error("❌ Error fetching voucher notice status:", err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Issue the next notice for an overdue voucher
+// @route   POST /api/auction-notices
+// @access  Private
+export const issueAuctionNotice = async (req, res) => {
+  try {
+    const { voucherId, stage, deliveryMethod, trackingReference } = req.body;
+    if (!isValidObjectId(voucherId)) {
+      return res.status(400).json({ message: "Invalid voucher ID" });
+    }
+
+    const voucher = await Voucher.findById(voucherId).populate(
+      "customer",
+      "customerId fullName phoneNumber address"
+    );
+    if (!voucher) {
+      return res.status(404).json({ message: "Voucher not found" });
+    }
+    if (!["Active", "Pending"].includes(voucher.status)) {
+      return res.status(400).json({ message: `Loan is already ${voucher.status.toLowerCase()}` });
+    }
+
+    const asOf = await getSystemDate();
+    if (voucher.dueDate >= asOf) {
+      return res.status(400).json({ message: "Notices can only be issued after the due date" });
+    }
+
+    const policy = await AuctionPolicy.current();
+    const issued = await AuctionNotice.find({ voucherId }).sort({ issuedAt: 1 });
+    const next = nextNoticeFor(voucher, issued, policy);
+    if (!next.stage) {
+      return res.status(400).json({ message: "All notices have already been issued for this voucher" });
+    }
+    if (stage && stage !== next.stage) {
+      return res.status(400).json({ message: `The next notice for this voucher is the ${next.stage} notice` });
+    }
+    if (next.earliestDate > asOf) {
+      return res.status(400).json({
+        message: `The ${next.stage} notice cannot be issued before ${next.earliestDate.toDateString()}`,
+        nextNoticeFrom: next.earliestDate,
+      });
+    }
+
+    const payoff = computeVoucherPayoff(voucher, asOf, await loadInterestPolicy());
+    const waitDays = next.stage === "final" ? policy.noticePeriodDays : policy.noticeGapDays;
+
+    const notice = await AuctionNotice.create({
+      voucherId: voucher._id,
+      billNo: voucher.billNo,
+      customer: {
+        fullName: voucher.customer?.fullName,
+        phoneNumber: voucher.customer?.phoneNumber,
+        customerId: voucher.customer?.customerId,
+        address: voucher.customer?.address,
+      },
+      stage: next.stage,
+      issuedAt: asOf,
+      issuedBy: req.user?.id || "system",
+      issuedByName: req.user?.name || req.body.issuedByName || "",
+      deliveryMethod,
+      trackingReference,
+      dueDate: voucher.dueDate,
+      daysOverdue: Math.floor((asOf - voucher.dueDate) / MS_PER_DAY),
+      principalOutstanding: payoff.principal,
+      interestDue: payoff.interestDue,
+      payoffAmount: payoff.payoffAmount,
+      jewelryItems: voucher.jewelryItems,
+      netWeight: voucher.netWeight,
+      respondBy: addDays(asOf, waitDays),
+    });
+
+    res.status(201).json(notice);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "This notice has already been issued" });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("❌ Error issuing auction notice:", err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Printable notice document
+// @route   GET /api/auction-notices/:id/print
+// @access  Private
+export const printAuctionNotice = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid notice ID" });
+    }
+
+    const notice = await AuctionNotice.findById(req.params.id);
+    if (!notice) {
+      return res.status(404).json({ message: "Notice not found" });
+    }
+
+    res.type("html").send(renderNoticeHtml(notice));
+  } catch (err) {
+    console.error("❌ Error printing auction notice:", err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
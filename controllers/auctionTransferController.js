@@ -1,11 +1,141 @@
 // controllers/auctionTransferController.js
-const AuctionTransfer = require('../models/AuctionTransfer');
-const Voucher = require('../models/Voucher');
+import mongoose from 'mongoose';
+import AuctionTransfer from '../models/AuctionTransfer.js';
+import AuctionLot from '../models/AuctionLot.js';
+import AuctionNotice from '../models/AuctionNotice.js';
+import AuctionPolicy from '../models/AuctionPolicy.js';
+import Voucher from '../models/Voucher.js';
+import { computeVoucherPayoff, loadInterestPolicy } from '../utils/interestCalculator.js';
+import { nextNumber } from '../utils/sequence.js';
+import { getSystemDate } from '../utils/systemDate.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * MS_PER_DAY);
+
+// Vouchers that can still be auctioned: open and past the due date plus grace days
+const isEligible = (voucher, asOf, policy) =>
+  ['Active', 'Pending'].includes(voucher.status) &&
+  addDays(voucher.dueDate, policy.graceDays) <= asOf;
+
+// What the customer owes and how much of it accrued after the due date
+const overdueSummary = (payoff) => {
+  const overdue = payoff.periods.filter((p) => p.overdue);
+  return {
+    principalOutstanding: payoff.principal,
+    totalOwedAmount: payoff.payoffAmount,
+    monthsOverdue: round2(overdue.reduce((sum, p) => sum + p.months, 0)),
+    additionalInterest: round2(overdue.reduce((sum, p) => sum + p.interest + p.penalInterest, 0)),
+  };
+};
+
+// Mark a lot completed once none of its transfers is waiting to be sold
+const completeLotIfDone = async (lotId) => {
+  const lot = await AuctionLot.findById(lotId);
+  if (!lot || lot.status !== 'Open') return;
+
+  const pending = await AuctionTransfer.countDocuments({ lot: lot._id, status: 'Listed' });
+  if (pending === 0) {
+    lot.status = 'Completed';
+    await lot.save();
+  }
+};
+
+// Get the auction policy
+export const getAuctionPolicy = async (req, res) => {
+  try {
+    res.json(await AuctionPolicy.current());
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Update the auction policy
+export const updateAuctionPolicy = async (req, res) => {
+  try {
+    const { graceDays, noticeGapDays, noticePeriodDays } = req.body;
+
+    for (const [field, value] of Object.entries({ graceDays, noticeGapDays, noticePeriodDays })) {
+      if (value !== undefined && (isNaN(value) || value < 0)) {
+        return res.status(400).json({ message: `${field} cannot be negative` });
+      }
+    }
+
+    const updates = { updatedBy: req.user?.id || 'system' };
+    if (graceDays !== undefined) updates.graceDays = parseInt(graceDays);
+    if (noticeGapDays !== undefined) updates.noticeGapDays = parseInt(noticeGapDays);
+    if (noticePeriodDays !== undefined) updates.noticePeriodDays = parseInt(noticePeriodDays);
+
+    let policy = await AuctionPolicy.findOne().sort({ createdAt: -1 });
+    if (policy) {
+      policy.set(updates);
+      await policy.save();
+    } else {
+      policy = await AuctionPolicy.create(updates);
+    }
+
+    res.json(policy);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Get overdue vouchers that can be taken to auction
+export const getEligibleVouchers = async (req, res) => {
+  try {
+    const asOf = await getSystemDate();
+    const policy = await AuctionPolicy.current();
+    const interestPolicy = await loadInterestPolicy();
+
+    const vouchers = await Voucher.find({
+      status: { $in: ['Active', 'Pending'] },
+      dueDate: { $lte: addDays(asOf, -policy.graceDays) },
+    })
+      .populate('customer', 'customerId fullName phoneNumber address')
+      .sort({ dueDate: 1 });
+
+    const inAuction = await AuctionTransfer.distinct('voucherId', {
+      voucherId: { $in: vouchers.map((v) => v._id) },
+      status: { $in: AuctionTransfer.OPEN_STATUSES },
+    });
+    const inAuctionIds = new Set(inAuction.map(String));
+
+    const eligible = vouchers
+      .filter((voucher) => !inAuctionIds.has(voucher._id.toString()))
+      .map((voucher) => {
+        const payoff = computeVoucherPayoff(voucher, asOf, interestPolicy);
+        return {
+          voucherId: voucher._id,
+          billNo: voucher.billNo,
+          customer: voucher.customer,
+          jewelType: voucher.jewelType,
+          netWeight: voucher.netWeight,
+          dueDate: voucher.dueDate,
+          daysOverdue: Math.floor((asOf - voucher.dueDate) / MS_PER_DAY),
+          ...overdueSummary(payoff),
+        };
+      });
+
+    res.json({ asOf, graceDays: policy.graceDays, vouchers: eligible });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
 
 // Get all auction transfers
-exports.getAuctionTransfers = async (req, res) => {
+export const getAuctionTransfers = async (req, res) => {
   try {
-    const transfers = await AuctionTransfer.find().sort({ transferDate: -1 });
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const transfers = await AuctionTransfer.find(filter)
+      .populate('lot', 'lotNo auctionDate status')
+      .sort({ transferDate: -1 });
     res.json(transfers);
   } catch (err) {
     console.error(err);
@@ -13,11 +143,72 @@ exports.getAuctionTransfers = async (req, res) => {
   }
 };
 
-// Create new auction transfer
-exports.createAuctionTransfer = async (req, res) => {
+// Take an eligible voucher into the auction process once its notices have run
+export const createAuctionTransfer = async (req, res) => {
   try {
-    const newTransfer = new AuctionTransfer(req.body);
-    const transfer = await newTransfer.save();
+    const { voucherId, notes } = req.body;
+    if (!isValidObjectId(voucherId)) {
+      return res.status(400).json({ message: 'Invalid voucher ID' });
+    }
+
+    const voucher = await Voucher.findById(voucherId).populate(
+      'customer',
+      'customerId fullName phoneNumber address'
+    );
+    if (!voucher) {
+      return res.status(404).json({ message: 'Voucher not found' });
+    }
+
+    const asOf = await getSystemDate();
+    const policy = await AuctionPolicy.current();
+    if (!isEligible(voucher, asOf, policy)) {
+      return res.status(400).json({
+        message: `Only open vouchers more than ${policy.graceDays} days past their due date can be auctioned`,
+      });
+    }
+
+    const existing = await AuctionTransfer.findOne({
+      voucherId,
+      status: { $in: AuctionTransfer.OPEN_STATUSES },
+    });
+    if (existing) {
+      return res.status(400).json({ message: 'Voucher is already in the auction process' });
+    }
+
+    // The borrower must have been sent every notice and given the waiting days
+    const notices = await AuctionNotice.requirementsFor(voucher._id, asOf, policy);
+    if (!notices.met) {
+      return res.status(400).json({
+        message: `Notice requirements not met: ${notices.message}`,
+        auctionableFrom: notices.auctionableFrom,
+      });
+    }
+
+    const payoff = computeVoucherPayoff(voucher, asOf, await loadInterestPolicy());
+
+    const transfer = await AuctionTransfer.create({
+      voucherId: voucher._id,
+      billNo: voucher.billNo,
+      customer: {
+        fullName: voucher.customer?.fullName,
+        phoneNumber: voucher.customer?.phoneNumber,
+        customerId: voucher.customer?.customerId,
+        address: voucher.customer?.address,
+      },
+      jewelType: voucher.jewelType,
+      netWeight: voucher.netWeight,
+      originalLoanAmount: voucher.finalLoanAmount,
+      ...overdueSummary(payoff),
+      transferDate: asOf,
+      transferredBy: req.user?.id || 'system',
+      status: 'Transferred to Auction',
+      jewelryItems: voucher.jewelryItems,
+      noticeDate: notices.finalNotice.issuedAt,
+      noticePeriodDays: policy.noticePeriodDays,
+      auctionableFrom: notices.auctionableFrom,
+      notes,
+    });
+
     res.status(201).json(transfer);
   } catch (err) {
     console.error(err);
@@ -26,9 +217,13 @@ exports.createAuctionTransfer = async (req, res) => {
 };
 
 // Get auction transfer by ID
-exports.getAuctionTransferById = async (req, res) => {
+export const getAuctionTransferById = async (req, res) => {
   try {
-    const transfer = await AuctionTransfer.findById(req.params.id);
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid transfer ID' });
+    }
+
+    const transfer = await AuctionTransfer.findById(req.params.id).populate('lot');
     if (!transfer) {
       return res.status(404).json({ message: 'Transfer not found' });
     }
@@ -39,18 +234,346 @@ exports.getAuctionTransferById = async (req, res) => {
   }
 };
 
-// Delete auction transfer
-exports.deleteAuctionTransfer = async (req, res) => {
+// Delete auction transfer (only before the jewels are sold)
+export const deleteAuctionTransfer = async (req, res) => {
   try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid transfer ID' });
+    }
+
     const transfer = await AuctionTransfer.findById(req.params.id);
     if (!transfer) {
       return res.status(404).json({ message: 'Transfer not found' });
     }
-    
-    await transfer.remove();
+    if (['Sold', 'Shortfall', 'Settled'].includes(transfer.status)) {
+      return res.status(400).json({ message: 'A sold transfer cannot be removed' });
+    }
+
+    if (transfer.lot) {
+      await AuctionLot.updateOne({ _id: transfer.lot }, { $pull: { transfers: transfer._id } });
+    }
+    await transfer.deleteOne();
     res.json({ message: 'Transfer removed' });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server Error' });
   }
-};
\ No newline at end of file
+};
+
+// Get all auction lots
+export const getAuctionLots = async (req, res) => {
+  try {
+    const lots = await AuctionLot.find()
+      .populate('transfers', 'billNo customer.fullName netWeight totalOwedAmount status')
+      .sort({ auctionDate: -1 });
+    res.json(lots);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Get auction lot by ID
+export const getAuctionLotById = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.lotId)) {
+      return res.status(400).json({ message: 'Invalid lot ID' });
+    }
+
+    const lot = await AuctionLot.findById(req.params.lotId).populate('transfers');
+    if (!lot) {
+      return res.status(404).json({ message: 'Lot not found' });
+    }
+    res.json(lot);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Create an auction lot from transfers whose notice period ends by the auction date
+export const createAuctionLot = async (req, res) => {
+  try {
+    const { auctionDate, transferIds, venue, auctioneer, notes } = req.body;
+
+    const date = new Date(auctionDate);
+    if (!auctionDate || isNaN(date.getTime())) {
+      return res.status(400).json({ message: 'A valid auction date is required' });
+    }
+    if (!Array.isArray(transferIds) || transferIds.length === 0) {
+      return res.status(400).json({ message: 'Select at least one transfer for the lot' });
+    }
+    if (!transferIds.every(isValidObjectId)) {
+      return res.status(400).json({ message: 'Invalid transfer ID' });
+    }
+
+    const transfers = await AuctionTransfer.find({ _id: { $in: transferIds } });
+    if (transfers.length !== new Set(transferIds.map(String)).size) {
+      return res.status(404).json({ message: 'One or more transfers were not found' });
+    }
+
+    for (const transfer of transfers) {
+      if (transfer.status !== 'Transferred to Auction') {
+        return res.status(400).json({ message: `Bill ${transfer.billNo} is ${transfer.status} and cannot be listed` });
+      }
+      if (!transfer.auctionableFrom || transfer.auctionableFrom > date) {
+        return res.status(400).json({
+          message: `Notice period for bill ${transfer.billNo} has not ended by the auction date`,
+          auctionableFrom: transfer.auctionableFrom,
+        });
+      }
+    }
+
+    const lot = await AuctionLot.create({
+      lotNo: await nextNumber('lotNo', { date }),
+      auctionDate: date,
+      venue,
+      auctioneer,
+      notes,
+      transfers: transfers.map((t) => t._id),
+      createdBy: req.user?.id || 'system',
+    });
+
+    await AuctionTransfer.updateMany(
+      { _id: { $in: lot.transfers } },
+      { $set: { status: 'Listed', lot: lot._id } }
+    );
+
+    res.status(201).json(lot);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Record a bid for one transfer in a lot
+export const recordBid = async (req, res) => {
+  try {
+    const { lotId } = req.params;
+    const { transferId, bidderName, bidderPhone } = req.body;
+    const amount = parseFloat(req.body.amount);
+
+    if (!isValidObjectId(lotId) || !isValidObjectId(transferId)) {
+      return res.status(400).json({ message: 'Invalid lot or transfer ID' });
+    }
+    if (!bidderName || !(amount > 0)) {
+      return res.status(400).json({ message: 'Bidder name and a bid amount greater than zero are required' });
+    }
+
+    const lot = await AuctionLot.findById(lotId);
+    if (!lot) {
+      return res.status(404).json({ message: 'Lot not found' });
+    }
+    if (lot.status !== 'Open') {
+      return res.status(400).json({ message: `Lot is ${lot.status}` });
+    }
+    if (!lot.transfers.some((id) => id.toString() === transferId)) {
+      return res.status(400).json({ message: 'Transfer is not part of this lot' });
+    }
+
+    const transfer = await AuctionTransfer.findById(transferId);
+    if (!transfer || transfer.status !== 'Listed') {
+      return res.status(400).json({ message: 'Transfer is no longer open for bids' });
+    }
+
+    const now = await getSystemDate();
+    if (now < new Date(lot.auctionDate).setHours(0, 0, 0, 0)) {
+      return res.status(400).json({ message: 'Bids can only be recorded from the auction date' });
+    }
+
+    const best = lot.highestBid(transferId);
+    if (best && amount <= best.amount) {
+      return res.status(400).json({ message: `Bid must be higher than the current highest bid of ₹${best.amount}` });
+    }
+
+    lot.bids.push({
+      transfer: transferId,
+      bidderName,
+      bidderPhone,
+      amount,
+      bidAt: now,
+      recordedBy: req.user?.id || 'system',
+    });
+    await lot.save();
+
+    res.status(201).json(lot);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Record the sale of a listed transfer and settle it against what is owed
+export const recordSale = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid transfer ID' });
+    }
+
+    const transfer = await AuctionTransfer.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+    if (transfer.status !== 'Listed') {
+      return res.status(400).json({ message: 'Only transfers listed in an auction lot can be sold' });
+    }
+
+    const lot = await AuctionLot.findById(transfer.lot);
+    const voucher = await Voucher.findById(transfer.voucherId);
+    if (!lot || !voucher) {
+      return res.status(404).json({ message: 'Auction lot or voucher not found' });
+    }
+    if (!['Active', 'Pending'].includes(voucher.status) || voucher.renewedTo) {
+      return res.status(400).json({ message: `Voucher is ${voucher.status.toLowerCase()} and cannot be sold` });
+    }
+
+    // The highest bid wins unless the sale is keyed in directly
+    const best = lot.highestBid(transfer._id);
+    const salePrice = req.body.salePrice !== undefined ? parseFloat(req.body.salePrice) : best?.amount;
+    if (!(salePrice > 0)) {
+      return res.status(400).json({ message: 'No bids recorded; enter the sale price' });
+    }
+
+    const auctionExpenses = parseFloat(req.body.auctionExpenses || 0);
+    if (isNaN(auctionExpenses) || auctionExpenses < 0) {
+      return res.status(400).json({ message: 'Auction expenses cannot be negative' });
+    }
+
+    const saleDate = req.body.saleDate ? new Date(req.body.saleDate) : await getSystemDate();
+    if (isNaN(saleDate.getTime()) || saleDate < new Date(lot.auctionDate).setHours(0, 0, 0, 0)) {
+      return res.status(400).json({ message: 'Sale date cannot be before the auction date' });
+    }
+
+    const payoff = computeVoucherPayoff(voucher, saleDate, await loadInterestPolicy());
+    const netProceeds = round2(salePrice - auctionExpenses);
+    const owed = payoff.payoffAmount;
+
+    // Proceeds clear interest first, then principal
+    const recovered = Math.min(Math.max(0, netProceeds), owed);
+    const interestRecovered = Math.min(payoff.interestDue, recovered);
+
+    transfer.set({
+      saleDate,
+      salePrice,
+      buyerName: req.body.buyerName || best?.bidderName,
+      buyerPhone: req.body.buyerPhone || best?.bidderPhone,
+      auctionExpenses,
+      owedAtSale: owed,
+      surplus: round2(Math.max(0, netProceeds - owed)),
+      shortfall: round2(Math.max(0, owed - netProceeds)),
+    });
+    transfer.status = transfer.surplus > 0 ? 'Sold' : transfer.shortfall > 0 ? 'Shortfall' : 'Settled';
+    await transfer.save();
+
+    // Principal the proceeds did not cover stays owed on the voucher
+    voucher.status = 'Auctioned';
+    voucher.closedDate = saleDate;
+    voucher.monthsPaid = payoff.months;
+    voucher.totalInterestPaid = round2(payoff.interestPaid + interestRecovered);
+    voucher.finalAmountPaid = round2(recovered);
+    voucher.outstandingPrincipal = round2(Math.max(0, payoff.principal - (recovered - interestRecovered)));
+    await voucher.save();
+
+    await completeLotIfDone(lot._id);
+
+    res.json(transfer);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Pay the surplus from a sale back to the customer
+export const refundSurplus = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid transfer ID' });
+    }
+
+    const transfer = await AuctionTransfer.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+    if (transfer.status !== 'Sold' || !(transfer.surplus > 0)) {
+      return res.status(400).json({ message: 'There is no surplus waiting to be refunded' });
+    }
+
+    const date = req.body.date ? new Date(req.body.date) : await getSystemDate();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ message: 'Invalid refund date' });
+    }
+
+    transfer.refund = {
+      amount: transfer.surplus,
+      date,
+      paymentMethod: req.body.paymentMethod || 'Cash',
+      reference: req.body.reference,
+      refundedBy: req.user?.id || 'system',
+    };
+    transfer.status = 'Settled';
+    await transfer.save();
+
+    res.json(transfer);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Collect part or all of a sale shortfall from the customer. Like the sale
+// proceeds, it clears the unpaid interest before the principal.
+export const recoverShortfall = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid transfer ID' });
+    }
+
+    const transfer = await AuctionTransfer.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+    if (transfer.status !== 'Shortfall' || !(transfer.shortfall > 0)) {
+      return res.status(400).json({ message: 'There is no shortfall to recover' });
+    }
+
+    const amount = parseFloat(req.body.amount);
+    if (!(amount > 0) || amount > transfer.shortfall) {
+      return res.status(400).json({ message: `Amount must be more than zero and at most ${transfer.shortfall}` });
+    }
+
+    const date = req.body.date ? new Date(req.body.date) : await getSystemDate();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ message: 'Invalid recovery date' });
+    }
+
+    const voucher = await Voucher.findById(transfer.voucherId);
+    if (!voucher) {
+      return res.status(404).json({ message: 'Voucher not found' });
+    }
+
+    const interestOwed = round2(Math.max(0, transfer.shortfall - (voucher.outstandingPrincipal || 0)));
+    const principalPart = round2(Math.max(0, amount - interestOwed));
+
+    transfer.shortfallRecoveries.push({
+      amount,
+      date,
+      paymentMethod: req.body.paymentMethod || 'Cash',
+      receiptNo: await nextNumber('receiptNo', { branch: voucher.branch, date }),
+      receivedBy: req.user?.id || 'system',
+      shortfallAfter: round2(transfer.shortfall - amount),
+    });
+    transfer.shortfall = round2(transfer.shortfall - amount);
+    if (transfer.shortfall === 0) transfer.status = 'Settled';
+    await transfer.save();
+
+    voucher.totalInterestPaid = round2((voucher.totalInterestPaid || 0) + amount - principalPart);
+    voucher.finalAmountPaid = round2((voucher.finalAmountPaid || 0) + amount);
+    voucher.outstandingPrincipal = round2(Math.max(0, (voucher.outstandingPrincipal || 0) - principalPart));
+    await voucher.save();
+
+    res.json(transfer);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
@@ -0,0 +1,252 @@
+// controllers/collectionAssignmentController.js
+// Assigning collections to field agents and the daily route sheet they work from.
+import XLSX from 'xlsx';
+import mongoose from 'mongoose';
+import Collection from '../models/Collection.js';
+import InstallmentLoan from '../models/InstallmentLoan.js';
+import User from '../models/User.js';
+import { toDayKey } from '../utils/holidayCalendar.js';
+import { formatLoanDate, toLoanDate } from '../utils/installmentLoanService.js';
+import { getSystemDate } from '../utils/systemDate.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const findAgent = async (agentId) => {
+  if (!mongoose.Types.ObjectId.isValid(agentId)) return null;
+  return User.findOne({ _id: agentId, role: 'agent' }).select('name email').lean();
+};
+
+// Get the users who can be assigned collections
+export const getAgents = async (req, res) => {
+  try {
+    const agents = await User.find({ role: 'agent' }).select('name email position').sort({ name: 1 }).lean();
+    const counts = await Collection.aggregate([
+      { $match: { assignedTo: { $in: agents.map((a) => String(a._id)) }, collectionStatus: 'Active' } },
+      { $group: { _id: '$assignedTo', activeLoans: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: agents.map((agent) => ({
+        ...agent,
+        activeLoans: counts.find((c) => c._id === String(agent._id))?.activeLoans || 0
+      })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch agents',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Assign loans to an agent and route in bulk. The order of loanIds is the
+// order of stops on the route. agentId null unassigns the loans.
+export const assignCollections = async (req, res) => {
+  try {
+    const { loanIds, agentId, collectionRoute } = req.body;
+
+    if (!Array.isArray(loanIds) || loanIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'loanIds must be a non-empty array',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let agent = null;
+    if (agentId != null) {
+      agent = await findAgent(agentId);
+      if (!agent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Agent not found or the user does not have the agent role',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    const loans = await InstallmentLoan.find({ loanId: { $in: loanIds } }).lean();
+    const missing = loanIds.filter((id) => !loans.some((loan) => loan.loanId === id));
+    if (missing.length) {
+      return res.status(404).json({
+        success: false,
+        message: `Loans not found: ${missing.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const assigned = [];
+    for (const [index, loanId] of loanIds.entries()) {
+      let collection = await Collection.findOne({ loanId });
+      if (!collection) {
+        collection = await Collection.refreshFromLoan(loans.find((loan) => loan.loanId === loanId));
+      }
+
+      collection.assignedTo = agent ? String(agent._id) : undefined;
+      if (collectionRoute !== undefined) {
+        collection.collectionRoute = collectionRoute || undefined;
+        collection.routeSequence = collectionRoute ? index + 1 : undefined;
+      }
+      collection.lastUpdatedBy = req.user?.name || 'system';
+      await collection.save();
+      assigned.push({
+        loanId,
+        assignedTo: collection.assignedTo || null,
+        collectionRoute: collection.collectionRoute || null,
+        routeSequence: collection.routeSequence || null
+      });
+    }
+
+    res.json({
+      success: true,
+      message: agent ? `${assigned.length} loan(s) assigned to ${agent.name}` : `${assigned.length} loan(s) unassigned`,
+      data: assigned,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error assigning collections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign collections',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// One stop on a route sheet: what falls due on the day, what is in arrears
+// from before it, and the last payment taken
+const toRouteStop = (collection, loan, dayKey) => {
+  let dueAmount = 0;
+  let arrears = 0;
+  for (const inst of loan.installments) {
+    if (inst.status === 'Paid') continue;
+    const remaining = inst.emiAmount - (inst.paidAmount || 0);
+    const key = toDayKey(inst.dueDate);
+    if (key === dayKey) dueAmount += remaining;
+    else if (key < dayKey) arrears += remaining;
+  }
+  const lastPayment = loan.payments[loan.payments.length - 1];
+
+  return {
+    sequence: collection.routeSequence || null,
+    collectionRoute: collection.collectionRoute || '',
+    loanId: loan.loanId,
+    customerName: loan.customerName,
+    customerAddress: loan.customerAddress,
+    customerPhone: loan.customerPhone,
+    customerAltPhone: loan.customerAltPhone || '',
+    dueAmount: round2(dueAmount),
+    arrears: round2(arrears),
+    finesDue: loan.finesDue || 0,
+    advanceCredit: loan.advanceCredit || 0,
+    totalToCollect: Math.max(0, round2(dueAmount + arrears + (loan.finesDue || 0) - (loan.advanceCredit || 0))),
+    lastPaymentDate: lastPayment ? formatLoanDate(lastPayment.date) : '',
+    lastPaymentAmount: lastPayment ? lastPayment.totalAmount : 0
+  };
+};
+
+const ROUTE_SHEET_COLUMNS = {
+  sequence: 'Stop',
+  collectionRoute: 'Route',
+  loanId: 'Loan ID',
+  customerName: 'Customer',
+  customerAddress: 'Address',
+  customerPhone: 'Phone',
+  customerAltPhone: 'Alt. Phone',
+  dueAmount: 'Due Today',
+  arrears: 'Arrears',
+  finesDue: 'Fines',
+  advanceCredit: 'Advance',
+  totalToCollect: 'To Collect',
+  lastPaymentDate: 'Last Paid On',
+  lastPaymentAmount: 'Last Paid Amount'
+};
+
+// Customers an agent should visit on a date, in route order
+// (?format=xlsx downloads it as a spreadsheet)
+export const getRouteSheet = async (req, res) => {
+  try {
+    const { agent: agentId, date, format } = req.query;
+
+    const agent = await findAgent(agentId);
+    if (!agent) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid agent is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const day = date ? toLoanDate(date) : await getSystemDate();
+    if (isNaN(day.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date',
+        timestamp: new Date().toISOString()
+      });
+    }
+    const dayKey = toDayKey(day);
+
+    // Which loans are still open is read from the loans, not the records
+    const collections = await Collection.find({ assignedTo: String(agent._id) })
+      .select('loanId collectionRoute routeSequence customerName')
+      .lean();
+    const loans = await InstallmentLoan.find({ loanId: { $in: collections.map((c) => c.loanId) }, status: 'Active' }).lean();
+
+    const stops = collections
+      .sort((a, b) =>
+        (a.collectionRoute || '').localeCompare(b.collectionRoute || '') ||
+        (a.routeSequence ?? Infinity) - (b.routeSequence ?? Infinity) ||
+        a.customerName.localeCompare(b.customerName))
+      .map((collection) => {
+        const loan = loans.find((l) => l.loanId === collection.loanId);
+        return loan && toRouteStop(collection, loan, dayKey);
+      })
+      .filter((stop) => stop && (stop.dueAmount > 0 || stop.arrears > 0));
+
+    const totals = {
+      stops: stops.length,
+      dueAmount: round2(stops.reduce((sum, s) => sum + s.dueAmount, 0)),
+      arrears: round2(stops.reduce((sum, s) => sum + s.arrears, 0)),
+      totalToCollect: round2(stops.reduce((sum, s) => sum + s.totalToCollect, 0))
+    };
+
+    if (format === 'xlsx') {
+      const rows = stops.map((stop) =>
+        Object.fromEntries(Object.entries(ROUTE_SHEET_COLUMNS).map(([key, heading]) => [heading, stop[key]])));
+      const wb = XLSX.utils.book_new();
+      const ws = XLSX.utils.json_to_sheet(rows, { header: Object.values(ROUTE_SHEET_COLUMNS) });
+      ws['!cols'] = Object.values(ROUTE_SHEET_COLUMNS).map((heading) => ({ wch: Math.max(10, heading.length + 2) }));
+      XLSX.utils.book_append_sheet(wb, ws, 'Route Sheet');
+
+      const filename = `route-sheet-${agent.name.replace(/[^\w-]+/g, '_')}-${dayKey}.xlsx`;
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        agent: { _id: agent._id, name: agent.name },
+        date: formatLoanDate(day),
+        stops,
+        totals
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error building route sheet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build route sheet',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,120 @@
+// controllers/collectionConsistencyController.js
+// Checks collection records against the installment loans they project
+// (see utils/collectionProjection.js) and repairs the ones that drifted. The
+// collection endpoints project loan figures on read, so this is a safety net
+// for the stored records that assignment queries filter on.
+import Collection from '../models/Collection.js';
+import InstallmentLoan from '../models/InstallmentLoan.js';
+import { findDrift, projectCollection } from '../utils/collectionProjection.js';
+
+// Compare every loan with its collection record. Records for loans that no
+// longer exist and loans with more than one record are reported too.
+const inspectCollections = async ({ includeOverdue = false } = {}) => {
+  const drifted = [];
+  const missing = [];
+  let checked = 0;
+
+  for await (const loan of InstallmentLoan.find().lean().cursor()) {
+    checked++;
+    const collection = await Collection.findOne({ loanId: loan.loanId }).sort({ createdAt: 1 }).lean();
+    if (!collection) {
+      missing.push(loan.loanId);
+      continue;
+    }
+    const fields = findDrift(collection, projectCollection(loan), { includeTimeDependent: includeOverdue });
+    if (fields.length > 0) {
+      drifted.push({ loanId: loan.loanId, fields, syncedAt: collection.syncedAt });
+    }
+  }
+
+  const loanIds = new Set(await InstallmentLoan.distinct('loanId'));
+  const orphaned = (await Collection.distinct('loanId')).filter((loanId) => !loanIds.has(loanId));
+  const duplicates = (
+    await Collection.aggregate([
+      { $group: { _id: '$loanId', records: { $sum: 1 } } },
+      { $match: { records: { $gt: 1 } } }
+    ])
+  ).map((row) => ({ loanId: row._id, records: row.records }));
+
+  return {
+    checked,
+    consistent: drifted.length === 0 && missing.length === 0 && orphaned.length === 0 && duplicates.length === 0,
+    drifted,
+    missing,
+    orphaned,
+    duplicates
+  };
+};
+
+// Report collection records that no longer match their loans
+// (?includeOverdue=true also reports overdue counts not refreshed since the
+// day changed)
+export const getCollectionConsistency = async (req, res) => {
+  try {
+    const report = await inspectCollections({ includeOverdue: req.query.includeOverdue === 'true' });
+
+    res.status(200).json({
+      success: true,
+      message: report.consistent
+        ? `All ${report.checked} collection records match their loans`
+        : `${report.drifted.length} drifted, ${report.missing.length} missing, ${report.orphaned.length} orphaned and ${report.duplicates.length} duplicated collection records`,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error checking collection consistency:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check collection consistency',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Repair what the check finds: drifted and missing records are projected
+// again from their loans, records of deleted loans are removed, and of
+// duplicated records the assigned (else the oldest) one is kept
+export const repairCollectionConsistency = async (req, res) => {
+  try {
+    const report = await inspectCollections({ includeOverdue: true });
+    const updatedBy = req.user?.name || req.user?.id || 'consistency_check';
+    const repaired = { refreshed: 0, created: 0, removedOrphans: 0, removedDuplicates: 0 };
+
+    for (const { loanId } of report.duplicates) {
+      const records = await Collection.find({ loanId }).select('assignedTo createdAt').lean();
+      records.sort((a, b) => Boolean(b.assignedTo) - Boolean(a.assignedTo) || a.createdAt - b.createdAt);
+      const extra = records.slice(1).map((record) => record._id);
+      repaired.removedDuplicates += (await Collection.deleteMany({ _id: { $in: extra } })).deletedCount;
+    }
+
+    if (report.orphaned.length > 0) {
+      repaired.removedOrphans = (await Collection.deleteMany({ loanId: { $in: report.orphaned } })).deletedCount;
+    }
+
+    const stale = [...report.drifted.map((d) => d.loanId), ...report.missing];
+    for await (const loan of InstallmentLoan.find({ loanId: { $in: stale } }).lean().cursor()) {
+      await Collection.refreshFromLoan(loan, { updatedBy });
+      if (report.missing.includes(loan.loanId)) {
+        repaired.created++;
+      } else {
+        repaired.refreshed++;
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Refreshed ${repaired.refreshed}, created ${repaired.created} and removed ${repaired.removedOrphans + repaired.removedDuplicates} collection records`,
+      data: { ...report, repaired },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error repairing collection records:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to repair collection records',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
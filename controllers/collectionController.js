@@ -1,7 +1,20 @@
 // controllers/collectionController.js
-import SavedLoanDetail from '../models/SavedLoanDetail.js';
+import InstallmentLoan, { PAYMENT_METHODS } from '../models/InstallmentLoan.js';
 import Collection from '../models/Collection.js';
-import { v4 as uuidv4 } from 'uuid';
+import AllocationPolicy from '../models/AllocationPolicy.js';
+import { validateAllocationOrder } from '../utils/paymentAllocation.js';
+import PenaltyPolicy from '../models/PenaltyPolicy.js';
+import User from '../models/User.js';
+import mongoose from 'mongoose';
+import {
+  applyInstallmentPayment,
+  decidePenaltyWaiver,
+  getLoanPenalty,
+  requestPenaltyWaiver
+} from '../utils/installmentLoanService.js';
+import { getSystemDate } from '../utils/systemDate.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
 
 // Helper function to format Date to DD/MM/YYYY
 const formatDate = (date) => {
@@ -9,48 +22,53 @@ const formatDate = (date) => {
   return `${d.getDate().toString().padStart(2, '0')}/${(d.getMonth() + 1).toString().padStart(2, '0')}/${d.getFullYear()}`;
 };
 
-// Get all loans for collection page with optional search
+// The collection view of a loan, its figures as of the business day
+const collectionOf = async (loan) => (await Collection.viewsOf([loan], await getSystemDate()))[0];
+
+const LIST_FIELDS = [
+  '_id', 'loanId', 'customerName', 'customerPhone', 'totalAmount', 'remainingBalance', 'collectionStatus',
+  'nextDueDate', 'nextDueAmount', 'nextInstallmentNo', 'overdueInstallments', 'priority', 'lastPaymentDate',
+  'assignedTo', 'collectionRoute', 'routeSequence'
+];
+const PRIORITY_ORDER = ['Critical', 'High', 'Medium', 'Low'];
+
+// DD/MM/YYYY as a sortable YYYYMMDD key; no date sorts last
+const dueDateKey = (date) => (date ? date.split('/').reverse().join('') : '99999999');
+
+// Get all loans for collection with optional search. Figures are projected
+// from the loans on read; the collection records supply assignments.
 export const getAllLoans = async (req, res) => {
   try {
-    const { searchQuery, page = 1, limit = 50 } = req.query;
-    let query = { collectionStatus: { $in: ['Active', 'Suspended'] } }; // Exclude completed loans
+    const { searchQuery, agent, route, page = 1, limit = 50 } = req.query;
+    const loanQuery = { status: 'Active' }; // Exclude completed and defaulted loans
+
+    if (agent || route) {
+      const assignment = {};
+      if (agent) assignment.assignedTo = agent;
+      if (route) assignment.collectionRoute = route;
+      loanQuery.loanId = { $in: await Collection.distinct('loanId', assignment) };
+    }
 
     if (searchQuery) {
-      query = {
-        ...query,
-        $or: [
-          { loanId: { $regex: searchQuery, $options: 'i' } },
-          { customerName: { $regex: searchQuery, $options: 'i' } },
-          { customerPhone: { $regex: searchQuery, $options: 'i' } },
-        ],
-      };
+      loanQuery.$or = [
+        { loanId: { $regex: searchQuery, $options: 'i' } },
+        { customerName: { $regex: searchQuery, $options: 'i' } },
+        { customerPhone: { $regex: searchQuery, $options: 'i' } },
+      ];
     }
 
+    const loans = await InstallmentLoan.find(loanQuery).lean();
+    const views = (await Collection.viewsOf(loans, await getSystemDate())).sort(
+      (a, b) =>
+        dueDateKey(a.nextDueDate).localeCompare(dueDateKey(b.nextDueDate)) ||
+        PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority)
+    );
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Try to get from Collection model first
-    let collections = await Collection.find(query)
-      .select('loanId customerName customerPhone totalAmount remainingBalance collectionStatus nextDueDate nextDueAmount nextInstallmentNo overdueInstallments priority lastPaymentDate')
-      .sort({ nextDueDate: 1, priority: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
-
-    // If no collections found, try to sync from SavedLoanDetail
-    if (collections.length === 0) {
-      console.log('No collections found, attempting to sync from SavedLoanDetail...');
-      await syncCollectionsFromLoans();
-      
-      // Try again after sync
-      collections = await Collection.find(query)
-        .select('loanId customerName customerPhone totalAmount remainingBalance collectionStatus nextDueDate nextDueAmount nextInstallmentNo overdueInstallments priority lastPaymentDate')
-        .sort({ nextDueDate: 1, priority: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean();
-    }
-
-    const totalCount = await Collection.countDocuments(query);
+    const collections = views
+      .slice(skip, skip + parseInt(limit))
+      .map((view) => Object.fromEntries(LIST_FIELDS.filter((field) => field in view).map((field) => [field, view[field]])));
+    const totalCount = views.length;
 
     res.status(200).json({
       success: true,
@@ -79,28 +97,24 @@ export const getLoanForCollection = async (req, res) => {
   try {
     const { loanId } = req.params;
 
-    let collection = await Collection.findOne({ loanId });
-
-    if (!collection) {
-      // Try to create from SavedLoanDetail
-      const savedLoan = await SavedLoanDetail.findOne({ loanId });
-      if (savedLoan) {
-        collection = await Collection.createFromLoan(savedLoan);
-      } else {
-        return res.status(404).json({
-          success: false,
-          message: 'Loan not found',
-          timestamp: new Date().toISOString(),
-        });
-      }
+    const loan = await InstallmentLoan.findOne({ loanId }).lean();
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found',
+        timestamp: new Date().toISOString(),
+      });
     }
 
-    // Sync with latest loan data
-    await collection.syncWithLoan();
+    // Projected again on read, so overdue counts are as of today
+    const collection = await Collection.refreshFromLoan(loan);
+
+    // Late fees as of today, for the payment screen to default the fine from
+    const penalty = await getLoanPenalty(loan, await getSystemDate());
 
     res.status(200).json({
       success: true,
-      data: collection,
+      data: { ...collection.toObject(), penalty },
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -114,30 +128,135 @@ export const getLoanForCollection = async (req, res) => {
   }
 };
 
-// Mark an installment as paid
-export const markInstallmentPaid = async (req, res) => {
+// Get the order payments are allocated in
+export const getAllocationPolicy = async (req, res) => {
   try {
-    const { loanId, installmentNo } = req.params;
-    const { paidAmount, fineAmount = 0, paymentMethod = 'Cash', notes = '' } = req.body;
+    res.json({
+      success: true,
+      data: await AllocationPolicy.current(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch allocation policy',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
 
-    // Validate inputs
-    if (!paidAmount || paidAmount <= 0) {
+// Update the order payments are allocated in
+export const updateAllocationPolicy = async (req, res) => {
+  try {
+    const { order } = req.body;
+
+    const invalid = validateAllocationOrder(order);
+    if (invalid) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid paid amount',
+        message: invalid,
         timestamp: new Date().toISOString(),
       });
     }
-    if (fineAmount < 0) {
+
+    const updates = { order, updatedBy: req.user?.id || 'system' };
+    let policy = await AllocationPolicy.findOne().sort({ createdAt: -1 });
+    if (policy) {
+      policy.set(updates);
+      await policy.save();
+    } else {
+      policy = await AllocationPolicy.create(updates);
+    }
+
+    res.json({
+      success: true,
+      data: policy,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update allocation policy',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// Get the late fee policies
+export const getPenaltyPolicies = async (req, res) => {
+  try {
+    const policies = await PenaltyPolicy.find().sort({ product: 1 });
+    res.json({
+      success: true,
+      data: policies,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch penalty policies',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// Create or update the late fee policy of a loan product (no product = the default policy)
+export const savePenaltyPolicy = async (req, res) => {
+  try {
+    const { product = '', ...fields } = req.body;
+    const numericFields = ['flatPerInstallment', 'dailyPercent', 'graceDays', 'maxPerInstallment', 'maxPerLoan'];
+
+    const updates = { updatedBy: req.user?.id || 'system' };
+    for (const field of numericFields) {
+      if (fields[field] === undefined) continue;
+      if (isNaN(fields[field]) || fields[field] < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} cannot be negative`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      updates[field] = Number(fields[field]);
+    }
+    if (updates.dailyPercent > 100) {
       return res.status(400).json({
         success: false,
-        message: 'Fine amount cannot be negative',
+        message: 'dailyPercent cannot be more than 100',
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Get the loan from SavedLoanDetail (main source of truth)
-    const loan = await SavedLoanDetail.findOne({ loanId });
+    const policy = await PenaltyPolicy.findOneAndUpdate(
+      { product: String(product).trim() },
+      { $set: updates },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      data: policy,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save penalty policy',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// Ask for fines on a loan to be waived
+export const createPenaltyWaiver = async (req, res) => {
+  try {
+    const { loanId } = req.params;
+    const { amount, reason } = req.body;
+
+    const loan = await InstallmentLoan.findOne({ loanId });
     if (!loan) {
       return res.status(404).json({
         success: false,
@@ -146,112 +265,174 @@ export const markInstallmentPaid = async (req, res) => {
       });
     }
 
-    // Find the installment
-    const installment = loan.installments.find(
-      (inst) => inst.installmentNo === parseInt(installmentNo)
-    );
-    if (!installment) {
-      return res.status(404).json({
+    const result = await requestPenaltyWaiver(loan, {
+      amount,
+      reason,
+      requestedBy: req.user?.name || req.body.requestedBy || 'system',
+    });
+    if (result.rejection) {
+      return res.status(result.rejection.status).json({
         success: false,
-        message: 'Installment not found',
+        message: result.rejection.message,
         timestamp: new Date().toISOString(),
       });
     }
 
-    if (installment.status === 'Paid') {
+    res.status(201).json({
+      success: true,
+      message: 'Waiver request sent for approval',
+      data: result.waiver,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request waiver',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// Approve or reject a waiver request (admin)
+export const reviewPenaltyWaiver = async (req, res) => {
+  try {
+    const { loanId, waiverId } = req.params;
+    const { decision, note = '' } = req.body;
+
+    if (!['Approved', 'Rejected'].includes(decision)) {
       return res.status(400).json({
         success: false,
-        message: 'Installment already paid',
+        message: "Decision must be 'Approved' or 'Rejected'",
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Validate paid amount against EMI amount
-    if (paidAmount < installment.emiAmount) {
-      return res.status(400).json({
+    const loan = await InstallmentLoan.findOne({ loanId });
+    if (!loan) {
+      return res.status(404).json({
         success: false,
-        message: 'Paid amount must be at least the EMI amount',
+        message: 'Loan not found',
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Calculate remaining balance
-    const totalPaid = loan.installments.reduce(
-      (sum, inst) => sum + (inst.paidAmount || 0),
-      0
-    );
-    const remainingBalance = loan.totalAmount - totalPaid;
-    if (paidAmount > remainingBalance) {
-      return res.status(400).json({
+    const result = await decidePenaltyWaiver(loan, waiverId, {
+      approve: decision === 'Approved',
+      note,
+      decidedBy: req.user?.name || req.user?.id,
+      asOf: await getSystemDate(),
+    });
+    if (result.rejection) {
+      return res.status(result.rejection.status).json({
         success: false,
-        message: 'Paid amount cannot exceed remaining balance',
+        message: result.rejection.message,
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Update installment in SavedLoanDetail
-    installment.status = 'Paid';
-    installment.paidAmount = paidAmount;
-    installment.paidDate = formatDate(new Date());
+    res.json({
+      success: true,
+      message: `Waiver ${decision.toLowerCase()}`,
+      data: {
+        waiver: result.waiver,
+        finesDue: loan.finesDue
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review waiver',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
 
-    // Add payment record to SavedLoanDetail
-    const payment = {
-      paymentId: `PAY${uuidv4().slice(0, 8)}`,
-      installmentNo: parseInt(installmentNo),
-      amount: paidAmount,
-      fineAmount,
-      totalAmount: paidAmount + fineAmount,
-      date: formatDate(new Date()),
-      status: 'Received',
-      paymentMethod,
-      notes,
-    };
-    loan.payments.push(payment);
+// Mark an installment as paid
+export const markInstallmentPaid = async (req, res) => {
+  try {
+    const { loanId, installmentNo } = req.params;
+    const { paidAmount, fineAmount, paymentMethod = 'Cash', notes = '', agentId = null } = req.body;
 
-    // Save the loan
-    await loan.save();
+    // Validate inputs
+    if (!paidAmount || paidAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid paid amount',
+        timestamp: new Date().toISOString(),
+      });
+    }
+    if (fineAmount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fine amount cannot be negative',
+        timestamp: new Date().toISOString(),
+      });
+    }
 
-    // Update collection record
-    let collection = await Collection.findOne({ loanId });
-    if (!collection) {
-      collection = await Collection.createFromLoan(loan);
-    } else {
-      await collection.syncWithLoan();
+    // Money taken by a field agent stays in the agent's till until handed over
+    let agent = null;
+    if (agentId) {
+      agent = mongoose.Types.ObjectId.isValid(agentId)
+        ? await User.findOne({ _id: agentId, role: 'agent' }).select('name').lean()
+        : null;
+      if (!agent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Collecting agent not found',
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    // Get the installment loan (main source of truth)
+    const loan = await InstallmentLoan.findOne({ loanId });
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found',
+        timestamp: new Date().toISOString(),
+      });
     }
 
-    // Add payment to collection record
-    const collectionPayment = {
-      paymentId: payment.paymentId,
-      installmentNo: parseInt(installmentNo),
+    // Any amount is accepted; the allocation policy decides where it goes
+    // Without a fine from the collector, charge the late fees accrued so far.
+    // The fine is quoted and the payment booked on the same system date.
+    const date = await getSystemDate();
+    const fine = fineAmount === undefined || fineAmount === ''
+      ? (await getLoanPenalty(loan, date)).newPenalty
+      : fineAmount;
+
+    const result = await applyInstallmentPayment(loan, {
+      installmentNo,
       amount: paidAmount,
-      fineAmount,
-      totalAmount: paidAmount + fineAmount,
-      paymentDate: formatDate(new Date()),
+      fineAmount: fine,
       paymentMethod,
-      status: 'Received',
-      collectedBy: req.user?.name || 'system',
       notes,
-      receiptNumber: payment.paymentId
-    };
-    collection.payments.push(collectionPayment);
-
-    // Update collection installment status
-    const collectionInstallment = collection.installments.find(
-      inst => inst.installmentNo === parseInt(installmentNo)
-    );
-    if (collectionInstallment) {
-      collectionInstallment.status = 'Paid';
-      collectionInstallment.paidAmount = paidAmount;
-      collectionInstallment.remainingAmount = 0;
-      collectionInstallment.lastPaymentDate = formatDate(new Date());
+      date,
+      collectedBy: agent?.name || req.user?.name || 'system',
+      agentId: agent ? String(agent._id) : null,
+    });
+    if (result.rejection) {
+      return res.status(result.rejection.status).json({
+        success: false,
+        message: result.rejection.message,
+        timestamp: new Date().toISOString(),
+      });
     }
-
-    await collection.save();
+    const payment = result.payment;
+    const collection = await collectionOf(loan);
+    const collectionPayment = collection.payments.find((p) => p.paymentId === payment.paymentId);
 
     // Prepare success message
-    let successMessage = `Payment of ₹${paidAmount.toLocaleString()} received successfully!`;
-    if (fineAmount > 0) {
-      successMessage += ` (Including fine: ₹${fineAmount.toLocaleString()})`;
+    let successMessage = `Payment of ₹${payment.totalAmount.toLocaleString()} received successfully!`;
+    if (payment.fineAmount > 0) {
+      successMessage += ` (Including fine: ₹${payment.fineAmount.toLocaleString()})`;
+    }
+    if (payment.creditAdded > 0) {
+      successMessage += ` ₹${payment.creditAdded.toLocaleString()} held as advance credit.`;
     }
 
     res.status(200).json({
@@ -261,6 +442,9 @@ export const markInstallmentPaid = async (req, res) => {
         loanId,
         installmentNo: parseInt(installmentNo),
         payment: collectionPayment,
+        allocations: payment.allocations,
+        advanceCredit: loan.advanceCredit,
+        finesDue: loan.finesDue,
         loanStatus: loan.status,
         collectionStatus: collection.collectionStatus,
         remainingBalance: collection.remainingBalance,
@@ -280,6 +464,197 @@ export const markInstallmentPaid = async (req, res) => {
   }
 };
 
+// Offline sync: the field app queues payments taken without signal and sends
+// them in batches. Each carries a key generated on the device, stored on the
+// loan payment, so a batch sent again returns the earlier results.
+const MAX_SYNC_ITEMS = 200;
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const findSyncedPayment = async (clientKey) => {
+  const loan = await InstallmentLoan.findOne(
+    { 'payments.clientKey': clientKey },
+    { loanId: 1, payments: { $elemMatch: { clientKey } } }
+  ).lean();
+  return loan ? { loanId: loan.loanId, payment: loan.payments[0] } : null;
+};
+
+// Result of a payment the server already holds under the item's key
+const syncedResult = (existing, item, result) => {
+  const total = round2(Number(item.amount) + (Number(item.fineAmount) || 0));
+  return existing.loanId === item.loanId && round2(existing.payment.totalAmount) === total
+    ? result('duplicate', { paymentId: existing.payment.paymentId, message: 'Payment already recorded' })
+    : result('conflict', {
+        conflict: 'KEY_REUSED',
+        paymentId: existing.payment.paymentId,
+        message: `Key already used for a different payment on loan ${existing.loanId}`,
+      });
+};
+
+const syncOfflinePayment = async (item, agent, now) => {
+  const { idempotencyKey, loanId, installmentNo = null, paymentMethod = 'Cash', notes = '', expectedDue } = item;
+  const amount = Number(item.amount);
+  const fineAmount = item.fineAmount === undefined ? 0 : Number(item.fineAmount);
+  const collectedAt = new Date(item.collectedAt);
+  const result = (status, details) => ({ idempotencyKey, loanId, installmentNo, status, ...details });
+
+  const existing = await findSyncedPayment(idempotencyKey);
+  if (existing) return syncedResult(existing, item, result);
+
+  if (!loanId || !(amount > 0) || !(fineAmount >= 0) || isNaN(collectedAt.getTime())) {
+    return result('rejected', { message: 'loanId, a positive amount and a valid collectedAt are required' });
+  }
+  if (collectedAt.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+    return result('rejected', { message: 'Collection time is in the future' });
+  }
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    return result('rejected', { message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+  }
+
+  const loan = await InstallmentLoan.findOne({ loanId });
+  if (!loan) {
+    return result('rejected', { message: 'Loan not found' });
+  }
+  if (loan.status === 'Closed') {
+    return result('conflict', { conflict: 'LOAN_CLOSED', message: 'Loan was closed before this payment was synced' });
+  }
+  const installment =
+    installmentNo != null ? loan.installments.find((inst) => inst.installmentNo === Number(installmentNo)) : null;
+  if (installmentNo != null && !installment) {
+    return result('rejected', { message: 'Installment not found' });
+  }
+  if (installment?.status === 'Paid') {
+    return result('conflict', { conflict: 'INSTALLMENT_PAID', message: 'Installment was paid before this payment was synced' });
+  }
+  // The app sends the balance it showed the agent; a different one means the
+  // installment changed (payment from the office, reschedule) while offline
+  if (installment && expectedDue !== undefined) {
+    const currentDue = round2(installment.emiAmount - (installment.paidAmount || 0));
+    if (currentDue !== round2(Number(expectedDue))) {
+      return result('conflict', {
+        conflict: 'AMOUNT_CHANGED',
+        currentDue,
+        message: `Installment balance is now ₹${currentDue.toLocaleString()}, the app showed ₹${Number(expectedDue).toLocaleString()}`,
+      });
+    }
+  }
+
+  let applied;
+  try {
+    applied = await applyInstallmentPayment(loan, {
+      installmentNo,
+      amount,
+      fineAmount,
+      paymentMethod,
+      notes,
+      date: collectedAt,
+      collectedBy: agent.name,
+      agentId: String(agent._id),
+      clientKey: idempotencyKey,
+    });
+  } catch (error) {
+    // The same key saved by a request running alongside this one
+    if (error.name === 'DocumentNotFoundError') {
+      const saved = await findSyncedPayment(idempotencyKey);
+      if (saved) return syncedResult(saved, item, result);
+    }
+    throw error;
+  }
+  if (applied.rejection) {
+    return result('rejected', { message: applied.rejection.message });
+  }
+
+  return result('applied', {
+    paymentId: applied.payment.paymentId,
+    totalAmount: applied.payment.totalAmount,
+    allocations: applied.payment.allocations,
+    advanceCredit: loan.advanceCredit,
+    loanStatus: loan.status,
+  });
+};
+
+// Apply a batch of payments an agent recorded offline, oldest first. Every
+// item gets its own result: applied, duplicate (sent before), conflict (the
+// loan changed while the agent was offline), rejected, or failed (retry it).
+export const syncOfflineCollections = async (req, res) => {
+  try {
+    const { agentId, items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'items must be a non-empty list',
+        timestamp: new Date().toISOString(),
+      });
+    }
+    if (items.length > MAX_SYNC_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_SYNC_ITEMS} payments can be synced at once`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    if (items.some((item) => typeof item?.idempotencyKey !== 'string' || !item.idempotencyKey.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every item needs an idempotencyKey',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const agent = mongoose.Types.ObjectId.isValid(agentId)
+      ? await User.findOne({ _id: agentId, role: 'agent' }).select('name').lean()
+      : null;
+    if (!agent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collecting agent not found',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Oldest first; payments taken at the same moment keep their queue order
+    const queue = items
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => new Date(a.item.collectedAt) - new Date(b.item.collectedAt) || a.index - b.index);
+
+    const now = new Date();
+    const results = [];
+    for (const { item, index } of queue) {
+      try {
+        results.push({ index, ...(await syncOfflinePayment(item, agent, now)) });
+      } catch (error) {
+        console.error(`Error syncing offline payment ${item.idempotencyKey}:`, error);
+        results.push({
+          index,
+          idempotencyKey: item.idempotencyKey,
+          loanId: item.loanId,
+          installmentNo: item.installmentNo ?? null,
+          status: 'failed',
+          message: error.message,
+        });
+      }
+    }
+
+    const summary = { applied: 0, duplicate: 0, conflict: 0, rejected: 0, failed: 0 };
+    results.forEach((r) => summary[r.status]++);
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.applied} of ${items.length} payments applied`,
+      data: { results, summary },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error syncing offline collections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync offline collections',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
 // Update loan status (e.g., to 'Closed')
 export const updateLoanStatus = async (req, res) => {
   try {
@@ -295,7 +670,7 @@ export const updateLoanStatus = async (req, res) => {
       });
     }
 
-    const loan = await SavedLoanDetail.findOne({ loanId });
+    const loan = await InstallmentLoan.findOne({ loanId });
     if (!loan) {
       return res.status(404).json({
         success: false,
@@ -316,21 +691,12 @@ export const updateLoanStatus = async (req, res) => {
       }
     }
 
-    // Update SavedLoanDetail
+    // Update the installment loan
     loan.status = status;
     loan.lastUpdatedBy = req.user?.id || 'system';
     await loan.save();
 
-    // Update Collection record
-    let collection = await Collection.findOne({ loanId });
-    if (!collection) {
-      collection = await Collection.createFromLoan(loan);
-    } else {
-      collection.collectionStatus = status === 'Closed' ? 'Completed' : 
-                                   status === 'Defaulted' ? 'Defaulted' : 'Active';
-      collection.lastUpdatedBy = req.user?.id || 'system';
-      await collection.save();
-    }
+    const collection = await collectionOf(loan);
 
     res.status(200).json({
       success: true,
@@ -353,12 +719,12 @@ export const updateLoanStatus = async (req, res) => {
   }
 };
 
-// Sync all collections from SavedLoanDetail
+// Sync all collections from the installment loans
 export const syncCollectionsFromLoans = async (req, res) => {
   try {
     console.log('Starting collection sync from loans...');
     
-    const activeLoans = await SavedLoanDetail.find({ 
+    const activeLoans = await InstallmentLoan.find({ 
       status: { $ne: 'Closed' } 
     }).lean();
 
@@ -368,14 +734,12 @@ export const syncCollectionsFromLoans = async (req, res) => {
 
     for (const loan of activeLoans) {
       try {
-        let collection = await Collection.findOne({ loanId: loan.loanId });
-        
-        if (!collection) {
-          collection = await Collection.createFromLoan(loan);
-          createdCount++;
-        } else {
-          await collection.syncWithLoan();
+        const existed = await Collection.exists({ loanId: loan.loanId });
+        await Collection.refreshFromLoan(loan);
+        if (existed) {
           syncedCount++;
+        } else {
+          createdCount++;
         }
       } catch (error) {
         console.error(`Error syncing loan ${loan.loanId}:`, error.message);
@@ -420,9 +784,9 @@ export const syncCollectionsFromLoans = async (req, res) => {
 // Get collection dashboard stats
 export const getCollectionDashboard = async (req, res) => {
   try {
-    const activeCollections = await Collection.find({ 
-      collectionStatus: { $in: ['Active', 'Suspended'] } 
-    });
+    const today = await getSystemDate();
+    const activeLoans = await InstallmentLoan.find({ status: 'Active' }).lean();
+    const activeCollections = await Collection.viewsOf(activeLoans, today);
 
     const totalActiveLoans = activeCollections.length;
     const totalOutstanding = activeCollections.reduce((sum, col) => sum + col.remainingBalance, 0);
@@ -430,8 +794,7 @@ export const getCollectionDashboard = async (req, res) => {
     
     const todayDue = activeCollections.filter(col => {
       if (!col.nextDueDate) return false;
-      const today = formatDate(new Date());
-      return col.nextDueDate === today;
+      return col.nextDueDate === formatDate(today);
     }).length;
 
     const priorityBreakdown = {
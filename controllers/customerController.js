@@ -3,47 +3,13 @@ import fs from "fs";
 import path from "path";
 import Customer from "../models/Customer.js";
 import Trash from "../models/Trash.js";
-import DateTime from "../models/DateTime.js";
+import { getSystemDate } from "../utils/systemDate.js";
+import { nextNumber } from "../utils/sequence.js";
 import { fileURLToPath } from "url";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// ---------------- Helper: Get System Date ----------------
-const getSystemDate = async () => {
-  try {
-    const dateTimeSetting = await DateTime.findOne().sort({ createdAt: -1 });
-    if (dateTimeSetting && dateTimeSetting.useCustomDate) {
-      return new Date(dateTimeSetting.customDateTime);
-    }
-    return new Date(); // Default to real time
-  } catch (error) {
-    console.error("Error getting system date:", error);
-    return new Date(); // Fallback to real time
-  }
-};
-
-// ---------------- Helper: Generate Customer ID ----------------
-const generateCustomerId = async () => {
-  const now = await getSystemDate();
-  const year = now.getFullYear().toString().slice(-2);
-  const month = String(now.getMonth() + 1).padStart(2, "0");
-  const yearMonth = `${year}${month}`;
-
-  const lastCustomer = await Customer.findOne({
-    customerId: { $regex: `^${yearMonth}` },
-  }).sort({ customerId: -1 });
-
-  let sequence = 1;
-  if (lastCustomer) {
-    const lastSequence = parseInt(lastCustomer.customerId.slice(-3));
-    sequence = lastSequence + 1;
-  }
-
-  const sequenceNumber = String(sequence).padStart(3, "0");
-  return `${yearMonth}${sequenceNumber}`;
-};
-
 // ---------------- Controllers ----------------
 
 // @desc    Get all customers
@@ -83,8 +49,8 @@ export const createCustomer = async (req, res) => {
       govIdNumber,
     } = req.body;
 
-    const customerId = await generateCustomerId();
     const systemDate = await getSystemDate();
+    const customerId = await nextNumber("customerId", { date: systemDate });
 
     const photo = req.file ? `/uploads/${req.file.filename}` : "";
 
@@ -1,5 +1,34 @@
 // controllers/dayBookController.js
 import Voucher from '../models/Voucher.js';
+import { getPrincipalPayments } from '../utils/interestCalculator.js';
+
+// Voucher payments of one type made within [start, end]
+const paymentsOnDate = (start, end, type, amountFields) =>
+  Voucher.aggregate([
+    { $unwind: { path: '$paymentHistory', preserveNullAndEmptyArrays: true } },
+    { $match: { 'paymentHistory.date': { $gte: start, $lte: end }, 'paymentHistory.type': type } },
+    {
+      $lookup: {
+        from: 'customers',
+        localField: 'customer',
+        foreignField: '_id',
+        as: 'customer',
+      },
+    },
+    { $unwind: { path: '$customer', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        id: { $concat: [{ $toString: '$_id' }, '-', { $toString: '$paymentHistory._id' }] },
+        customerId: '$customer.customerId',
+        customerName: '$customer.fullName',
+        ...amountFields,
+        paymentDate: '$paymentHistory.date',
+        paymentMethod: '$paymentHistory.paymentMethod',
+        receiptNo: '$paymentHistory.receiptNo',
+        billNo: '$billNo',
+      },
+    },
+  ]);
 
 export const getDayBook = async (req, res) => {
   try {
@@ -33,32 +62,17 @@ export const getDayBook = async (req, res) => {
     }));
 
     // 2. Interest Received: Unwind paymentHistory and match date
-    const interestReceived = await Voucher.aggregate([
-      { $unwind: { path: '$paymentHistory', preserveNullAndEmptyArrays: true } },
-      { $match: { 'paymentHistory.date': { $gte: start, $lte: end } } },
-      {
-        $lookup: {
-          from: 'customers',
-          localField: 'customer',
-          foreignField: '_id',
-          as: 'customer',
-        },
-      },
-      { $unwind: { path: '$customer', preserveNullAndEmptyArrays: true } },
-      {
-        $project: {
-          id: { $concat: [{ $toString: '$_id' }, '-', { $toString: '$paymentHistory._id' }] },
-          customerId: '$customer.customerId',
-          customerName: '$customer.fullName',
-          interestAmount: '$paymentHistory.amount',
-          paymentDate: '$paymentHistory.date',
-          paymentMethod: '$paymentHistory.paymentMethod',
-          receiptNo: '$paymentHistory.receiptNo',
-          months: '$paymentHistory.months',
-          billNo: '$billNo',
-        },
-      },
-    ]);
+    // (payments saved before principal repayments existed have no type)
+    const interestReceived = await paymentsOnDate(start, end, { $ne: 'principal' }, {
+      interestAmount: '$paymentHistory.amount',
+      months: '$paymentHistory.months',
+    });
+
+    // 2b. Principal Repaid: part repayments of the loan amount
+    const principalReceived = await paymentsOnDate(start, end, 'principal', {
+      principalAmount: '$paymentHistory.amount',
+      principalAfter: '$paymentHistory.principalAfter',
+    });
 
     // 3. Closed Loans: Closed on the date
     const closedLoans = await Voucher.find({
@@ -66,22 +80,30 @@ export const getDayBook = async (req, res) => {
       closedDate: { $gte: start, $lte: end },
     }).populate('customer', 'customerId fullName');
 
-    const closedLoansData = closedLoans.map((voucher) => ({
-      id: voucher._id.toString(),
-      customerId: voucher.customer?.customerId || 'N/A',
-      customerName: voucher.customer?.fullName || 'N/A',
-      originalAmount: voucher.finalLoanAmount || 0,
-      interestPaid: voucher.totalInterestPaid || 0,
-      totalSettled: (voucher.finalLoanAmount || 0) + (voucher.totalInterestPaid || 0),
-      closureDate: voucher.closedDate,
-      billNo: voucher.billNo,
-      monthsPaid: voucher.monthsPaid || 0,
-    }));
+    const closedLoansData = closedLoans.map((voucher) => {
+      // Principal repaid before closure was already counted on the day it was paid
+      const principalRepaid = getPrincipalPayments(voucher).reduce((sum, p) => sum + (p.amount || 0), 0);
+      const principalSettled = (voucher.finalLoanAmount || 0) - principalRepaid;
+
+      return {
+        id: voucher._id.toString(),
+        customerId: voucher.customer?.customerId || 'N/A',
+        customerName: voucher.customer?.fullName || 'N/A',
+        originalAmount: voucher.finalLoanAmount || 0,
+        principalSettled,
+        interestPaid: voucher.totalInterestPaid || 0,
+        totalSettled: principalSettled + (voucher.totalInterestPaid || 0),
+        closureDate: voucher.closedDate,
+        billNo: voucher.billNo,
+        monthsPaid: voucher.monthsPaid || 0,
+      };
+    });
 
     res.json({
       success: true,
       newLoans: newLoansData,
       interestReceived: interestReceived || [],
+      principalReceived: principalReceived || [],
       closedLoans: closedLoansData,
     });
   } catch (err) {
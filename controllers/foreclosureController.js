@@ -0,0 +1,185 @@
+// controllers/foreclosureController.js
+// Early closure of installment loans, shared by /api/personal-loans and
+// /api/saved-loans. Loans are looked up by loanId or _id in any origin.
+import ForeclosurePolicy, { REBATE_METHODS } from '../models/ForeclosurePolicy.js';
+import {
+  findInstallmentLoan,
+  formatLoanDate,
+  getLoanPenalty,
+  quoteForeclosure,
+  settleForeclosure,
+  toLoanDate
+} from '../utils/installmentLoanService.js';
+import { getSystemDate } from '../utils/systemDate.js';
+
+const loanIdParam = (req) => req.params.loanId || req.params.id;
+
+// Get the foreclosure policy
+export const getForeclosurePolicy = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await ForeclosurePolicy.current(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch foreclosure policy',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Update the foreclosure policy
+export const updateForeclosurePolicy = async (req, res) => {
+  try {
+    const { rebateMethod, chargePercent, minimumCharge } = req.body;
+
+    if (rebateMethod !== undefined && !REBATE_METHODS.includes(rebateMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `Rebate method must be one of: ${REBATE_METHODS.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (chargePercent !== undefined && (isNaN(chargePercent) || chargePercent < 0 || chargePercent > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Charge percent must be between 0 and 100',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (minimumCharge !== undefined && (isNaN(minimumCharge) || minimumCharge < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minimum charge cannot be negative',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const updates = { updatedBy: req.user?.id || 'system' };
+    if (rebateMethod !== undefined) updates.rebateMethod = rebateMethod;
+    if (chargePercent !== undefined) updates.chargePercent = Number(chargePercent);
+    if (minimumCharge !== undefined) updates.minimumCharge = Number(minimumCharge);
+
+    let policy = await ForeclosurePolicy.findOne().sort({ createdAt: -1 });
+    if (policy) {
+      policy.set(updates);
+      await policy.save();
+    } else {
+      policy = await ForeclosurePolicy.create(updates);
+    }
+
+    res.json({
+      success: true,
+      data: policy,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update foreclosure policy',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Quote what it costs to close a loan today (or on ?date=)
+export const getForeclosureQuote = async (req, res) => {
+  try {
+    const loan = await findInstallmentLoan(loanIdParam(req));
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (loan.status === 'Closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Loan is already closed',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const asOf = req.query.date ? toLoanDate(req.query.date) : await getSystemDate();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const quote = quoteForeclosure(loan, await ForeclosurePolicy.current(), asOf, await getLoanPenalty(loan, asOf));
+    res.json({
+      success: true,
+      data: { ...quote, asOf: formatLoanDate(quote.asOf) },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to quote foreclosure',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Close a loan early with one payment
+export const forecloseLoan = async (req, res) => {
+  try {
+    const { amount, paymentMethod = 'Cash', notes = '' } = req.body;
+
+    const loan = await findInstallmentLoan(loanIdParam(req));
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await settleForeclosure(loan, await ForeclosurePolicy.current(), {
+      amount,
+      paymentMethod,
+      notes,
+      date: await getSystemDate(),
+      collectedBy: req.user?.name || 'system'
+    });
+    if (result.rejection) {
+      return res.status(result.rejection.status).json({
+        success: false,
+        message: result.rejection.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Loan foreclosed successfully',
+      data: {
+        loanId: loan.loanId,
+        payment: { ...result.payment, date: formatLoanDate(result.payment.date) },
+        quote: { ...result.quote, asOf: formatLoanDate(result.quote.asOf) },
+        loanStatus: loan.status
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error foreclosing loan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to foreclose loan',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,81 @@
+// controllers/holidayCalendarController.js
+import HolidayCalendar, { SHIFT_DIRECTIONS } from "../models/HolidayCalendar.js";
+import { validateHolidayCalendar } from "../utils/holidayCalendar.js";
+
+// @desc    Get the shared and branch holiday calendars
+// @route   GET /api/holiday-calendars
+// @access  Private
+export const getHolidayCalendars = async (req, res) => {
+  try {
+    const calendars = await HolidayCalendar.find().sort({ branch: 1 });
+    res.json(calendars);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Get the calendar that applies to a branch, shared holidays included
+// @route   GET /api/holiday-calendars/effective?branch=
+// @access  Private
+export const getEffectiveCalendar = async (req, res) => {
+  try {
+    res.json(await HolidayCalendar.forBranch(req.query.branch));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Create or replace the calendar of a branch (no branch = the shared calendar)
+// @route   PUT /api/holiday-calendars
+// @access  Private (Admin)
+export const saveHolidayCalendar = async (req, res) => {
+  try {
+    const { branch = "", weeklyOffs, holidays, shiftDirection } = req.body;
+
+    const invalid = validateHolidayCalendar({ weeklyOffs, holidays });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+    if (shiftDirection !== undefined && !SHIFT_DIRECTIONS.includes(shiftDirection)) {
+      return res.status(400).json({ message: `Shift direction must be one of: ${SHIFT_DIRECTIONS.join(", ")}` });
+    }
+
+    const updates = { updatedBy: req.user?.id || "system" };
+    if (weeklyOffs !== undefined) updates.weeklyOffs = [...new Set(weeklyOffs.map(Number))].sort((a, b) => a - b);
+    if (holidays !== undefined) {
+      updates.holidays = holidays
+        .map((h) => ({ date: h.date, name: h.name || "" }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    }
+    if (shiftDirection !== undefined) updates.shiftDirection = shiftDirection;
+
+    const calendar = await HolidayCalendar.findOneAndUpdate(
+      { branch: String(branch).trim().toUpperCase() },
+      { $set: updates },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json(calendar);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Delete a branch calendar; the branch falls back to the shared one
+// @route   DELETE /api/holiday-calendars/:id
+// @access  Private (Admin)
+export const deleteHolidayCalendar = async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findByIdAndDelete(req.params.id);
+    if (!calendar) {
+      return res.status(404).json({ message: "Holiday calendar not found" });
+    }
+    res.json({ message: "Holiday calendar deleted" });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
@@ -0,0 +1,60 @@
+// controllers/interestPolicyController.js
+import InterestPolicy from "../models/InterestPolicy.js";
+import { loadInterestPolicy } from "../utils/interestCalculator.js";
+
+// @desc    Get the interest accrual policy (defaults if never saved)
+// @route   GET /api/interest-policy
+// @access  Private
+export const getInterestPolicy = async (req, res) => {
+  try {
+    const policy = await loadInterestPolicy();
+    res.json(policy);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Update the interest accrual policy
+// @route   PUT /api/interest-policy
+// @access  Private (Admin)
+export const updateInterestPolicy = async (req, res) => {
+  try {
+    const { accrualMethod, minimumMonths, postDueCompounding, penalRate } = req.body;
+
+    if (accrualMethod && !["monthly", "halfMonth", "daily"].includes(accrualMethod)) {
+      return res.status(400).json({ message: "Accrual method must be 'monthly', 'halfMonth' or 'daily'" });
+    }
+
+    if (postDueCompounding && !["simple", "monthly"].includes(postDueCompounding)) {
+      return res.status(400).json({ message: "Post-due compounding must be 'simple' or 'monthly'" });
+    }
+
+    if (minimumMonths !== undefined && (isNaN(minimumMonths) || minimumMonths < 0)) {
+      return res.status(400).json({ message: "Minimum months cannot be negative" });
+    }
+
+    if (penalRate !== undefined && (isNaN(penalRate) || penalRate < 0 || penalRate > 100)) {
+      return res.status(400).json({ message: "Penal rate must be between 0 and 100" });
+    }
+
+    const updates = { updatedBy: req.user?.id || "system" };
+    if (accrualMethod) updates.accrualMethod = accrualMethod;
+    if (postDueCompounding) updates.postDueCompounding = postDueCompounding;
+    if (minimumMonths !== undefined) updates.minimumMonths = parseFloat(minimumMonths);
+    if (penalRate !== undefined) updates.penalRate = parseFloat(penalRate);
+
+    let policy = await InterestPolicy.findOne().sort({ createdAt: -1 });
+    if (policy) {
+      policy.set(updates);
+      await policy.save();
+    } else {
+      policy = await InterestPolicy.create(updates);
+    }
+
+    res.json(policy);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
@@ -1,5 +1,7 @@
 // controllers/jewelRateController.js
 import JewelRate from "../models/jewelRate.js";
+import JewelRateHistory from "../models/JewelRateHistory.js";
+import { normalisePurity, REFERENCE_PURITY } from "../utils/valuation.js";
 
 // @desc    Get all jewel rates, sorted by latest date
 // @route   GET /api/jewel-rates
@@ -30,12 +32,34 @@ export const getJewelRateByType = async (req, res) => {
   }
 };
 
-// @desc    Create or update a jewel rate
+// Refresh the current JewelRate row for a metal from its reference-purity history
+const syncCurrentRate = async (metalType) => {
+  const latest = await JewelRateHistory.rateOn(metalType, REFERENCE_PURITY[metalType]);
+  if (!latest) {
+    await JewelRate.findOneAndDelete({ metalType });
+    return null;
+  }
+
+  return JewelRate.findOneAndUpdate(
+    { metalType },
+    { rate: latest.rate, date: latest.effectiveDate },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+// Parse "YYYY-MM-DD" into the last millisecond of that day
+const endOfDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return null;
+  const date = new Date(`${value}T23:59:59.999Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// @desc    Record a jewel rate; reference-purity rates also become the current rate
 // @route   POST /api/jewel-rates
 // @access  Private (Admin)
 export const createOrUpdateJewelRate = async (req, res) => {
   try {
-    const { metalType, rate, date } = req.body;
+    const { metalType, rate, date, purity } = req.body;
     
     // Validation
     if (!metalType || !rate) {
@@ -50,6 +74,12 @@ export const createOrUpdateJewelRate = async (req, res) => {
       return res.status(400).json({ message: "Rate must be a positive number" });
     }
 
+    const metal = metalType.toLowerCase();
+    const parsedPurity = normalisePurity(purity, metal);
+    if (!parsedPurity) {
+      return res.status(400).json({ message: `Unrecognised purity "${purity}"` });
+    }
+
     // Parse date if provided, otherwise use current date
     let dateToSave = new Date();
     if (date) {
@@ -59,18 +89,39 @@ export const createOrUpdateJewelRate = async (req, res) => {
       }
     }
 
-    const updatedRate = await JewelRate.findOneAndUpdate(
-      { metalType: metalType.toLowerCase() },
-      { 
-        rate: parseFloat(rate), 
-        date: dateToSave 
-      },
-      { 
-        new: true, 
-        upsert: true, // creates if not exists
-        runValidators: true // ensure validation runs on update
+    // Rates can be back-dated but not posted ahead of time
+    if (dateToSave > new Date()) {
+      return res.status(400).json({ message: "Rate date cannot be in the future" });
+    }
+
+    // Carry a rate saved before history existed into the history first
+    const hasHistory = await JewelRateHistory.exists({ metalType: metal });
+    if (!hasHistory) {
+      const legacyRate = await JewelRate.findOne({ metalType: metal });
+      if (legacyRate) {
+        await JewelRateHistory.create({
+          metalType: metal,
+          purity: REFERENCE_PURITY[metal],
+          rate: legacyRate.rate,
+          effectiveDate: legacyRate.date || legacyRate.updatedAt,
+        });
       }
-    );
+    }
+
+    const entry = await JewelRateHistory.create({
+      metalType: metal,
+      purity: parsedPurity.label,
+      rate: parseFloat(rate),
+      effectiveDate: dateToSave,
+      createdBy: req.user?.id || "system",
+    });
+
+    if (parsedPurity.label !== REFERENCE_PURITY[metal]) {
+      console.log(`Jewel rate recorded: ${metal} ${parsedPurity.label} - ₹${rate}/gram at ${dateToSave}`);
+      return res.status(200).json(entry);
+    }
+
+    const updatedRate = await syncCurrentRate(metal);
 
     console.log(`Jewel rate updated: ${metalType} - ₹${rate}/gram at ${dateToSave}`);
     res.status(200).json(updatedRate);
@@ -86,22 +137,110 @@ export const createOrUpdateJewelRate = async (req, res) => {
   }
 };
 
-// @desc    Delete a jewel rate
+// @desc    Get the rate history, optionally filtered by metal, purity and date range
+// @route   GET /api/jewel-rates/history?metal=gold&purity=22K&from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private
+export const getJewelRateHistory = async (req, res) => {
+  try {
+    const { metal, purity, from, to } = req.query;
+    const filter = {};
+
+    if (metal) filter.metalType = metal.toLowerCase();
+
+    if (purity) {
+      const parsedPurity = normalisePurity(purity, filter.metalType || "gold");
+      if (!parsedPurity) {
+        return res.status(400).json({ message: `Unrecognised purity "${purity}"` });
+      }
+      filter.purity = parsedPurity.label;
+    }
+
+    if (from || to) {
+      filter.effectiveDate = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate.getTime())) {
+          return res.status(400).json({ message: "Invalid 'from' date" });
+        }
+        filter.effectiveDate.$gte = fromDate;
+      }
+      if (to) {
+        const toDate = endOfDay(to) || new Date(to);
+        if (isNaN(toDate.getTime())) {
+          return res.status(400).json({ message: "Invalid 'to' date" });
+        }
+        filter.effectiveDate.$lte = toDate;
+      }
+    }
+
+    const history = await JewelRateHistory.find(filter).sort({ effectiveDate: -1, createdAt: -1 });
+    res.json(history);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Get the rates that were in force on a given day
+// @route   GET /api/jewel-rates/on/:date?metal=gold
+// @access  Private
+export const getJewelRatesOnDate = async (req, res) => {
+  try {
+    const asOf = endOfDay(req.params.date);
+    if (!asOf) {
+      return res.status(400).json({ message: "Invalid date format. Use YYYY-MM-DD" });
+    }
+
+    const metals = req.query.metal ? [req.query.metal.toLowerCase()] : ["gold", "silver"];
+    const rates = [];
+
+    for (const metalType of metals) {
+      const byPurity = await JewelRateHistory.ratesOn(metalType, asOf, REFERENCE_PURITY[metalType]);
+      Object.values(byPurity).forEach((entry) => {
+        rates.push({
+          metalType,
+          purity: entry.purity,
+          isReference: entry.purity === REFERENCE_PURITY[metalType],
+          rate: entry.rate,
+          effectiveDate: entry.effectiveDate,
+        });
+      });
+    }
+
+    if (rates.length === 0) {
+      return res.status(404).json({ message: "No jewel rate found for this date" });
+    }
+
+    res.json({ date: req.params.date, rates });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Withdraw the latest reference rate; the previous one becomes current again
 // @route   DELETE /api/jewel-rates/:metalType
 // @access  Private (Admin)
 export const deleteJewelRate = async (req, res) => {
   try {
-    const jewelRate = await JewelRate.findOneAndDelete({ 
-      metalType: req.params.metalType.toLowerCase() 
-    });
-    
-    if (!jewelRate) {
+    const metalType = req.params.metalType.toLowerCase();
+    if (!REFERENCE_PURITY[metalType]) {
       return res.status(404).json({ message: "Jewel rate not found" });
     }
-    
+
+    const jewelRate = await JewelRate.findOne({ metalType });
+    const latest = await JewelRateHistory.rateOn(metalType, REFERENCE_PURITY[metalType]);
+
+    if (!jewelRate && !latest) {
+      return res.status(404).json({ message: "Jewel rate not found" });
+    }
+
+    if (latest) await latest.deleteOne();
+    await syncCurrentRate(metalType);
+
     res.json({ message: "Jewel rate deleted successfully" });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: "Server Error" });
   }
-};
\ No newline at end of file
+};
@@ -1,6 +1,13 @@
 import Voucher from '../models/Voucher.js';
 import Customer from '../models/Customer.js';
 import Ledger from '../models/Ledger.js';
+import {
+  computeVoucherPayoff,
+  getOutstandingPrincipal,
+  getPrincipalPayments,
+  loadInterestPolicy
+} from '../utils/interestCalculator.js';
+import { getSystemDate } from '../utils/systemDate.js';
 
 // Controller to get ledger data and store in ledger collection
 export const getLedger = async (req, res) => {
@@ -100,6 +107,10 @@ export const getLedger = async (req, res) => {
     // For debugging - include ALL vouchers with valid customers (no date filtering)
     console.log('Processing all vouchers with valid customers...');
 
+    // Interest is accrued with the same policy used when closing a voucher
+    const interestPolicy = await loadInterestPolicy();
+    const payoffDate = await getSystemDate();
+
     // Create ledger entries for each valid voucher
     const ledgerEntries = [];
     
@@ -116,14 +127,18 @@ export const getLedger = async (req, res) => {
         
         // Calculate amounts first
         const finalLoanAmount = Number(voucher.finalLoanAmount || voucher.loanAmount || 0);
-        const repaidAmount = Number(voucher.finalAmountPaid || voucher.totalInterestPaid || 0);
-        const balanceAmount = Math.max(0, finalLoanAmount - repaidAmount);
+        const principalRepaid = getPrincipalPayments(voucher).reduce((sum, p) => sum + Number(p.amount || 0), 0);
+        const repaidAmount = Number(voucher.finalAmountPaid || voucher.totalInterestPaid || 0) + principalRepaid;
+        // Open loans owe what is left of the principal after part repayments
+        const balanceAmount = ['closed', 'auctioned'].includes((voucher.status || '').toLowerCase())
+          ? Math.max(0, finalLoanAmount - repaidAmount)
+          : getOutstandingPrincipal(voucher);
 
         // Status logic - handle all Voucher model statuses
         const originalStatus = (voucher.status || 'Active').toString();
         let normalizedStatus = 'active'; // Default
         
-        if (originalStatus.toLowerCase() === 'closed') {
+        if (['closed', 'auctioned'].includes(originalStatus.toLowerCase())) {
           normalizedStatus = 'closed';
         } else if (originalStatus.toLowerCase() === 'active' || originalStatus.toLowerCase() === 'pending') {
           // Check if overdue
@@ -162,6 +177,17 @@ export const getLedger = async (req, res) => {
         const loanDurationMs = dueDate.getTime() - disbursementDate.getTime();
         const loanDuration = Math.ceil(loanDurationMs / (1000 * 3600 * 24));
 
+        // Payoff as of the business date for open loans; closed loans owe nothing
+        let accruedInterest = Number(voucher.totalInterestPaid || 0);
+        let interestDue = 0;
+        let payoffAmount = 0;
+        if (normalizedStatus !== 'closed') {
+          const payoff = computeVoucherPayoff(voucher, payoffDate, interestPolicy);
+          accruedInterest = payoff.totalInterest;
+          interestDue = payoff.interestDue;
+          payoffAmount = payoff.payoffAmount;
+        }
+
         const ledgerEntry = {
           queryDate,
           voucherId: voucher._id,
@@ -181,6 +207,9 @@ export const getLedger = async (req, res) => {
           totalAmount: Number(voucher.overallLoanAmount || finalLoanAmount),
           repaidAmount: repaidAmount,
           balanceAmount: balanceAmount,
+          accruedInterest: accruedInterest,
+          interestDue: interestDue,
+          payoffAmount: payoffAmount,
           disbursementDate: voucher.disbursementDate || new Date(),
           dueDate: voucher.dueDate || new Date(),
           lastPaymentDate: voucher.lastPaymentDate || null,
@@ -263,6 +292,9 @@ export const getLedger = async (req, res) => {
       totalAmount: entry.totalAmount,
       repaidAmount: entry.repaidAmount,
       balanceAmount: entry.balanceAmount,
+      accruedInterest: entry.accruedInterest,
+      interestDue: entry.interestDue,
+      payoffAmount: entry.payoffAmount,
       disbursementDate: entry.disbursementDate,
       dueDate: entry.dueDate,
       lastPaymentDate: entry.lastPaymentDate,
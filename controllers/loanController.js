@@ -1,10 +1,27 @@
 // controllers/loanController.js
-import Loan from "../models/Loan.js";
+// /api/loans facade over the shared installment loan service
+import InstallmentLoan from "../models/InstallmentLoan.js";
+import {
+  applyInstallmentPayment,
+  createInstallmentLoan,
+  normalizeLoanInput,
+  summarizeLoans,
+} from "../utils/installmentLoanService.js";
+import { getSystemDate } from "../utils/systemDate.js";
+
+const ORIGIN = "Loan";
+
+// Fields owned by the service rather than the client
+const stripManagedFields = (body) => {
+  const update = { ...body };
+  ["_id", "loanId", "origin", "legacyId", "restructures", "penaltyWaivers", "auditTrail", "createdAt", "updatedAt"].forEach((key) => delete update[key]);
+  return update;
+};
 
 // Get all loans
 export const getAllLoans = async (req, res) => {
   try {
-    const loans = await Loan.find();
+    const loans = await InstallmentLoan.find({ origin: ORIGIN });
     res.status(200).json({
       success: true,
       count: loans.length,
@@ -21,7 +38,7 @@ export const getAllLoans = async (req, res) => {
 // Get single loan
 export const getLoanById = async (req, res) => {
   try {
-    const loan = await Loan.findOne({ loanId: req.params.id });
+    const loan = await InstallmentLoan.findOne({ loanId: req.params.id });
 
     if (!loan) {
       return res.status(404).json({
@@ -45,7 +62,13 @@ export const getLoanById = async (req, res) => {
 // Create new loan
 export const createLoan = async (req, res) => {
   try {
-    const loan = await Loan.create(req.body);
+    const { loan, rejection } = await createInstallmentLoan(req.body, { origin: ORIGIN });
+    if (rejection) {
+      return res.status(rejection.status).json({
+        success: false,
+        error: rejection.message,
+      });
+    }
 
     res.status(201).json({
       success: true,
@@ -58,6 +81,12 @@ export const createLoan = async (req, res) => {
         error: "Loan ID already exists",
       });
     }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
 
     res.status(500).json({
       success: false,
@@ -69,9 +98,9 @@ export const createLoan = async (req, res) => {
 // Update loan
 export const updateLoan = async (req, res) => {
   try {
-    const loan = await Loan.findOneAndUpdate(
+    const loan = await InstallmentLoan.findOneAndUpdate(
       { loanId: req.params.id },
-      req.body,
+      normalizeLoanInput(stripManagedFields(req.body)),
       { new: true, runValidators: true }
     );
 
@@ -97,7 +126,7 @@ export const updateLoan = async (req, res) => {
 // Delete loan
 export const deleteLoan = async (req, res) => {
   try {
-    const loan = await Loan.findOneAndDelete({ loanId: req.params.id });
+    const loan = await InstallmentLoan.findOneAndDelete({ loanId: req.params.id });
 
     if (!loan) {
       return res.status(404).json({
@@ -121,10 +150,10 @@ export const deleteLoan = async (req, res) => {
 // Process payment
 export const processPayment = async (req, res) => {
   try {
-    const { loanId } = req.params;
+    const { id: loanId } = req.params;
     const { amount, fineAmount } = req.body;
 
-    const loan = await Loan.findOne({ loanId });
+    const loan = await InstallmentLoan.findOne({ loanId });
 
     if (!loan) {
       return res.status(404).json({
@@ -133,73 +162,21 @@ export const processPayment = async (req, res) => {
       });
     }
 
-    if (loan.status === "Closed") {
-      return res.status(400).json({
-        success: false,
-        error: "Loan is already closed",
-      });
-    }
-
-    // Find next unpaid installment
-    const nextUnpaid = loan.installments.find((inst) => inst.status !== "Paid");
-
-    if (!nextUnpaid) {
-      return res.status(400).json({
-        success: false,
-        error: "All installments are already paid",
-      });
-    }
-
-    // Calculate remaining payment
-    const remainingForInstallment =
-      nextUnpaid.emiAmount - nextUnpaid.paidAmount;
-
-    if (amount > remainingForInstallment) {
-      return res.status(400).json({
+    // Applied to the next unpaid installment
+    const { rejection } = await applyInstallmentPayment(loan, {
+      amount,
+      fineAmount,
+      notes: fineAmount > 0 ? "Payment includes fine for overdue installment" : "",
+      date: await getSystemDate(),
+      collectedBy: req.user?.name || "system",
+    });
+    if (rejection) {
+      return res.status(rejection.status).json({
         success: false,
-        error: "Payment amount exceeds remaining installment amount",
+        error: rejection.message,
       });
     }
 
-    // Update installment
-    const installmentIndex = loan.installments.findIndex(
-      (inst) => inst.installmentNo === nextUnpaid.installmentNo
-    );
-
-    loan.installments[installmentIndex].paidAmount += amount;
-    loan.installments[installmentIndex].status =
-      loan.installments[installmentIndex].paidAmount >=
-      loan.installments[installmentIndex].emiAmount
-        ? "Paid"
-        : "Partial";
-
-    // Add payment record
-    const paymentRecord = {
-      paymentId: `PAY${Date.now()}`,
-      installmentNo: nextUnpaid.installmentNo,
-      amount,
-      fineAmount: fineAmount || 0,
-      totalAmount: amount + (fineAmount || 0),
-      date: new Date().toLocaleDateString("en-IN", {
-        timeZone: "Asia/Kolkata",
-      }),
-      status: "Received",
-    };
-
-    if (fineAmount > 0) {
-      paymentRecord.notes = "Payment includes fine for overdue installment";
-    }
-
-    loan.payments.push(paymentRecord);
-
-    // Check if all installments are paid
-    const allPaid = loan.installments.every((inst) => inst.status === "Paid");
-    if (allPaid) {
-      loan.status = "Closed";
-    }
-
-    await loan.save();
-
     res.status(200).json({
       success: true,
       data: loan,
@@ -216,28 +193,14 @@ export const processPayment = async (req, res) => {
 // Get loan statistics
 export const getLoanStats = async (req, res) => {
   try {
-    const loans = await Loan.find();
-
-    const totalLoans = loans.length;
-    const activeLoans = loans.filter((loan) => loan.status === "Active").length;
-    const closedLoans = loans.filter((loan) => loan.status === "Closed").length;
-    const totalLoanAmount = loans.reduce((sum, loan) => sum + loan.loanAmount, 0);
-    const totalInterestAmount = loans.reduce(
-      (sum, loan) => sum + loan.totalInterest,
-      0
-    );
-
-    const totalOutstanding = loans
-      .filter((loan) => loan.status === "Active")
-      .reduce((sum, loan) => {
-        const paidInstallments = loan.installments.filter(
-          (inst) => inst.status === "Paid"
-        ).length;
-        const remainingAmount =
-          loan.totalAmount -
-          paidInstallments * loan.installments[0].emiAmount;
-        return sum + Math.max(0, remainingAmount);
-      }, 0);
+    const {
+      totalLoans,
+      activeLoans,
+      closedLoans,
+      totalLoanAmount,
+      totalInterestAmount,
+      totalOutstanding,
+    } = await summarizeLoans({ origin: ORIGIN });
 
     res.status(200).json({
       success: true,
@@ -274,7 +237,8 @@ export const getCollectionReport = async (req, res) => {
     let filteredLoans = [];
 
     if (period === "daily") {
-      filteredLoans = await Loan.find({
+      filteredLoans = await InstallmentLoan.find({
+        origin: ORIGIN,
         "installments.dueDate": {
           $gte: new Date(queryDate.setHours(0, 0, 0, 0)),
           $lt: new Date(queryDate.setHours(23, 59, 59, 999)),
@@ -292,7 +256,8 @@ export const getCollectionReport = async (req, res) => {
       endOfWeek.setDate(startOfWeek.getDate() + 6);
       endOfWeek.setHours(23, 59, 59, 999);
 
-      filteredLoans = await Loan.find({
+      filteredLoans = await InstallmentLoan.find({
+        origin: ORIGIN,
         "installments.dueDate": {
           $gte: startOfWeek,
           $lt: endOfWeek,
@@ -312,7 +277,8 @@ export const getCollectionReport = async (req, res) => {
       );
       endOfMonth.setHours(23, 59, 59, 999);
 
-      filteredLoans = await Loan.find({
+      filteredLoans = await InstallmentLoan.find({
+        origin: ORIGIN,
         "installments.dueDate": {
           $gte: startOfMonth,
           $lt: endOfMonth,
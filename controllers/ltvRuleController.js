@@ -0,0 +1,76 @@
+// controllers/ltvRuleController.js
+import LtvRule from "../models/LtvRule.js";
+import { normalisePurity, DEFAULT_MAX_LTV } from "../utils/valuation.js";
+
+// @desc    Get all LTV rules along with the built-in defaults
+// @route   GET /api/ltv-rules
+// @access  Private
+export const getLtvRules = async (req, res) => {
+  try {
+    const rules = await LtvRule.find().sort({ metalType: 1, purity: 1 });
+    res.json({ rules, defaults: DEFAULT_MAX_LTV });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Create or update the LTV rule for a metal (and optional purity)
+// @route   POST /api/ltv-rules
+// @access  Private (Admin)
+export const createOrUpdateLtvRule = async (req, res) => {
+  try {
+    const { metalType, purity, maxLtv, notes } = req.body;
+
+    if (!metalType || maxLtv === undefined) {
+      return res.status(400).json({ message: "Metal type and max LTV are required" });
+    }
+
+    const metal = metalType.toLowerCase();
+    if (!["gold", "silver"].includes(metal)) {
+      return res.status(400).json({ message: "Metal type must be either 'gold' or 'silver'" });
+    }
+
+    const ltv = parseFloat(maxLtv);
+    if (isNaN(ltv) || ltv <= 0 || ltv > 100) {
+      return res.status(400).json({ message: "Max LTV must be between 0 and 100" });
+    }
+
+    // Store purities in one canonical form so "22K" and "916" share a rule
+    let purityLabel = "";
+    if (purity) {
+      const parsed = normalisePurity(purity, metal);
+      if (!parsed) {
+        return res.status(400).json({ message: `Unrecognised purity "${purity}"` });
+      }
+      purityLabel = parsed.label;
+    }
+
+    const rule = await LtvRule.findOneAndUpdate(
+      { metalType: metal, purity: purityLabel },
+      { maxLtv: ltv, notes: notes || "" },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(200).json(rule);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Delete an LTV rule
+// @route   DELETE /api/ltv-rules/:id
+// @access  Private (Admin)
+export const deleteLtvRule = async (req, res) => {
+  try {
+    const rule = await LtvRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: "LTV rule not found" });
+    }
+    res.json({ message: "LTV rule deleted successfully" });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
@@ -0,0 +1,87 @@
+// controllers/numberFormatController.js
+import Counter from "../models/Counter.js";
+import NumberFormat from "../models/NumberFormat.js";
+import {
+  SEQUENCE_DEFAULTS,
+  formatNumber,
+  loadNumberFormat,
+  resolveFinancialYear,
+} from "../utils/sequence.js";
+import { getSystemDate } from "../utils/systemDate.js";
+
+// @desc    Get the number series with their formats and counters this financial year
+// @route   GET /api/number-formats
+// @access  Private
+export const getNumberFormats = async (req, res) => {
+  try {
+    const financialYear = await resolveFinancialYear(await getSystemDate());
+    const counters = await Counter.find({ financialYear }).lean();
+
+    const series = await Promise.all(
+      Object.keys(SEQUENCE_DEFAULTS).map(async (name) => {
+        const format = await loadNumberFormat(name);
+        const branches = counters
+          .filter((c) => c.name === name)
+          .map((c) => ({
+            branch: c.branch,
+            lastIssued: c.seq,
+            next: formatNumber(format, c.seq + 1, { branch: c.branch, financialYear }),
+          }));
+
+        return {
+          name,
+          prefix: format.prefix,
+          padding: format.padding,
+          separator: format.separator,
+          includeFinancialYear: format.includeFinancialYear,
+          example: formatNumber(format, 1, { financialYear }),
+          branches,
+        };
+      })
+    );
+
+    res.json({ financialYear, series });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Update how a number series is printed
+// @route   PUT /api/number-formats/:name
+// @access  Private (Admin)
+export const updateNumberFormat = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { prefix, padding, separator, includeFinancialYear } = req.body;
+
+    if (!SEQUENCE_DEFAULTS[name]) {
+      return res.status(404).json({ message: `Unknown number series "${name}"` });
+    }
+
+    if (padding !== undefined && (isNaN(padding) || padding < 1 || padding > 12)) {
+      return res.status(400).json({ message: "Padding must be between 1 and 12 digits" });
+    }
+
+    if (prefix !== undefined && /[\s/\\?#]/.test(prefix)) {
+      return res.status(400).json({ message: "Prefix cannot contain spaces, slashes, '?' or '#'" });
+    }
+
+    const updates = { updatedBy: req.user?.id || "system" };
+    if (prefix !== undefined) updates.prefix = prefix.trim();
+    if (padding !== undefined) updates.padding = parseInt(padding);
+    if (separator !== undefined) updates.separator = separator;
+    if (includeFinancialYear !== undefined) updates.includeFinancialYear = Boolean(includeFinancialYear);
+
+    const format = await NumberFormat.findOneAndUpdate(
+      { name },
+      { $set: updates },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json(format);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
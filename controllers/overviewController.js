@@ -1,5 +1,6 @@
 // controllers/overviewController.js
-import SavedLoanDetail from '../models/SavedLoanDetail.js';
+import InstallmentLoan from '../models/InstallmentLoan.js';
+import { toSavedLoanView } from '../utils/installmentLoanService.js';
 
 // Helper functions (adapted from frontend for consistency)
 const parseDate = (dateStr) => {
@@ -45,7 +46,7 @@ const isSameMonth = (date1, date2) => {
 export const getOverviewData = async (req, res) => {
   try {
     const { date = new Date().toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }) } = req.query;
-    const loans = await SavedLoanDetail.find({}).limit(1000).lean();
+    const loans = (await InstallmentLoan.find({}).limit(1000).lean()).map(toSavedLoanView);
     const savedLoans = loans.map(loan => ({
       ...loan,
       installmentFrequency: (loan.installmentFrequency || 'Monthly').toLowerCase(),
@@ -120,7 +121,7 @@ export const getFilteredLoans = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Period and date are required' });
     }
 
-    const loans = await SavedLoanDetail.find({}).limit(1000).lean();
+    const loans = (await InstallmentLoan.find({}).limit(1000).lean()).map(toSavedLoanView);
     const savedLoans = loans.map(loan => ({
       ...loan,
       installmentFrequency: (loan.installmentFrequency || 'Monthly').toLowerCase(),
@@ -164,7 +165,7 @@ export const getReceivedPayments = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Date is required' });
     }
 
-    const loans = await SavedLoanDetail.find({}).limit(1000).lean();
+    const loans = (await InstallmentLoan.find({}).limit(1000).lean()).map(toSavedLoanView);
     const savedLoans = loans.map(loan => ({
       ...loan,
       installmentFrequency: (loan.installmentFrequency || 'Monthly').toLowerCase(),
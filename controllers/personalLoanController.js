@@ -1,51 +1,24 @@
-import PersonalLoan from "../models/PersonalLoan.js";
-
-// Helper function to calculate installments
-const calculateInstallments = (loanAmount, interestRate, numberOfInstallments, installmentFrequency, startDate) => {
-  const principal = parseFloat(loanAmount);
-  const rate = parseFloat(interestRate) / 100;
-  const totalInterest = principal * rate;
-  const totalAmount = principal + totalInterest;
-  const emi = totalAmount / numberOfInstallments;
-
-  const installments = [];
-  let remainingBalance = principal;
-  const loanStartDate = new Date(startDate);
-
-  for (let i = 1; i <= numberOfInstallments; i++) {
-    const interestAmount = emi * (totalInterest / totalAmount);
-    const principalAmount = emi - interestAmount;
-    remainingBalance -= principalAmount;
-
-    const dueDate = new Date(loanStartDate);
-    if (installmentFrequency === 'Daily') {
-      dueDate.setDate(loanStartDate.getDate() + i);
-    } else if (installmentFrequency === 'Weekly') {
-      dueDate.setDate(loanStartDate.getDate() + (i * 7));
-    } else if (installmentFrequency === 'Monthly') {
-      dueDate.setMonth(loanStartDate.getMonth() + i);
-    }
-
-    installments.push({
-      installmentNo: i,
-      dueDate,
-      emiAmount: parseFloat(emi.toFixed(2)),
-      principalAmount: parseFloat(principalAmount.toFixed(2)),
-      interestAmount: parseFloat(interestAmount.toFixed(2)),
-      remainingBalance: parseFloat(Math.max(0, remainingBalance).toFixed(2)),
-      status: 'Pending'
-    });
-  }
-
-  return { installments, totalInterest, totalAmount };
-};
+// controllers/personalLoanController.js
+// /api/personal-loans facade over the shared installment loan service
+import HolidayCalendar from '../models/HolidayCalendar.js';
+import InstallmentLoan from '../models/InstallmentLoan.js';
+import {
+  applyInstallmentPayment,
+  createInstallmentLoan,
+  findInstallmentLoan,
+  normalizeLoanInput,
+  summarizeLoans
+} from '../utils/installmentLoanService.js';
+import { buildInstallmentSchedule, validateScheduleTerms } from '../utils/installmentSchedule.js';
+import { getSystemDate } from '../utils/systemDate.js';
+
+const ORIGIN = 'PersonalLoan';
 
 // Create a new personal loan
 export const createPersonalLoan = async (req, res) => {
   try {
     const {
-      customerId, customerName, customerPhone, customerAddress,
-      loanAmount, interestRate, numberOfInstallments, installmentFrequency, startDate
+      customerId, customerName, loanAmount, numberOfInstallments
     } = req.body;
 
     if (!customerId || !customerName || !loanAmount || !numberOfInstallments) {
@@ -55,22 +28,19 @@ export const createPersonalLoan = async (req, res) => {
       });
     }
 
-    const loanId = `LOAN${Date.now()}`;
-    const { installments, totalInterest, totalAmount } = calculateInstallments(
-      loanAmount, interestRate, numberOfInstallments, installmentFrequency, startDate
-    );
-
-    const newLoan = new PersonalLoan({
-      loanId,
-      ...req.body,
-      loanAmount: parseFloat(loanAmount),
-      totalInterest,
-      totalAmount,
-      installments,
-      status: 'Active'
+    // The loan ID and schedule are always generated here
+    const { loanId, installments, ...terms } = req.body;
+    const { loan: savedLoan, rejection } = await createInstallmentLoan(terms, {
+      origin: ORIGIN,
+      createdBy: req.user?.id || 'system'
     });
+    if (rejection) {
+      return res.status(rejection.status).json({
+        success: false,
+        message: rejection.message
+      });
+    }
 
-    const savedLoan = await newLoan.save();
     res.status(201).json({
       success: true,
       message: 'Loan created successfully',
@@ -78,6 +48,12 @@ export const createPersonalLoan = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to create loan',
@@ -86,12 +62,39 @@ export const createPersonalLoan = async (req, res) => {
   }
 };
 
+// Preview the schedule for a set of terms without saving a loan
+export const previewSchedule = async (req, res) => {
+  try {
+    const terms = normalizeLoanInput(req.body);
+    const invalid = validateScheduleTerms(terms);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const calendar = await HolidayCalendar.forBranch(terms.branch);
+    res.json({
+      success: true,
+      data: buildInstallmentSchedule({ ...terms, calendar })
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview schedule',
+      error: error.message
+    });
+  }
+};
+
 // Get all loans with pagination
 export const getPersonalLoans = async (req, res) => {
   try {
     const { page = 1, limit = 10, customerId, status, search } = req.query;
     
-    const filter = {};
+    const filter = { origin: ORIGIN };
     if (customerId) filter.customerId = customerId;
     if (status) filter.status = status;
     if (search) {
@@ -103,12 +106,12 @@ export const getPersonalLoans = async (req, res) => {
     }
 
     const skip = (page - 1) * limit;
-    const loans = await PersonalLoan.find(filter)
+    const loans = await InstallmentLoan.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
-    const total = await PersonalLoan.countDocuments(filter);
+    const total = await InstallmentLoan.countDocuments(filter);
 
     res.json({
       success: true,
@@ -132,9 +135,7 @@ export const getPersonalLoans = async (req, res) => {
 // Get loan by ID
 export const getPersonalLoanById = async (req, res) => {
   try {
-    const loan = await PersonalLoan.findOne({
-      $or: [{ _id: req.params.id }, { loanId: req.params.id }]
-    });
+    const loan = await findInstallmentLoan(req.params.id);
 
     if (!loan) {
       return res.status(404).json({
@@ -157,11 +158,11 @@ export const getPersonalLoanById = async (req, res) => {
 // Update loan
 export const updatePersonalLoan = async (req, res) => {
   try {
-    const loan = await PersonalLoan.findOneAndUpdate(
-      { $or: [{ _id: req.params.id }, { loanId: req.params.id }] },
-      req.body,
-      { new: true }
-    );
+    const update = normalizeLoanInput(req.body);
+    ['_id', 'loanId', 'origin', 'legacyId', 'restructures', 'penaltyWaivers', 'auditTrail', 'createdAt', 'updatedAt'].forEach((key) => delete update[key]);
+
+    const existing = await findInstallmentLoan(req.params.id);
+    const loan = existing && await InstallmentLoan.findByIdAndUpdate(existing._id, update, { new: true });
 
     if (!loan) {
       return res.status(404).json({
@@ -188,9 +189,8 @@ export const updatePersonalLoan = async (req, res) => {
 // Delete loan
 export const deletePersonalLoan = async (req, res) => {
   try {
-    const loan = await PersonalLoan.findOneAndDelete({
-      $or: [{ _id: req.params.id }, { loanId: req.params.id }]
-    });
+    const existing = await findInstallmentLoan(req.params.id);
+    const loan = existing && await InstallmentLoan.findByIdAndDelete(existing._id);
 
     if (!loan) {
       return res.status(404).json({
@@ -218,9 +218,7 @@ export const markInstallmentPaid = async (req, res) => {
   try {
     const { installmentNo, paidAmount, paymentMethod = 'Cash' } = req.body;
 
-    const loan = await PersonalLoan.findOne({
-      $or: [{ _id: req.params.id }, { loanId: req.params.id }]
-    });
+    const loan = await findInstallmentLoan(req.params.id);
 
     if (!loan) {
       return res.status(404).json({
@@ -229,38 +227,26 @@ export const markInstallmentPaid = async (req, res) => {
       });
     }
 
-    const installment = loan.installments.find(inst => inst.installmentNo === installmentNo);
-    if (!installment || installment.status === 'Paid') {
+    if (installmentNo == null) {
       return res.status(400).json({
         success: false,
-        message: 'Installment not found or already paid'
+        message: 'Installment number is required'
       });
     }
 
-    // Update installment
-    installment.status = 'Paid';
-    installment.paidAmount = paidAmount || installment.emiAmount;
-    installment.paidDate = new Date();
-
-    // Add payment record
-    loan.payments.push({
-      paymentId: `PAY${Date.now()}`,
+    const { rejection } = await applyInstallmentPayment(loan, {
       installmentNo,
-      amount: installment.paidAmount,
-      fineAmount: 0,
-      totalAmount: installment.paidAmount,
+      amount: paidAmount,
       paymentMethod,
-      status: 'Received'
+      date: await getSystemDate(),
+      collectedBy: req.user?.name || 'system'
     });
-
-    // Update loan totals
-    loan.paidAmount += installment.paidAmount;
-    
-    // Check if all installments are paid
-    const allPaid = loan.installments.every(inst => inst.status === 'Paid');
-    if (allPaid) loan.status = 'Closed';
-
-    await loan.save();
+    if (rejection) {
+      return res.status(rejection.status).json({
+        success: false,
+        message: rejection.message
+      });
+    }
 
     res.json({
       success: true,
@@ -281,31 +267,13 @@ export const markInstallmentPaid = async (req, res) => {
 export const getLoanStatistics = async (req, res) => {
   try {
     const { customerId } = req.query;
-    const filter = customerId ? { customerId } : {};
-
-    const stats = await PersonalLoan.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: null,
-          totalLoans: { $sum: 1 },
-          activeLoans: { $sum: { $cond: [{ $eq: ['$status', 'Active'] }, 1, 0] } },
-          closedLoans: { $sum: { $cond: [{ $eq: ['$status', 'Closed'] }, 1, 0] } },
-          totalLoanAmount: { $sum: '$loanAmount' },
-          totalInterestAmount: { $sum: '$totalInterest' },
-          totalPaid: { $sum: '$paidAmount' }
-        }
-      }
-    ]);
-
-    const result = stats[0] || {
-      totalLoans: 0,
-      activeLoans: 0,
-      closedLoans: 0,
-      totalLoanAmount: 0,
-      totalInterestAmount: 0,
-      totalPaid: 0
-    };
+    const filter = { origin: ORIGIN };
+    if (customerId) filter.customerId = customerId;
+
+    const {
+      totalLoans, activeLoans, closedLoans, totalLoanAmount, totalInterestAmount, totalPaid
+    } = await summarizeLoans(filter);
+    const result = { totalLoans, activeLoans, closedLoans, totalLoanAmount, totalInterestAmount, totalPaid };
 
     res.json({ success: true, data: result });
 
@@ -0,0 +1,161 @@
+// controllers/receiptController.js
+import Voucher from "../models/Voucher.js";
+import AuctionTransfer from "../models/AuctionTransfer.js";
+import InstallmentLoan from "../models/InstallmentLoan.js";
+import { formatAmount, renderReceiptPdf, resolveDocumentLanguage } from "../utils/pdfDocuments.js";
+
+const CUSTOMER_FIELDS = "customerId fullName phoneNumber";
+
+// Gold voucher receipts: interest and principal payments, part releases and closures
+const findVoucherReceipt = async (receiptNo) => {
+  const voucher = await Voucher.findOne({
+    $or: [
+      { "paymentHistory.receiptNo": receiptNo },
+      { "releases.receiptNo": receiptNo },
+      { closureReceiptNo: receiptNo },
+    ],
+  })
+    .populate("customer", CUSTOMER_FIELDS)
+    .lean();
+  if (!voucher) return null;
+
+  const base = {
+    receiptNo,
+    referenceKey: "billNo",
+    reference: voucher.billNo,
+    customer: voucher.customer,
+  };
+
+  const payment = (voucher.paymentHistory || []).find((p) => p.receiptNo === receiptNo);
+  if (payment) {
+    const kind = payment.type === "principal" ? "principal" : "interest";
+    return {
+      ...base,
+      kind,
+      date: payment.date,
+      amount: payment.amount,
+      paymentMethod: payment.paymentMethod,
+      lines:
+        kind === "principal"
+          ? [["principalAfter", formatAmount(payment.principalAfter)]]
+          : [["months", payment.months]],
+    };
+  }
+
+  const release = (voucher.releases || []).find((r) => r.receiptNo === receiptNo);
+  if (release) {
+    return {
+      ...base,
+      kind: "release",
+      date: release.date,
+      amount: release.principalPaid,
+      paymentMethod: release.paymentMethod,
+      lines: [
+        ["itemsReleased", release.items.map((item) => `${item.name} (${item.netWeight} g)`).join(", ")],
+        ["principalAfter", formatAmount(release.principalAfter)],
+      ],
+    };
+  }
+
+  return {
+    ...base,
+    kind: "closure",
+    date: voucher.closedDate,
+    amount: voucher.finalAmountPaid,
+    paymentMethod: voucher.paymentMethod,
+    lines: [
+      ["loanAmount", formatAmount(voucher.finalLoanAmount)],
+      ["interestPaid", formatAmount(voucher.totalInterestPaid)],
+    ],
+  };
+};
+
+// Installment loan receipts, whichever API recorded the payment
+const findInstallmentReceipt = async (receiptNo) => {
+  const loan = await InstallmentLoan.findOne({ "payments.paymentId": receiptNo }).lean();
+  if (!loan) return null;
+
+  const payment = loan.payments.find((p) => p.paymentId === receiptNo);
+  const foreclosure = payment.type === "Foreclosure" ? loan.foreclosure : null;
+  const lines = [];
+  if (foreclosure) {
+    const closed = foreclosure.installmentsClosed;
+    lines.push(["installmentsClosed", closed.length > 1 ? `${closed[0]} - ${closed[closed.length - 1]}` : closed[0]]);
+    lines.push(["principalAfter", formatAmount(foreclosure.outstandingPrincipal)]);
+    if (foreclosure.rebate) lines.push(["rebate", formatAmount(foreclosure.rebate)]);
+    if (foreclosure.charges) lines.push(["foreclosureCharges", formatAmount(foreclosure.charges)]);
+  } else {
+    lines.push(["installmentNo", payment.installmentNo]);
+  }
+  if (payment.fineAmount) lines.push(["fine", formatAmount(payment.fineAmount)]);
+
+  return {
+    receiptNo,
+    kind: foreclosure ? "foreclosure" : "installment",
+    date: payment.date,
+    amount: payment.totalAmount,
+    paymentMethod: payment.paymentMethod,
+    referenceKey: "loanId",
+    reference: loan.loanId,
+    customer: {
+      fullName: loan.customerName,
+      customerId: loan.customerId,
+      phoneNumber: loan.customerPhone,
+    },
+    lines,
+  };
+};
+
+// Money recovered from a customer after their pledge sold at auction for less than was owed
+const findAuctionReceipt = async (receiptNo) => {
+  const transfer = await AuctionTransfer.findOne({ "shortfallRecoveries.receiptNo": receiptNo })
+    .populate("lot", "lotNo")
+    .lean();
+  if (!transfer) return null;
+
+  const recovery = transfer.shortfallRecoveries.find((r) => r.receiptNo === receiptNo);
+  const lines = [];
+  if (transfer.lot?.lotNo) lines.push(["lotNo", transfer.lot.lotNo]);
+  if (recovery.shortfallAfter != null) lines.push(["shortfallAfter", formatAmount(recovery.shortfallAfter)]);
+
+  return {
+    receiptNo,
+    kind: "auctionShortfall",
+    date: recovery.date,
+    amount: recovery.amount,
+    paymentMethod: recovery.paymentMethod,
+    referenceKey: "billNo",
+    reference: transfer.billNo,
+    customer: transfer.customer,
+    lines,
+  };
+};
+
+// @desc    Download a receipt by its number
+// @route   GET /api/receipts/:receiptNo.pdf?lang=en|ta|bilingual
+// @access  Private
+export const getReceiptPdf = async (req, res) => {
+  try {
+    const { receiptNo } = req.params;
+
+    const { lang, error, status } = resolveDocumentLanguage(req.query.lang);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const receipt =
+      (await findVoucherReceipt(receiptNo)) ||
+      (await findInstallmentReceipt(receiptNo)) ||
+      (await findAuctionReceipt(receiptNo));
+    if (!receipt) {
+      return res.status(404).json({ message: "Receipt not found" });
+    }
+
+    const pdf = await renderReceiptPdf(receipt, lang);
+    res.set("Content-Disposition", `inline; filename="receipt-${receiptNo}.pdf"`);
+    res.type("pdf").send(pdf);
+  } catch (err) {
+    console.error("❌ Error generating receipt:", err.message);
+    res.status(err.status || 500).json({ message: err.status ? err.message : "Server Error" });
+  }
+};
@@ -1,5 +1,19 @@
-import SavedLoanDetail from '../models/SavedLoanDetail.js';
-import mongoose from 'mongoose';
+// controllers/savedLoanDetailController.js
+// /api/saved-loans facade over the shared installment loan service. Dates go
+// out as DD/MM/YYYY strings, as this API has always returned them.
+import InstallmentLoan from '../models/InstallmentLoan.js';
+import {
+  applyInstallmentPayment,
+  createInstallmentLoan,
+  formatLoanDate,
+  normalizeLoanInput,
+  rescheduleInstallmentLoan,
+  summarizeLoans,
+  toSavedLoanView
+} from '../utils/installmentLoanService.js';
+import { getSystemDate } from '../utils/systemDate.js';
+
+const ORIGIN = 'SavedLoanDetail';
 
 // Get all saved loans with filtering, sorting, and pagination
 export const getSavedLoans = async (req, res) => {
@@ -17,7 +31,7 @@ export const getSavedLoans = async (req, res) => {
     } = req.query;
 
     // Build filter query
-    const filter = {};
+    const filter = { origin: ORIGIN };
     
     if (status) {
       filter.status = status;
@@ -50,14 +64,16 @@ export const getSavedLoans = async (req, res) => {
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
     // Execute query
-    const loans = await SavedLoanDetail.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean(); // Use lean() for better performance
+    const loans = (
+      await InstallmentLoan.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean() // Use lean() for better performance
+    ).map(toSavedLoanView);
 
     // Get total count for pagination
-    const totalCount = await SavedLoanDetail.countDocuments(filter);
+    const totalCount = await InstallmentLoan.countDocuments(filter);
     
     // Calculate pagination info
     const totalPages = Math.ceil(totalCount / parseInt(limit));
@@ -98,7 +114,7 @@ export const getSavedLoanById = async (req, res) => {
   try {
     const { loanId } = req.params;
 
-    const loan = await SavedLoanDetail.findOne({ loanId }).lean();
+    const loan = toSavedLoanView(await InstallmentLoan.findOne({ loanId }).lean());
 
     if (!loan) {
       return res.status(404).json({
@@ -109,15 +125,12 @@ export const getSavedLoanById = async (req, res) => {
     }
 
     // Add calculated statistics for this loan
+    const totalPaidAmount = loan.installments.reduce((sum, inst) => sum + (inst.paidAmount || 0), 0);
     const loanStats = {
       activeInstallments: loan.installments.filter(inst => inst.status !== 'Paid').length,
       paidInstallments: loan.installments.filter(inst => inst.status === 'Paid').length,
-      totalPaidAmount: loan.installments
-        .filter(inst => inst.status === 'Paid')
-        .reduce((sum, inst) => sum + (inst.paidAmount || 0), 0),
-      remainingAmount: loan.totalAmount - loan.installments
-        .filter(inst => inst.status === 'Paid')
-        .reduce((sum, inst) => sum + (inst.paidAmount || 0), 0)
+      totalPaidAmount,
+      remainingAmount: loan.totalAmount - totalPaidAmount
     };
 
     res.json({
@@ -142,11 +155,6 @@ export const createSavedLoan = async (req, res) => {
   try {
     const loanData = req.body;
 
-    // Generate loan ID if not provided
-    if (!loanData.loanId) {
-      loanData.loanId = SavedLoanDetail.generateLoanId();
-    }
-
     // Validate required fields
     const requiredFields = ['customerName', 'customerPhone', 'customerAddress', 'loanAmount', 'interestRate', 'numberOfInstallments', 'installmentFrequency', 'startDate'];
     const missingFields = requiredFields.filter(field => !loanData[field]);
@@ -160,14 +168,23 @@ export const createSavedLoan = async (req, res) => {
       });
     }
 
-    // Create the loan
-    const savedLoan = new SavedLoanDetail(loanData);
-    await savedLoan.save();
+    // Create the loan; the loan ID is generated when not provided
+    const { loan: savedLoan, rejection } = await createInstallmentLoan(loanData, {
+      origin: ORIGIN,
+      createdBy: req.user?.id || loanData.createdBy || 'system'
+    });
+    if (rejection) {
+      return res.status(rejection.status).json({
+        success: false,
+        message: rejection.message,
+        timestamp: new Date().toISOString()
+      });
+    }
 
     res.status(201).json({
       success: true,
       message: 'Loan created successfully',
-      data: savedLoan,
+      data: toSavedLoanView(savedLoan),
       timestamp: new Date().toISOString()
     });
 
@@ -183,6 +200,13 @@ export const createSavedLoan = async (req, res) => {
         timestamp: new Date().toISOString()
       });
     }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
 
     res.status(500).json({
       success: false,
@@ -197,18 +221,23 @@ export const createSavedLoan = async (req, res) => {
 export const updateSavedLoan = async (req, res) => {
   try {
     const { loanId } = req.params;
-    const updateData = req.body;
+    const updateData = normalizeLoanInput(req.body);
 
     // Remove fields that shouldn't be updated
     delete updateData._id;
     delete updateData.loanId;
+    delete updateData.origin;
+    delete updateData.legacyId;
+    delete updateData.restructures;
+    delete updateData.penaltyWaivers;
+    delete updateData.auditTrail;
     delete updateData.createdAt;
     delete updateData.updatedAt;
 
     // Add lastUpdatedBy field
     updateData.lastUpdatedBy = req.user?.id || 'system';
 
-    const updatedLoan = await SavedLoanDetail.findOneAndUpdate(
+    const updatedLoan = await InstallmentLoan.findOneAndUpdate(
       { loanId },
       { $set: updateData },
       { new: true, runValidators: true }
@@ -225,7 +254,7 @@ export const updateSavedLoan = async (req, res) => {
     res.json({
       success: true,
       message: 'Loan updated successfully',
-      data: updatedLoan,
+      data: toSavedLoanView(updatedLoan),
       timestamp: new Date().toISOString()
     });
 
@@ -245,7 +274,7 @@ export const deleteSavedLoan = async (req, res) => {
   try {
     const { loanId } = req.params;
 
-    const deletedLoan = await SavedLoanDetail.findOneAndDelete({ loanId });
+    const deletedLoan = await InstallmentLoan.findOneAndDelete({ loanId });
 
     if (!deletedLoan) {
       return res.status(404).json({
@@ -279,7 +308,7 @@ export const markInstallmentPaid = async (req, res) => {
     const { loanId, installmentNo } = req.params;
     const { paidAmount, fineAmount = 0, paymentMethod = 'Cash', notes = '' } = req.body;
 
-    const loan = await SavedLoanDetail.findOne({ loanId });
+    const loan = await InstallmentLoan.findOne({ loanId });
 
     if (!loan) {
       return res.status(404).json({
@@ -289,47 +318,23 @@ export const markInstallmentPaid = async (req, res) => {
       });
     }
 
-    // Find the installment
-    const installment = loan.installments.find(inst => inst.installmentNo === parseInt(installmentNo));
-
-    if (!installment) {
-      return res.status(404).json({
-        success: false,
-        message: 'Installment not found',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    if (installment.status === 'Paid') {
-      return res.status(400).json({
+    const result = await applyInstallmentPayment(loan, {
+      installmentNo,
+      amount: paidAmount,
+      fineAmount,
+      paymentMethod,
+      notes,
+      date: await getSystemDate(),
+      collectedBy: req.user?.name || 'system'
+    });
+    if (result.rejection) {
+      return res.status(result.rejection.status).json({
         success: false,
-        message: 'Installment already paid',
+        message: result.rejection.message,
         timestamp: new Date().toISOString()
       });
     }
-
-    // Update installment
-    installment.status = 'Paid';
-    installment.paidAmount = paidAmount || installment.emiAmount;
-    installment.paidDate = new Date().toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
-
-    // Add payment record
-    const payment = {
-      paymentId: `PAY${Date.now()}`,
-      installmentNo: parseInt(installmentNo),
-      amount: paidAmount || installment.emiAmount,
-      fineAmount,
-      totalAmount: (paidAmount || installment.emiAmount) + fineAmount,
-      date: new Date().toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }),
-      status: 'Received',
-      paymentMethod,
-      notes
-    };
-
-    loan.payments.push(payment);
-
-    // Save the loan
-    await loan.save();
+    const payment = { ...result.payment, date: formatLoanDate(result.payment.date) };
 
     res.json({
       success: true,
@@ -354,58 +359,90 @@ export const markInstallmentPaid = async (req, res) => {
   }
 };
 
+// Reschedule the unpaid part of a loan (restructure)
+export const rescheduleLoan = async (req, res) => {
+  try {
+    const { loanId } = req.params;
+    const {
+      outstandingBalance,
+      moratoriumPeriods,
+      numberOfInstallments,
+      installmentFrequency,
+      interestRate,
+      scheduleType,
+      effectiveDate,
+      reason,
+      approvedBy
+    } = req.body;
+
+    const loan = await InstallmentLoan.findOne({ loanId });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await rescheduleInstallmentLoan(loan, {
+      outstandingBalance,
+      moratoriumPeriods,
+      numberOfInstallments,
+      installmentFrequency: installmentFrequency || undefined,
+      interestRate: interestRate ?? undefined,
+      scheduleType: scheduleType || undefined,
+      effectiveDate: effectiveDate || undefined,
+      reason,
+      approvedBy,
+      createdBy: req.user?.name || 'system'
+    });
+    if (result.rejection) {
+      return res.status(result.rejection.status).json({
+        success: false,
+        message: result.rejection.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const view = toSavedLoanView(result.loan);
+    res.json({
+      success: true,
+      message: 'Loan rescheduled successfully',
+      data: {
+        loan: view,
+        restructure: view.restructures[view.restructures.length - 1]
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error rescheduling loan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule loan',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
 // Get loan statistics
 export const getLoanStatistics = async () => {
   try {
-    const stats = await SavedLoanDetail.aggregate([
-      {
-        $facet: {
-          totalStats: [
-            {
-              $group: {
-                _id: null,
-                totalLoans: { $sum: 1 },
-                totalLoanAmount: { $sum: '$loanAmount' },
-                totalInterestAmount: { $sum: '$totalInterest' },
-                totalAmount: { $sum: '$totalAmount' },
-                totalPaidAmount: { $sum: '$paidAmount' }
-              }
-            }
-          ],
-          statusStats: [
-            {
-              $group: {
-                _id: '$status',
-                count: { $sum: 1 },
-                totalAmount: { $sum: '$totalAmount' }
-              }
-            }
-          ],
-          frequencyStats: [
-            {
-              $group: {
-                _id: '$installmentFrequency',
-                count: { $sum: 1 },
-                avgLoanAmount: { $avg: '$loanAmount' }
-              }
-            }
-          ]
-        }
-      }
-    ]);
+    const { byStatus, byFrequency, totalLoans, totalLoanAmount, totalInterestAmount, totalAmount, totalPaid } =
+      await summarizeLoans({ origin: ORIGIN });
 
-    const result = stats[0];
-    
     return {
-      total: result.totalStats[0] || {
-        totalLoans: 0,
-        totalLoanAmount: 0,
-        totalInterestAmount: 0,
-        totalAmount: 0,
-        totalPaidAmount: 0
+      total: {
+        totalLoans,
+        totalLoanAmount,
+        totalInterestAmount,
+        totalAmount,
+        totalPaidAmount: totalPaid
       },
-      byStatus: result.statusStats,
-      byFrequency: result.frequencyStats
+      byStatus,
+      byFrequency
     };
 
   } catch (error) {
@@ -459,14 +496,20 @@ export const bulkUpdateLoans = async (req, res) => {
     }
 
     // Remove fields that shouldn't be bulk updated
-    delete updateData._id;
-    delete updateData.loanId;
-    delete updateData.createdAt;
-    delete updateData.updatedAt;
-
-    const result = await SavedLoanDetail.updateMany(
+    const update = normalizeLoanInput(updateData);
+    delete update._id;
+    delete update.loanId;
+    delete update.origin;
+    delete update.legacyId;
+    delete update.restructures;
+    delete update.penaltyWaivers;
+    delete update.auditTrail;
+    delete update.createdAt;
+    delete update.updatedAt;
+
+    const result = await InstallmentLoan.updateMany(
       { loanId: { $in: loanIds } },
-      { $set: updateData }
+      { $set: update }
     );
 
     res.json({
@@ -503,7 +546,8 @@ export const searchLoans = async (req, res) => {
       });
     }
 
-    const searchResults = await SavedLoanDetail.find({
+    const searchResults = (await InstallmentLoan.find({
+      origin: ORIGIN,
       $or: [
         { customerName: { $regex: query, $options: 'i' } },
         { customerId: { $regex: query, $options: 'i' } },
@@ -513,7 +557,7 @@ export const searchLoans = async (req, res) => {
     })
     .limit(parseInt(limit))
     .sort({ createdAt: -1 })
-    .lean();
+    .lean()).map(toSavedLoanView);
 
     res.json({
       success: true,
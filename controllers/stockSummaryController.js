@@ -2,6 +2,12 @@ import StockSummary from '../models/StockSummary.js';
 import DayBook from '../models/DayBook.js';
 import Voucher from '../models/Voucher.js';
 import Customer from '../models/Customer.js';
+import {
+  computeVoucherPayoff,
+  getOutstandingPrincipal,
+  loadInterestPolicy
+} from '../utils/interestCalculator.js';
+import { getSystemDate } from '../utils/systemDate.js';
 
 // Helper function to create DayBook model safely
 const createDayBookModel = () => {
@@ -13,6 +19,26 @@ const createDayBookModel = () => {
   }
 };
 
+// Helper function to get the principal still owed on a voucher; interest is
+// reported separately in the payoff fields
+const getBalanceAmount = (voucher) =>
+  ['Closed', 'Auctioned'].includes(voucher.status) ? 0 : getOutstandingPrincipal(voucher);
+
+// Helper function to get payoff figures that match the ledger and voucher closure
+const getPayoffFields = (voucher, interestPolicy, asOf) => {
+  if (['Closed', 'Auctioned'].includes(voucher.status)) {
+    return { outstandingPrincipal: 0, accruedInterest: voucher.totalInterestPaid || 0, interestDue: 0, payoffAmount: 0 };
+  }
+
+  const payoff = computeVoucherPayoff(voucher, asOf, interestPolicy);
+  return {
+    outstandingPrincipal: getOutstandingPrincipal(voucher),
+    accruedInterest: payoff.totalInterest,
+    interestDue: payoff.interestDue,
+    payoffAmount: payoff.payoffAmount
+  };
+};
+
 // Helper function to extract loan data from daybooks
 const extractLoanDataFromDayBooks = async () => {
   try {
@@ -137,11 +163,13 @@ export const createOrUpdateStockSummary = async (req, res) => {
           .sort({ disbursementDate: -1 });
         
         console.log(`Processing ${vouchers.length} vouchers...`);
+        const interestPolicy = await loadInterestPolicy();
+        const payoffDate = await getSystemDate();
         
         loans = vouchers.map(voucher => {
           const dueDate = new Date(voucher.dueDate);
           const today = new Date();
-          const isOverdue = dueDate < today && !['Closed'].includes(voucher.status);
+          const isOverdue = dueDate < today && !['Closed', 'Auctioned'].includes(voucher.status);
           const daysOverdue = isOverdue ? Math.ceil((today - dueDate) / (1000 * 60 * 60 * 24)) : 0;
           
           return {
@@ -162,11 +190,12 @@ export const createOrUpdateStockSummary = async (req, res) => {
             dueDate: voucher.dueDate,
             status: voucher.status,
             loanStatus: isOverdue ? 'overdue' : 
-                       voucher.status === 'Closed' ? 'closed' :
+                       ['Closed', 'Auctioned'].includes(voucher.status) ? 'closed' :
                        ['Active', 'Partial'].includes(voucher.status) ? 'active' : 'inactive',
             repaidAmount: voucher.repaidAmount || 0,
-            balanceAmount: voucher.balanceAmount || voucher.overallLoanAmount,
+            balanceAmount: getBalanceAmount(voucher),
             paymentProgress: voucher.paymentProgress || 0,
+            ...getPayoffFields(voucher, interestPolicy, payoffDate),
             daysOverdue: daysOverdue,
             lastPaymentDate: voucher.lastPaymentDate,
             monthsPaid: voucher.monthsPaid || 0,
@@ -266,11 +295,13 @@ export const getStockSummary = async (req, res) => {
             const vouchers = await Voucher.find({})
               .populate('customer', 'fullName phoneNumber address email customerId')
               .sort({ disbursementDate: -1 });
+            const interestPolicy = await loadInterestPolicy();
+            const payoffDate = await getSystemDate();
             
             loans = vouchers.map(voucher => {
               const dueDate = new Date(voucher.dueDate);
               const today = new Date();
-              const isOverdue = dueDate < today && !['Closed'].includes(voucher.status);
+              const isOverdue = dueDate < today && !['Closed', 'Auctioned'].includes(voucher.status);
               const daysOverdue = isOverdue ? Math.ceil((today - dueDate) / (1000 * 60 * 60 * 24)) : 0;
               
               return {
@@ -291,11 +322,12 @@ export const getStockSummary = async (req, res) => {
                 dueDate: voucher.dueDate,
                 status: voucher.status,
                 loanStatus: isOverdue ? 'overdue' : 
-                           voucher.status === 'Closed' ? 'closed' :
+                           ['Closed', 'Auctioned'].includes(voucher.status) ? 'closed' :
                            ['Active', 'Partial'].includes(voucher.status) ? 'active' : 'inactive',
                 repaidAmount: voucher.repaidAmount || 0,
-                balanceAmount: voucher.balanceAmount || voucher.overallLoanAmount,
+                balanceAmount: getBalanceAmount(voucher),
                 paymentProgress: voucher.paymentProgress || 0,
+                ...getPayoffFields(voucher, interestPolicy, payoffDate),
                 daysOverdue: daysOverdue,
                 voucherId: voucher._id,
                 sourceType: 'voucher',
@@ -484,6 +516,9 @@ export const getStockSummary = async (req, res) => {
       repaidAmount: loan.repaidAmount,
       balanceAmount: loan.balanceAmount,
       paymentProgress: loan.paymentProgress,
+      accruedInterest: loan.accruedInterest,
+      interestDue: loan.interestDue,
+      payoffAmount: loan.payoffAmount,
       daysOverdue: loan.daysOverdue
     }));
 
@@ -1,11 +1,40 @@
 // controllers/voucherController.js
 import Voucher from "../models/Voucher.js";
+import AuctionTransfer from "../models/AuctionTransfer.js";
 import Trash from "../models/Trash.js";
+import InterestRate from "../models/InterestRate.js";
 import mongoose from "mongoose";
+import { appraiseVoucher, toValuationSnapshot } from "../utils/valuation.js";
+import {
+  addMonths,
+  computeVoucherPayoff,
+  getOutstandingPrincipal,
+  getPrincipalPayments,
+  loadInterestPolicy,
+} from "../utils/interestCalculator.js";
+import { getSystemDate } from "../utils/systemDate.js";
+import { nextNumber } from "../utils/sequence.js";
+import { renderPledgeTicketPdf, resolveDocumentLanguage } from "../utils/pdfDocuments.js";
 
 // Helper: Validate MongoDB ObjectId
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 
+// Vouchers in these statuses owe nothing more and accept no further changes
+const SETTLED_STATUSES = ["Closed", "Auctioned"];
+
+// A voucher in an open auction transfer can only be closed (which withdraws
+// the transfer); renewing, part release or part payment would leave the
+// auction selling jewels or a loan that is no longer what was transferred
+const auctionHoldRejection = async (voucher) => {
+  const transfer = await AuctionTransfer.findOne({
+    voucherId: voucher._id,
+    status: { $in: AuctionTransfer.OPEN_STATUSES },
+  }).lean();
+  return transfer
+    ? `Voucher is held for auction (${transfer.status.toLowerCase()}); close it or remove it from the auction first`
+    : null;
+};
+
 // @desc    Get all vouchers
 // @route   GET /api/vouchers
 // @access  Private
@@ -47,20 +76,237 @@ export const getVoucherById = async (req, res) => {
   }
 };
 
+// @desc    Download the pledge ticket for a voucher
+// @route   GET /api/vouchers/:id/ticket.pdf?lang=en|ta|bilingual
+// @access  Private
+export const getVoucherTicketPdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid voucher ID" });
+    }
+
+    const { lang, error, status } = resolveDocumentLanguage(req.query.lang);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const voucher = await Voucher.findById(id)
+      .populate("customer", "customerId fullName fatherSpouse phoneNumber address photo")
+      .lean();
+    if (!voucher) {
+      return res.status(404).json({ message: "Voucher not found" });
+    }
+
+    const pdf = await renderPledgeTicketPdf(voucher, lang);
+    res.set("Content-Disposition", `inline; filename="ticket-${voucher.billNo}.pdf"`);
+    res.type("pdf").send(pdf);
+  } catch (err) {
+    console.error("❌ Error generating pledge ticket:", err.message);
+    res.status(err.status || 500).json({ message: err.status ? err.message : "Server Error" });
+  }
+};
+
+// @desc    Quote what it costs to redeem a voucher on a date (read-only)
+// @route   GET /api/vouchers/:id/payoff?asOf=YYYY-MM-DD
+// @access  Private
+export const getVoucherPayoff = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { asOf } = req.query;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid voucher ID" });
+    }
+
+    // Dates are stored as UTC midnight, so a quote date is read the same way
+    let quoteDate;
+    if (asOf) {
+      quoteDate = /^\d{4}-\d{2}-\d{2}$/.test(asOf) ? new Date(asOf) : null;
+      if (!quoteDate || isNaN(quoteDate.getTime())) {
+        return res.status(400).json({ message: "asOf must be a date in YYYY-MM-DD format" });
+      }
+    } else {
+      quoteDate = await getSystemDate();
+    }
+
+    const voucher = await Voucher.findById(id).lean();
+    if (!voucher) {
+      return res.status(404).json({ message: "Voucher not found" });
+    }
+    if (SETTLED_STATUSES.includes(voucher.status)) {
+      return res.status(400).json({ message: `Loan is already ${voucher.status.toLowerCase()}` });
+    }
+    if (quoteDate < new Date(voucher.disbursementDate)) {
+      return res.status(400).json({ message: "asOf cannot be before the disbursement date" });
+    }
+
+    const policy = await loadInterestPolicy();
+    const payoff = computeVoucherPayoff(voucher, quoteDate, policy);
+
+    // Processing fees are taken when the loan is disbursed, so they are shown
+    // for reference but are not part of the amount needed to redeem
+    res.status(200).json({
+      voucherId: voucher._id,
+      billNo: voucher.billNo,
+      asOf: payoff.asOf,
+      disbursementDate: payoff.startDate,
+      dueDate: payoff.dueDate,
+      interestRate: payoff.interestRate,
+      accrualMethod: payoff.accrualMethod,
+      days: payoff.days,
+      months: payoff.months,
+      principalOutstanding: payoff.principal,
+      periods: payoff.periods,
+      regularInterest: payoff.regularInterest,
+      penalInterest: payoff.penalInterest,
+      totalInterest: payoff.totalInterest,
+      processingFees: Number(voucher.processingFees || 0),
+      paymentHistory: (voucher.paymentHistory || []).map((p) => ({
+        type: p.type || "interest",
+        amount: p.amount,
+        months: p.months,
+        principalAfter: p.principalAfter,
+        date: p.date,
+      })),
+      principalRepaid: payoff.principalRepaid,
+      interestPaid: payoff.interestPaid,
+      interestDue: payoff.interestDue,
+      totalPayable: payoff.payoffAmount,
+    });
+  } catch (err) {
+    console.error("❌ Error quoting voucher payoff:", err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// Helper: Summarise the interest slab applied to a voucher
+const describeSlab = (slab) =>
+  slab && {
+    id: slab._id,
+    interest: slab.interest,
+    minAmount: slab.minAmount,
+    maxAmount: slab.maxAmount,
+  };
+
+// @desc    Preview loan eligibility and interest slab before issuing a bill
+// @route   POST /api/vouchers/quote
+// @access  Private
+export const quoteVoucher = async (req, res) => {
+  try {
+    const valuation = await appraiseVoucher(req.body);
+
+    // Without a requested amount, quote the slab for the full eligible amount
+    const amount = valuation.requestedAmount || valuation.eligibleAmount;
+    const slab = await InterestRate.findSlab(valuation.metalType, amount);
+
+    res.status(200).json({
+      ...valuation,
+      interestSlab: describeSlab(slab),
+      interestRate: slab ? slab.interest : null,
+    });
+  } catch (err) {
+    console.error("❌ Error quoting voucher:", err.message);
+    res.status(err.status || 500).json({ message: err.status ? err.message : "Server Error" });
+  }
+};
+
+// Helper: Value the jewellery server-side and pick the interest slab. Loans
+// above the eligible amount are rejected unless a reason is given, in which
+// case they are flagged. Resolves to { terms } with the fields to save on the
+// voucher, or to { rejection: { status, body } }.
+const priceLoan = async (data, req) => {
+  const { ltvOverrideReason } = data;
+
+  let valuation;
+  try {
+    valuation = await appraiseVoucher(data);
+  } catch (err) {
+    if (err.status) return { rejection: { status: err.status, body: { message: err.message } } };
+    throw err;
+  }
+
+  if (valuation.exceedsLtv && !ltvOverrideReason?.trim()) {
+    return {
+      rejection: {
+        status: 400,
+        body: { message: `Loan amount exceeds the eligible amount of ₹${valuation.eligibleAmount}`, valuation },
+      },
+    };
+  }
+
+  // The interest rate always comes from the slab for this metal and amount
+  const slab = await InterestRate.findSlab(valuation.metalType, valuation.requestedAmount);
+  if (!slab) {
+    return {
+      rejection: {
+        status: 400,
+        body: { message: `No ${valuation.metalType} interest slab covers a loan of ₹${valuation.requestedAmount}` },
+      },
+    };
+  }
+
+  const requestedRate = data.interestRate;
+  if (requestedRate !== undefined && requestedRate !== "" && parseFloat(requestedRate) !== slab.interest) {
+    return {
+      rejection: {
+        status: 400,
+        body: {
+          message: `Interest rate ${requestedRate}% does not match the applicable slab rate of ${slab.interest}%`,
+          interestSlab: describeSlab(slab),
+        },
+      },
+    };
+  }
+
+  // Appraiser is the logged-in user when a token was sent, else the id the counter supplied
+  const appraiserId = req.user?.id || data.appraisedBy;
+
+  return {
+    terms: {
+      interestRate: slab.interest,
+      interestSlab: slab._id,
+      ltvExceeded: valuation.exceedsLtv,
+      ltvOverrideReason: valuation.exceedsLtv ? ltvOverrideReason.trim() : "",
+      valuation: toValuationSnapshot(valuation, {
+        appraisedBy: isValidObjectId(appraiserId) ? appraiserId : null,
+        appraisedByName: req.user?.name || data.appraisedByName,
+      }),
+    },
+  };
+};
+
 // @desc    Create a new voucher
 // @route   POST /api/vouchers
 // @access  Private
 export const createVoucher = async (req, res) => {
   try {
-    const { billNo } = req.body;
+    // Bills are numbered by the server unless one is keyed in from a manual book
+    if (req.body.billNo) {
+      const existingVoucher = await Voucher.findOne({ billNo: req.body.billNo });
+      if (existingVoucher) {
+        return res.status(400).json({ message: "Bill number already exists" });
+      }
+    }
 
-    // Check if bill number already exists
-    const existingVoucher = await Voucher.findOne({ billNo });
-    if (existingVoucher) {
-      return res.status(400).json({ message: "Bill number already exists" });
+    const { terms, rejection } = await priceLoan(req.body, req);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
     }
 
-    const newVoucher = new Voucher(req.body);
+    // A voucher that fails validation uses up no bill number. Backdated bills
+    // are numbered in the financial year they were disbursed in.
+    const newVoucher = new Voucher({ ...req.body, ...terms });
+    try {
+      await newVoucher.validate({ pathsToSkip: req.body.billNo ? [] : ["billNo"] });
+    } catch (err) {
+      if (err.name === "ValidationError") {
+        return res.status(400).json({ message: err.message });
+      }
+      throw err;
+    }
+    if (!newVoucher.billNo) {
+      newVoucher.billNo = await nextNumber("billNo", { branch: newVoucher.branch, date: newVoucher.disbursementDate });
+    }
     const savedVoucher = await newVoucher.save();
 
     // Populate customer for response
@@ -71,11 +317,229 @@ export const createVoucher = async (req, res) => {
 
     res.status(201).json(populatedVoucher);
   } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "Bill number already exists" });
+    }
     console.error("❌ Error creating voucher:", err.message);
     res.status(500).json({ message: "Error creating voucher", error: err.message });
   }
 };
 
+// Helper: Whole months of interest between two dates (part months round up)
+const tenureMonths = (from, to) => {
+  let months = 0;
+  while (addMonths(from, months) < to) months++;
+  return Math.max(1, months);
+};
+
+// @desc    Renew a voucher: settle interest, re-price the principal at today's
+//          rate and issue a new bill for the same jewellery
+// @route   POST /api/vouchers/:id/renew
+// @access  Private
+export const renewVoucher = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid voucher ID" });
+    }
+
+    const parent = await Voucher.findById(id);
+    if (!parent) {
+      return res.status(404).json({ message: "Voucher not found" });
+    }
+    if (SETTLED_STATUSES.includes(parent.status)) {
+      return res.status(400).json({ message: `Loan is already ${parent.status.toLowerCase()}` });
+    }
+    const auctionHold = await auctionHoldRejection(parent);
+    if (auctionHold) {
+      return res.status(409).json({ message: auctionHold });
+    }
+    if (req.body.billNo && (await Voucher.findOne({ billNo: req.body.billNo }))) {
+      return res.status(400).json({ message: "Bill number already exists" });
+    }
+
+    const renewalDate = await getSystemDate();
+    const policy = await loadInterestPolicy();
+    const payoff = computeVoucherPayoff(parent, renewalDate, policy);
+
+    // Principal carries over unless the customer tops it up or pays part of it down
+    const newPrincipal =
+      req.body.loanAmount !== undefined && req.body.loanAmount !== ""
+        ? parseFloat(req.body.loanAmount)
+        : payoff.principal;
+    if (!(newPrincipal > 0)) {
+      return res.status(400).json({ message: "Renewed loan amount must be greater than zero" });
+    }
+
+    // Same tenure as the parent unless a new due date is given
+    const dueDate = req.body.dueDate
+      ? new Date(req.body.dueDate)
+      : addMonths(renewalDate, tenureMonths(parent.disbursementDate, parent.dueDate));
+    if (isNaN(dueDate.getTime()) || dueDate <= renewalDate) {
+      return res.status(400).json({ message: "Due date must be after the renewal date" });
+    }
+
+    const jewelryItems = parent.jewelryItems.map((item) => {
+      const { _id, ...rest } = item.toObject();
+      return rest;
+    });
+
+    const { terms, rejection } = await priceLoan(
+      {
+        jewelType: parent.jewelType,
+        netWeight: parent.netWeight,
+        jewelryItems,
+        finalLoanAmount: newPrincipal,
+        disbursementDate: renewalDate,
+        interestRate: req.body.interestRate,
+        ltvOverrideReason: req.body.ltvOverrideReason,
+        appraisedBy: req.body.appraisedBy,
+        appraisedByName: req.body.appraisedByName,
+      },
+      req
+    );
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    const interestAmount =
+      Math.round(newPrincipal * (terms.interestRate / 100) * tenureMonths(renewalDate, dueDate) * 100) / 100;
+
+    const renewed = new Voucher({
+      billNo: req.body.billNo,
+      branch: parent.branch,
+      customer: parent.customer,
+      jewelType: parent.jewelType,
+      grossWeight: parent.grossWeight,
+      deductionWeight: parent.deductionWeight,
+      netWeight: parent.netWeight,
+      jewelryItems,
+      loanType: parent.loanType,
+      loanAmount: newPrincipal,
+      finalLoanAmount: newPrincipal,
+      interestAmount,
+      overallLoanAmount: newPrincipal + interestAmount,
+      disbursementDate: renewalDate,
+      dueDate,
+      paymentMethod: req.body.paymentMethod || parent.paymentMethod,
+      notes: req.body.notes,
+      renewedFrom: parent._id,
+      renewalRoot: parent.renewalRoot || parent._id,
+      renewalCount: (parent.renewalCount || 0) + 1,
+      ...terms,
+    });
+
+    // The parent is settled by the renewal: interest is paid, principal rolls over
+    parent.status = "Closed";
+    parent.closedDate = payoff.asOf;
+    parent.monthsPaid = payoff.months;
+    parent.totalInterestPaid = Math.max(payoff.interestPaid, payoff.totalInterest);
+    parent.finalAmountPaid = payoff.payoffAmount;
+    parent.outstandingPrincipal = 0;
+    parent.renewedTo = renewed._id;
+
+    // Validate both vouchers before a bill number is drawn, so a rejected
+    // renewal does not leave a gap in the bill series
+    try {
+      await renewed.validate({ pathsToSkip: req.body.billNo ? [] : ["billNo"] });
+      await parent.validate();
+    } catch (err) {
+      if (err.name === "ValidationError") {
+        return res.status(400).json({ message: err.message });
+      }
+      throw err;
+    }
+
+    if (!renewed.billNo) {
+      renewed.billNo = await nextNumber("billNo", { branch: parent.branch, date: renewalDate });
+    }
+    await renewed.save();
+    try {
+      await parent.save();
+    } catch (err) {
+      await renewed.deleteOne();
+      throw err;
+    }
+
+    const populatedVoucher = await Voucher.findById(renewed._id).populate(
+      "customer",
+      "customerId fullName phoneNumber"
+    );
+
+    // Positive: cash handed to the customer (top-up); negative: cash collected
+    res.status(201).json({
+      voucher: populatedVoucher,
+      settlement: {
+        parentBillNo: parent.billNo,
+        interestSettled: payoff.interestDue,
+        previousPrincipal: payoff.principal,
+        newPrincipal,
+        principalChange: Math.round((newPrincipal - payoff.principal) * 100) / 100,
+        netCashToCustomer: Math.round((newPrincipal - payoff.payoffAmount) * 100) / 100,
+      },
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "Bill number already exists" });
+    }
+    console.error("❌ Error renewing voucher:", err.message);
+    res.status(500).json({ message: "Error renewing voucher", error: err.message });
+  }
+};
+
+// @desc    Get the renewal chain a voucher belongs to, oldest first
+// @route   GET /api/vouchers/:id/renewals
+// @access  Private
+export const getRenewalChain = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid voucher ID" });
+    }
+
+    const voucher = await Voucher.findById(id).select("renewalRoot");
+    if (!voucher) {
+      return res.status(404).json({ message: "Voucher not found" });
+    }
+
+    const rootId = voucher.renewalRoot || voucher._id;
+    const chain = await Voucher.find({ $or: [{ _id: rootId }, { renewalRoot: rootId }] })
+      .select(
+        "billNo status finalLoanAmount interestRate disbursementDate dueDate closedDate totalInterestPaid renewedFrom renewedTo renewalCount"
+      )
+      .sort({ renewalCount: 1, disbursementDate: 1 });
+
+    res.status(200).json(chain);
+  } catch (err) {
+    console.error("❌ Error fetching renewal chain:", err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// Fields an issued voucher can be edited in; everything else is set by pricing
+// and the payment, release and renewal endpoints
+const EDITABLE_FIELDS = ["billNo", "customer", "notes", "paymentMethod"];
+const IGNORED_FIELDS = ["_id", "id", "__v", "createdAt", "updatedAt"];
+
+// Whether a value sent back by the client is the one stored on the voucher.
+// Objects only need to match on the keys sent.
+const sameValue = (stored, sent) => {
+  if (stored instanceof Date) return new Date(sent).getTime() === stored.getTime();
+  if (stored instanceof mongoose.Types.ObjectId) return String(sent?._id ?? sent) === String(stored);
+  if (Array.isArray(stored)) {
+    return Array.isArray(sent) && sent.length === stored.length && sent.every((item, i) => sameValue(stored[i], item));
+  }
+  if (stored && typeof stored === "object") {
+    return (
+      sent != null &&
+      typeof sent === "object" &&
+      Object.keys(sent).every((key) => IGNORED_FIELDS.includes(key) || sameValue(stored[key], sent[key]))
+    );
+  }
+  if (typeof stored === "number") return Number(sent) === stored;
+  return String(sent ?? "") === String(stored ?? "");
+};
+
 // @desc    Update a voucher
 // @route   PUT /api/vouchers/:id
 // @access  Private
@@ -99,11 +563,29 @@ export const updateVoucher = async (req, res) => {
       }
     }
 
+    // Amounts, jewels, weights, rate and status come from pricing, payments,
+    // releases and renewals; a request may repeat them but not change them
+    const stored = voucher.toObject({ depopulate: true });
+    const changed = Object.keys(req.body).filter(
+      (key) => !EDITABLE_FIELDS.includes(key) && !IGNORED_FIELDS.includes(key) && !sameValue(stored[key], req.body[key])
+    );
+    if (changed.length > 0) {
+      return res.status(400).json({
+        message: `${changed.join(", ")} cannot be changed on an issued voucher; renew or part-release the loan to change its terms`,
+      });
+    }
+
+    const updates = {};
+    for (const key of EDITABLE_FIELDS) {
+      if (req.body[key] !== undefined) updates[key] = req.body[key];
+    }
+    if (updates.customer && typeof updates.customer === "object") updates.customer = updates.customer._id;
+
     // Update voucher
     voucher = await Voucher.findByIdAndUpdate(
       id,
-      { $set: req.body },
-      { new: true }
+      { $set: updates },
+      { new: true, runValidators: true }
     ).populate("customer", "customerId fullName phoneNumber");
 
     res.status(200).json(voucher);
@@ -113,6 +595,223 @@ export const updateVoucher = async (req, res) => {
   }
 };
 
+// Helper: Apply a part repayment of principal to a voucher without saving it.
+// Returns an error message when the payment cannot be taken.
+const applyPrincipalPayment = (voucher, payment) => {
+  // Part repayments are kept in date order so interest can follow the balance
+  const lastPrincipalPayment = getPrincipalPayments(voucher).pop();
+  if (lastPrincipalPayment && payment.date < new Date(lastPrincipalPayment.date)) {
+    return "Payment date cannot be before the last principal payment";
+  }
+
+  const outstanding = getOutstandingPrincipal(voucher);
+  if (payment.amount >= outstanding) {
+    return `Amount must be less than the outstanding principal of ₹${outstanding}; close the loan to repay it in full`;
+  }
+
+  const principalAfter = Math.round((outstanding - payment.amount) * 100) / 100;
+  voucher.outstandingPrincipal = principalAfter;
+  voucher.paymentHistory.push({ ...payment, type: "principal", principalAfter });
+  return null;
+};
+
+// @desc    Record an interest payment or a part repayment of principal
+// @route   POST /api/vouchers/:id/payments
+// @access  Private
+export const addVoucherPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid voucher ID" });
+    }
+
+    const { type = "interest", paymentMethod, receiptNo } = req.body;
+    const amount = parseFloat(req.body.amount);
+    if (!["interest", "principal"].includes(type)) {
+      return res.status(400).json({ message: "Payment type must be either 'interest' or 'principal'" });
+    }
+    if (!(amount > 0)) {
+      return res.status(400).json({ message: "Payment amount must be greater than zero" });
+    }
+
+    const voucher = await Voucher.findById(id);
+    if (!voucher) {
+      return res.status(404).json({ message: "Voucher not found" });
+    }
+    if (SETTLED_STATUSES.includes(voucher.status)) {
+      return res.status(400).json({ message: `Loan is already ${voucher.status.toLowerCase()}` });
+    }
+    const auctionHold = await auctionHoldRejection(voucher);
+    if (auctionHold) {
+      return res.status(409).json({ message: auctionHold });
+    }
+
+    const date = req.body.date ? new Date(req.body.date) : await getSystemDate();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ message: "Invalid payment date" });
+    }
+    if (date < voucher.disbursementDate) {
+      return res.status(400).json({ message: "Payment date cannot be before the disbursement date" });
+    }
+
+    const payment = { type, amount, date, paymentMethod: paymentMethod || "Cash", receiptNo };
+
+    if (type === "principal") {
+      const error = applyPrincipalPayment(voucher, payment);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+    } else {
+      const months = parseFloat(req.body.months);
+      if (!(months >= 0)) {
+        return res.status(400).json({ message: "Months covered is required for an interest payment" });
+      }
+      payment.months = months;
+      voucher.monthsPaid = (voucher.monthsPaid || 0) + months;
+      voucher.totalInterestPaid = (voucher.totalInterestPaid || 0) + amount;
+      voucher.paymentHistory.push(payment);
+    }
+
+    // Receipt numbers are only issued once the payment has been accepted
+    const recorded = voucher.paymentHistory[voucher.paymentHistory.length - 1];
+    recorded.receiptNo = receiptNo || (await nextNumber("receiptNo", { branch: voucher.branch, date }));
+
+    await voucher.save();
+
+    const populatedVoucher = await Voucher.findById(id).populate(
+      "customer",
+      "customerId fullName phoneNumber"
+    );
+    res.status(201).json(populatedVoucher);
+  } catch (err) {
+    console.error("❌ Error recording voucher payment:", err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
+// @desc    Release selected jewellery items against a proportional principal payment
+// @route   POST /api/vouchers/:id/release
+// @access  Private
+export const releaseVoucherItems = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid voucher ID" });
+    }
+
+    const { itemIds, paymentMethod, receiptNo } = req.body;
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      return res.status(400).json({ message: "Select at least one item to release" });
+    }
+
+    const voucher = await Voucher.findById(id);
+    if (!voucher) {
+      return res.status(404).json({ message: "Voucher not found" });
+    }
+    if (SETTLED_STATUSES.includes(voucher.status)) {
+      return res.status(400).json({ message: `Loan is already ${voucher.status.toLowerCase()}` });
+    }
+    const auctionHold = await auctionHoldRejection(voucher);
+    if (auctionHold) {
+      return res.status(409).json({ message: auctionHold });
+    }
+
+    const selected = new Set(itemIds.map(String));
+    const released = voucher.jewelryItems.filter((item) => selected.has(item._id.toString()));
+    const remaining = voucher.jewelryItems.filter((item) => !selected.has(item._id.toString()));
+    if (released.length !== selected.size) {
+      return res.status(400).json({ message: "One or more items are not pledged on this voucher" });
+    }
+    if (remaining.length === 0) {
+      return res.status(400).json({ message: "All items are selected; close the loan to release everything" });
+    }
+    if (voucher.jewelryItems.some((item) => !(item.netWeight > 0))) {
+      return res.status(400).json({ message: "Every item needs a net weight before items can be released separately" });
+    }
+
+    const date = req.body.date ? new Date(req.body.date) : await getSystemDate();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ message: "Invalid release date" });
+    }
+
+    // Value everything at the release-date rate to find the released items' share
+    let before, after;
+    try {
+      const appraise = (jewelryItems) =>
+        appraiseVoucher({ jewelType: voucher.jewelType, jewelryItems, disbursementDate: date });
+      before = await appraise(voucher.jewelryItems);
+      after = await appraise(remaining);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      throw err;
+    }
+
+    // The customer pays the released items' share of the principal, and at
+    // least enough to keep the rest of the loan within the remaining items' LTV
+    const outstanding = getOutstandingPrincipal(voucher);
+    const releasedValue = Math.round((before.appraisedValue - after.appraisedValue) * 100) / 100;
+    const proportional = before.appraisedValue > 0 ? (outstanding * releasedValue) / before.appraisedValue : 0;
+    const requiredPayment = Math.ceil(Math.max(proportional, outstanding - after.eligibleAmount, 0));
+
+    const amount =
+      req.body.amount !== undefined && req.body.amount !== "" ? parseFloat(req.body.amount) : requiredPayment;
+    if (!(amount >= requiredPayment) || !(amount > 0)) {
+      return res.status(400).json({
+        message: `Releasing these items needs a principal payment of at least ₹${requiredPayment}`,
+        requiredPayment,
+      });
+    }
+
+    const error = applyPrincipalPayment(voucher, {
+      amount,
+      date,
+      paymentMethod: paymentMethod || "Cash",
+      receiptNo,
+    });
+    if (error) {
+      return res.status(400).json({ message: error, requiredPayment });
+    }
+
+    const payment = voucher.paymentHistory[voucher.paymentHistory.length - 1];
+    payment.receiptNo = receiptNo || (await nextNumber("receiptNo", { branch: voucher.branch, date }));
+
+    const netWeight = Math.round(remaining.reduce((sum, item) => sum + item.netWeight, 0) * 1000) / 1000;
+    const releasedGross = released.reduce((sum, item) => sum + (item.grossWeight || item.netWeight), 0);
+    voucher.jewelryItems = remaining;
+    voucher.netWeight = netWeight;
+    voucher.grossWeight = Math.max(netWeight, Math.round((voucher.grossWeight - releasedGross) * 1000) / 1000);
+
+    voucher.releases.push({
+      items: released.map((item) => item.toObject()),
+      releasedValue,
+      principalPaid: amount,
+      principalAfter: voucher.outstandingPrincipal,
+      netWeightAfter: netWeight,
+      eligibleAmountAfter: after.eligibleAmount,
+      ratePerGram: after.ratePerGram,
+      rateDate: after.rateDate,
+      paymentMethod: paymentMethod || "Cash",
+      receiptNo: payment.receiptNo,
+      releasedBy: req.user?.id || "system",
+      date,
+    });
+
+    await voucher.save();
+
+    const populatedVoucher = await Voucher.findById(id).populate(
+      "customer",
+      "customerId fullName phoneNumber"
+    );
+    res.status(201).json({
+      voucher: populatedVoucher,
+      release: populatedVoucher.releases[populatedVoucher.releases.length - 1],
+    });
+  } catch (err) {
+    console.error("❌ Error releasing voucher items:", err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
+
 // @desc    Delete a voucher (soft delete -> move to Trash)
 // @route   DELETE /api/vouchers/:id
 // @access  Private
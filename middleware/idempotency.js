@@ -0,0 +1,98 @@
+// middleware/idempotency.js
+// Lets clients retry payment requests safely. A request sent with an
+// Idempotency-Key header is run once; a retry with the same key and body
+// within the window gets the first response back (with an
+// Idempotent-Replayed header) and posts nothing. Requests without the header
+// are not affected. The window is IDEMPOTENCY_WINDOW_HOURS (default 24).
+import crypto from "crypto";
+import IdempotencyRecord from "../models/IdempotencyRecord.js";
+
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+const windowMs = () => {
+  const hours = Number(process.env.IDEMPOTENCY_WINDOW_HOURS);
+  return (hours > 0 ? hours : DEFAULT_WINDOW_HOURS) * 60 * 60 * 1000;
+};
+
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ params: req.params, body: req.body ?? null }))
+    .digest("hex");
+
+// Claim the key for this request, or return the record already holding it
+const claimKey = async (key, scope, requestHash) => {
+  try {
+    await IdempotencyRecord.create({ key, scope, requestHash, expiresAt: new Date(Date.now() + windowMs()) });
+    return null;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const existing = await IdempotencyRecord.findOne({ key, scope }).lean();
+  // Expired but not yet removed by MongoDB: the key can be used again
+  if (!existing || existing.expiresAt <= new Date()) {
+    await IdempotencyRecord.deleteOne({ key, scope, expiresAt: { $lte: new Date() } });
+    return claimKey(key, scope, requestHash);
+  }
+  return existing;
+};
+
+export const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const scope = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequest(req);
+    const existing = await claimKey(key, scope, requestHash);
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({ message: "Idempotency-Key was already used for a different request" });
+      }
+      if (existing.status === "Processing") {
+        return res.status(409).json({ message: "A request with this Idempotency-Key is still being processed" });
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Keep the response once the handler produces it, whether or not the
+    // client is still connected: a client that dropped the connection retries
+    // with the same key and gets this response back. Server errors are not
+    // kept, so the request can be retried with the same key.
+    let settled = false;
+    const settle = (responseBody) => {
+      if (settled) return;
+      settled = true;
+      const done =
+        responseBody !== undefined && res.statusCode < 500
+          ? IdempotencyRecord.updateOne(
+              { key, scope },
+              { $set: { status: "Completed", responseStatus: res.statusCode, responseBody } }
+            )
+          : IdempotencyRecord.deleteOne({ key, scope });
+      done.catch((err) => console.error(`Failed to store idempotent response for ${key}:`, err.message));
+    };
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settle(JSON.parse(JSON.stringify(body ?? null)));
+      return json(body);
+    };
+    // A response sent some other way is not kept; the key is released
+    res.on("close", () => {
+      if (res.headersSent) settle();
+    });
+
+    next();
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: "Server Error" });
+  }
+};
@@ -0,0 +1,38 @@
+// models/AgentHandover.js
+import mongoose from "mongoose";
+
+// Cash an agent hands over to the cashier. A handover settles every cash
+// payment the agent had collected and not yet handed over. A shortfall stays
+// open until the agent makes it good, an excess until it is paid back; each
+// such settlement is kept in recoveries.
+const agentHandoverSchema = new mongoose.Schema(
+  {
+    agentId: { type: String, required: true, index: true },
+    agentName: { type: String, required: true },
+    handoverDate: { type: Date, required: true },
+    expectedCash: { type: Number, required: true }, // cash payments covered by this handover
+    receivedCash: { type: Number, required: true }, // counted by the cashier
+    variance: { type: Number, required: true }, // received - expected
+    outstandingVariance: { type: Number }, // part of the variance not yet settled, same sign
+    status: { type: String, enum: ["Settled", "Short", "Excess"], required: true },
+    recoveries: [
+      {
+        amount: { type: Number, required: true }, // collected from the agent (short) or paid back (excess)
+        date: { type: Date, required: true },
+        paymentMethod: { type: String, default: "Cash" },
+        receivedBy: { type: String, required: true },
+        notes: { type: String, default: "" },
+      },
+    ],
+    nonCashCollected: { type: Number, default: 0 }, // UPI, bank and cheque payments covered, for reference
+    paymentIds: [{ type: String }],
+    receivedBy: { type: String, required: true },
+    notes: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+agentHandoverSchema.index({ agentId: 1, handoverDate: -1 });
+
+const AgentHandover = mongoose.model("AgentHandover", agentHandoverSchema);
+export default AgentHandover;
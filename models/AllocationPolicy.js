@@ -0,0 +1,22 @@
+// models/AllocationPolicy.js
+import mongoose from "mongoose";
+import { ALLOCATION_BUCKETS, DEFAULT_ALLOCATION_ORDER } from "../utils/paymentAllocation.js";
+
+// Order in which installment loan payments are applied (see
+// utils/paymentAllocation.js). Only the latest document is used.
+const allocationPolicySchema = new mongoose.Schema(
+  {
+    order: { type: [{ type: String, enum: ALLOCATION_BUCKETS }], default: DEFAULT_ALLOCATION_ORDER },
+    updatedBy: { type: String, default: "system" },
+  },
+  { timestamps: true }
+);
+
+// Latest policy merged over the defaults
+allocationPolicySchema.statics.current = async function () {
+  const policy = await this.findOne().sort({ createdAt: -1 }).lean();
+  return { order: DEFAULT_ALLOCATION_ORDER, ...(policy || {}) };
+};
+
+const AllocationPolicy = mongoose.model("AllocationPolicy", allocationPolicySchema);
+export default AllocationPolicy;
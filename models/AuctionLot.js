@@ -0,0 +1,37 @@
+// models/AuctionLot.js
+import mongoose from "mongoose";
+
+const bidSchema = new mongoose.Schema({
+  transfer: { type: mongoose.Schema.Types.ObjectId, ref: "AuctionTransfer", required: true },
+  bidderName: { type: String, required: true },
+  bidderPhone: { type: String, default: "" },
+  amount: { type: Number, required: true, min: 0 },
+  bidAt: { type: Date, default: Date.now },
+  recordedBy: { type: String, default: "system" },
+});
+
+// One auction sitting. Each transfer in the lot is bid for and sold separately.
+const auctionLotSchema = new mongoose.Schema(
+  {
+    lotNo: { type: String, required: true, unique: true },
+    auctionDate: { type: Date, required: true },
+    venue: { type: String, default: "" },
+    auctioneer: { type: String, default: "" },
+    transfers: [{ type: mongoose.Schema.Types.ObjectId, ref: "AuctionTransfer" }],
+    bids: [bidSchema],
+    status: { type: String, enum: ["Open", "Completed", "Cancelled"], default: "Open" },
+    createdBy: { type: String, default: "system" },
+    notes: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+// Highest bid recorded for one transfer in the lot
+auctionLotSchema.methods.highestBid = function (transferId) {
+  return this.bids
+    .filter((bid) => bid.transfer.toString() === transferId.toString())
+    .reduce((best, bid) => (!best || bid.amount > best.amount ? bid : best), null);
+};
+
+const AuctionLot = mongoose.model("AuctionLot", auctionLotSchema);
+export default AuctionLot;
@@ -0,0 +1,88 @@
+// models/AuctionNotice.js
+import mongoose from "mongoose";
+
+export const NOTICE_STAGES = ["first", "second", "final"];
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// A dated pre-auction notice sent to the borrower of an overdue voucher. The
+// amounts are frozen as they stood on the issue date.
+const auctionNoticeSchema = new mongoose.Schema(
+  {
+    voucherId: { type: mongoose.Schema.Types.ObjectId, ref: "Voucher", required: true },
+    billNo: { type: String, required: true },
+    customer: {
+      fullName: String,
+      phoneNumber: String,
+      customerId: String,
+      address: String,
+    },
+    stage: { type: String, enum: NOTICE_STAGES, required: true },
+    issuedAt: { type: Date, required: true },
+    issuedBy: { type: String, default: "system" },
+    issuedByName: { type: String, default: "" },
+    deliveryMethod: {
+      type: String,
+      enum: ["Hand Delivery", "Registered Post", "Courier", "SMS", "Email"],
+      default: "Registered Post",
+    },
+    trackingReference: { type: String, default: "" },
+
+    // Loan position on the issue date
+    dueDate: { type: Date },
+    daysOverdue: { type: Number, default: 0 },
+    principalOutstanding: { type: Number, default: 0 },
+    interestDue: { type: Number, default: 0 },
+    payoffAmount: { type: Number, default: 0 },
+    jewelryItems: Array,
+    netWeight: Number,
+
+    // Pay by this date; for the final notice, the earliest auction date
+    respondBy: { type: Date },
+  },
+  { timestamps: true }
+);
+
+auctionNoticeSchema.index({ voucherId: 1, stage: 1 }, { unique: true });
+
+/**
+ * Whether the notices for a voucher allow it to go to auction on asOf.
+ * Every stage must be issued in order, noticeGapDays apart, and
+ * noticePeriodDays must have passed since the final notice.
+ */
+auctionNoticeSchema.statics.requirementsFor = async function (voucherId, asOf, policy) {
+  const notices = await this.find({ voucherId }).sort({ issuedAt: 1 });
+  const byStage = Object.fromEntries(notices.map((n) => [n.stage, n]));
+
+  const missing = NOTICE_STAGES.filter((stage) => !byStage[stage]);
+  if (missing.length > 0) {
+    return { met: false, notices, message: `The ${missing[0]} notice has not been issued` };
+  }
+
+  for (let i = 1; i < NOTICE_STAGES.length; i++) {
+    const previous = byStage[NOTICE_STAGES[i - 1]];
+    const current = byStage[NOTICE_STAGES[i]];
+    if (current.issuedAt - previous.issuedAt < policy.noticeGapDays * MS_PER_DAY) {
+      return {
+        met: false,
+        notices,
+        message: `The ${current.stage} notice was issued less than ${policy.noticeGapDays} days after the ${previous.stage} notice`,
+      };
+    }
+  }
+
+  const auctionableFrom = new Date(byStage.final.issuedAt.getTime() + policy.noticePeriodDays * MS_PER_DAY);
+  if (asOf < auctionableFrom) {
+    return {
+      met: false,
+      notices,
+      auctionableFrom,
+      message: `${policy.noticePeriodDays} days must pass after the final notice, until ${auctionableFrom.toDateString()}`,
+    };
+  }
+
+  return { met: true, notices, finalNotice: byStage.final, auctionableFrom };
+};
+
+const AuctionNotice = mongoose.model("AuctionNotice", auctionNoticeSchema);
+export default AuctionNotice;
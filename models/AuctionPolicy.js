@@ -0,0 +1,24 @@
+// models/AuctionPolicy.js
+import mongoose from "mongoose";
+
+// When overdue pledges may be auctioned. Only the latest document is used.
+const auctionPolicySchema = new mongoose.Schema(
+  {
+    graceDays: { type: Number, default: 90, min: 0 }, // days past the due date before a voucher is eligible
+    noticeGapDays: { type: Number, default: 15, min: 0 }, // days between the first, second and final notices
+    noticePeriodDays: { type: Number, default: 14, min: 0 }, // days between the final notice and the auction
+    updatedBy: { type: String, default: "system" },
+  },
+  { timestamps: true }
+);
+
+export const DEFAULT_AUCTION_POLICY = { graceDays: 90, noticeGapDays: 15, noticePeriodDays: 14 };
+
+// Latest policy merged over the defaults
+auctionPolicySchema.statics.current = async function () {
+  const policy = await this.findOne().sort({ createdAt: -1 }).lean();
+  return { ...DEFAULT_AUCTION_POLICY, ...(policy || {}) };
+};
+
+const AuctionPolicy = mongoose.model("AuctionPolicy", auctionPolicySchema);
+export default AuctionPolicy;
@@ -1,24 +1,96 @@
 // backend/models/AuctionTransfer.js
 import mongoose from "mongoose";
 
-const AuctionTransferSchema = new mongoose.Schema({
-  voucherId: { type: mongoose.Schema.Types.ObjectId, ref: "Voucher" },
-  billNo: String,
-  customer: {
-    fullName: String,
-    phoneNumber: String,
-    customerId: String,
-    address: String,
+// An overdue voucher taken into the auction process once its notices have run
+// (see AuctionNotice). It is listed in an AuctionLot, sold to the highest
+// bidder and settled against what the customer owed.
+const AuctionTransferSchema = new mongoose.Schema(
+  {
+    voucherId: { type: mongoose.Schema.Types.ObjectId, ref: "Voucher", required: true },
+    billNo: String,
+    customer: {
+      fullName: String,
+      phoneNumber: String,
+      customerId: String,
+      address: String,
+    },
+    jewelType: String,
+    netWeight: Number,
+    originalLoanAmount: Number,
+    principalOutstanding: Number,
+    totalOwedAmount: Number, // payoff on the transfer date
+    monthsOverdue: Number,
+    additionalInterest: Number, // interest and penal interest accrued after the due date
+    transferDate: { type: Date, default: Date.now },
+    transferredBy: { type: String, default: "system" },
+    status: {
+      type: String,
+      // Sold: surplus due back to the customer; Shortfall: sold for less than
+      // owed, the rest still to be recovered from the customer
+      enum: ["Transferred to Auction", "Listed", "Sold", "Shortfall", "Settled", "Withdrawn"],
+      default: "Transferred to Auction",
+    },
+    jewelryItems: Array,
+
+    // Final notice to the borrower; the jewels cannot be auctioned before auctionableFrom
+    noticeDate: { type: Date },
+    noticePeriodDays: { type: Number, default: 0 },
+    auctionableFrom: { type: Date },
+
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: "AuctionLot", default: null },
+
+    // Sale and settlement
+    saleDate: { type: Date },
+    salePrice: { type: Number },
+    buyerName: { type: String },
+    buyerPhone: { type: String },
+    auctionExpenses: { type: Number, default: 0 },
+    owedAtSale: { type: Number }, // payoff on the sale date
+    surplus: { type: Number, default: 0 }, // due back to the customer
+    shortfall: { type: Number, default: 0 }, // still recoverable from the customer
+    refund: {
+      amount: Number,
+      date: Date,
+      paymentMethod: String,
+      reference: String,
+      refundedBy: String,
+    },
+    shortfallRecoveries: [
+      {
+        amount: Number,
+        date: Date,
+        paymentMethod: String,
+        receiptNo: String,
+        receivedBy: String,
+        shortfallAfter: Number,
+      },
+    ],
+
+    withdrawnReason: { type: String },
+    notes: { type: String, default: "" },
   },
-  jewelType: String,
-  netWeight: Number,
-  originalLoanAmount: Number,
-  totalOwedAmount: Number,
-  monthsOverdue: Number,
-  additionalInterest: Number,
-  transferDate: { type: Date, default: Date.now },
-  status: { type: String, default: "Transferred to Auction" },
-  jewelryItems: Array,
-});
+  { timestamps: true }
+);
+
+AuctionTransferSchema.index({ voucherId: 1, status: 1 });
+// Receipt lookups for printing
+AuctionTransferSchema.index({ "shortfallRecoveries.receiptNo": 1 });
+
+// Statuses in which the voucher is still held for auction
+AuctionTransferSchema.statics.OPEN_STATUSES = ["Transferred to Auction", "Listed"];
+
+// Take a voucher out of the auction process, e.g. when the customer redeems it
+AuctionTransferSchema.statics.withdrawForVoucher = async function (voucherId, reason) {
+  const transfer = await this.findOne({ voucherId, status: { $in: this.OPEN_STATUSES } });
+  if (!transfer) return null;
+
+  if (transfer.lot) {
+    await mongoose.model("AuctionLot").updateOne({ _id: transfer.lot }, { $pull: { transfers: transfer._id } });
+  }
+  transfer.status = "Withdrawn";
+  transfer.withdrawnReason = reason;
+  transfer.lot = null;
+  return transfer.save();
+};
 
 export default mongoose.model("AuctionTransfer", AuctionTransferSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { projectCollection } from '../utils/collectionProjection.js';
 
 const collectionPaymentSchema = new mongoose.Schema({
   paymentId: { type: String, required: true, unique: true },
@@ -46,7 +47,7 @@ const collectionSchema = new mongoose.Schema({
     type: String, 
     required: true, 
     index: true,
-    ref: 'SavedLoanDetail'
+    ref: 'InstallmentLoan'
   },
   
   // Customer information (duplicated for quick access)
@@ -99,8 +100,9 @@ const collectionSchema = new mongoose.Schema({
   expectedCompletionDate: { type: String },
   
   // Collection agent/officer
-  assignedTo: { type: String },
+  assignedTo: { type: String }, // User _id of the agent
   collectionRoute: { type: String },
+  routeSequence: { type: Number }, // stop number on the route sheet
   priority: { 
     type: String, 
     enum: ['Low', 'Medium', 'High', 'Critical'], 
@@ -130,136 +132,43 @@ collectionSchema.index({ loanId: 1 });
 collectionSchema.index({ customerId: 1, collectionStatus: 1 });
 collectionSchema.index({ collectionStatus: 1, nextDueDate: 1 });
 collectionSchema.index({ assignedTo: 1, collectionStatus: 1 });
+collectionSchema.index({ assignedTo: 1, collectionRoute: 1, routeSequence: 1 });
 collectionSchema.index({ customerName: 'text', loanId: 'text' });
 collectionSchema.index({ createdAt: -1 });
 collectionSchema.index({ nextDueDate: 1, collectionStatus: 1 });
 
-// Static method to create collection record from SavedLoanDetail
-collectionSchema.statics.createFromLoan = async function(savedLoanDetail) {
-  try {
-    // Check if collection record already exists
-    const existing = await this.findOne({ loanId: savedLoanDetail.loanId });
-    if (existing) {
-      return existing;
-    }
-
-    const nextUnpaid = savedLoanDetail.installments.find(inst => inst.status !== 'Paid');
-    const totalPaid = savedLoanDetail.installments
-      .filter(inst => inst.status === 'Paid')
-      .reduce((sum, inst) => sum + (inst.paidAmount || 0), 0);
-    
-    const totalFines = savedLoanDetail.payments
-      .reduce((sum, payment) => sum + (payment.fineAmount || 0), 0);
-
-    const collectionData = {
-      loanId: savedLoanDetail.loanId,
-      customerId: savedLoanDetail.customerId,
-      customerName: savedLoanDetail.customerName,
-      customerPhone: savedLoanDetail.customerPhone,
-      customerAddress: savedLoanDetail.customerAddress,
-      customerPhoto: savedLoanDetail.customerPhoto,
-      
-      originalLoanAmount: savedLoanDetail.loanAmount,
-      totalAmount: savedLoanDetail.totalAmount,
-      totalInterest: savedLoanDetail.totalInterest,
-      numberOfInstallments: savedLoanDetail.numberOfInstallments,
-      installmentFrequency: savedLoanDetail.installmentFrequency,
-      
-      collectionStatus: savedLoanDetail.status === 'Closed' ? 'Completed' : 'Active',
-      
-      totalPaidAmount: totalPaid,
-      totalFinesPaid: totalFines,
-      remainingBalance: savedLoanDetail.totalAmount - totalPaid,
-      
-      paidInstallments: savedLoanDetail.installments.filter(inst => inst.status === 'Paid').length,
-      pendingInstallments: savedLoanDetail.installments.filter(inst => inst.status !== 'Paid').length,
-      overdueInstallments: savedLoanDetail.installments.filter(inst => inst.status === 'Overdue').length,
-      
-      nextDueDate: nextUnpaid?.dueDate,
-      nextDueAmount: nextUnpaid?.emiAmount,
-      nextInstallmentNo: nextUnpaid?.installmentNo,
-      
-      installments: savedLoanDetail.installments.map(inst => ({
-        installmentNo: inst.installmentNo,
-        originalDueDate: inst.dueDate,
-        emiAmount: inst.emiAmount,
-        principalAmount: inst.principalAmount,
-        interestAmount: inst.interestAmount,
-        status: inst.status,
-        paidAmount: inst.paidAmount || 0,
-        remainingAmount: inst.emiAmount - (inst.paidAmount || 0),
-        lastPaymentDate: inst.paidDate,
-        overdueDate: inst.status === 'Overdue' ? inst.dueDate : null,
-        overdueDays: 0 // Calculate based on current date vs due date
-      })),
-      
-      payments: savedLoanDetail.payments.map(payment => ({
-        paymentId: payment.paymentId,
-        installmentNo: payment.installmentNo,
-        amount: payment.amount,
-        fineAmount: payment.fineAmount || 0,
-        totalAmount: payment.totalAmount,
-        paymentDate: payment.date,
-        paymentMethod: payment.paymentMethod || 'Cash',
-        status: payment.status || 'Received',
-        collectedBy: 'system',
-        notes: payment.notes || '',
-        receiptNumber: payment.paymentId
-      })),
-      
-      firstPaymentDate: savedLoanDetail.payments.length > 0 ? savedLoanDetail.payments[0].date : null,
-      lastPaymentDate: savedLoanDetail.payments.length > 0 ? 
-        savedLoanDetail.payments[savedLoanDetail.payments.length - 1].date : null,
-      
-      createdBy: savedLoanDetail.createdBy || 'system',
-      lastUpdatedBy: savedLoanDetail.lastUpdatedBy || 'system'
-    };
-
-    const collection = new this(collectionData);
-    return await collection.save();
-  } catch (error) {
-    throw new Error(`Failed to create collection record: ${error.message}`);
-  }
+// Rewrite the loan-derived fields of a loan's collection record from the
+// installment loan (a document or a lean object), creating the record if the
+// loan has none. Assignment, notes and flags are kept.
+collectionSchema.statics.refreshFromLoan = function(loan, { updatedBy } = {}) {
+  return this.findOneAndUpdate(
+    { loanId: loan.loanId },
+    {
+      $set: {
+        ...projectCollection(loan),
+        lastUpdatedBy: updatedBy || loan.lastUpdatedBy || 'system',
+        syncedAt: new Date()
+      },
+      $setOnInsert: { createdBy: loan.createdBy || 'system' }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
 };
 
-// Instance method to sync with SavedLoanDetail
-collectionSchema.methods.syncWithLoan = async function() {
-  try {
-    const SavedLoanDetail = mongoose.model('SavedLoanDetail');
-    const loan = await SavedLoanDetail.findOne({ loanId: this.loanId });
-    
-    if (!loan) {
-      throw new Error('Associated loan not found');
-    }
-
-    // Update collection data based on loan data
-    const nextUnpaid = loan.installments.find(inst => inst.status !== 'Paid');
-    const totalPaid = loan.installments
-      .filter(inst => inst.status === 'Paid')
-      .reduce((sum, inst) => sum + (inst.paidAmount || 0), 0);
-    
-    const totalFines = loan.payments
-      .reduce((sum, payment) => sum + (payment.fineAmount || 0), 0);
-
-    this.collectionStatus = loan.status === 'Closed' ? 'Completed' : 'Active';
-    this.totalPaidAmount = totalPaid;
-    this.totalFinesPaid = totalFines;
-    this.remainingBalance = loan.totalAmount - totalPaid;
-    
-    this.paidInstallments = loan.installments.filter(inst => inst.status === 'Paid').length;
-    this.pendingInstallments = loan.installments.filter(inst => inst.status !== 'Paid').length;
-    
-    this.nextDueDate = nextUnpaid?.dueDate;
-    this.nextDueAmount = nextUnpaid?.emiAmount;
-    this.nextInstallmentNo = nextUnpaid?.installmentNo;
-    
-    this.syncedAt = new Date();
-    this.lastUpdatedBy = 'sync_system';
-    
-    return await this.save();
-  } catch (error) {
-    throw new Error(`Failed to sync collection record: ${error.message}`);
-  }
+// Collection views of installment loans: the loan-derived fields projected
+// from each loan as of asOf, over the assignment, notes and flags of its
+// collection record. Reads go through here, so a record that missed a
+// refresh never shows stale amounts. Of duplicated records the oldest is used.
+collectionSchema.statics.viewsOf = async function(loans, asOf = new Date()) {
+  const records = await this.find({ loanId: { $in: loans.map((loan) => loan.loanId) } })
+    .sort({ createdAt: -1 })
+    .lean();
+  const byLoan = new Map(records.map((record) => [record.loanId, record]));
+
+  return loans.map((loan) => ({
+    ...(byLoan.get(loan.loanId) || { loanId: loan.loanId }),
+    ...projectCollection(loan, asOf)
+  }));
 };
 
 // Instance method to get collection summary
@@ -287,29 +196,5 @@ collectionSchema.methods.getCollectionSummary = function() {
   };
 };
 
-// Pre-save middleware to calculate overdue information
-collectionSchema.pre('save', function(next) {
-  const today = new Date();
-  
-  // Calculate overdue installments
-  this.overdueInstallments = this.installments.filter(inst => {
-    if (inst.status === 'Paid') return false;
-    
-    const dueDate = new Date(inst.originalDueDate.split('/').reverse().join('-'));
-    return today > dueDate;
-  }).length;
-
-  // Update priority based on overdue status
-  if (this.overdueInstallments > 2) {
-    this.priority = 'Critical';
-  } else if (this.overdueInstallments > 0) {
-    this.priority = 'High';
-  } else {
-    this.priority = 'Medium';
-  }
-
-  next();
-});
-
 const Collection = mongoose.model('Collection', collectionSchema);
 export default Collection;
\ No newline at end of file
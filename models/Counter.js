@@ -0,0 +1,32 @@
+// models/Counter.js
+import mongoose from "mongoose";
+
+// One running sequence per number series, branch and financial year. Values
+// are only ever handed out through an atomic $inc, so concurrent requests
+// never receive the same number.
+const counterSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true }, // number series, e.g. "billNo"
+    branch: { type: String, default: "" },
+    financialYear: { type: String, required: true }, // FinancialYear.year label
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+counterSchema.index({ name: 1, branch: 1, financialYear: 1 }, { unique: true });
+
+// Increment and return the counter, creating it on first use
+counterSchema.statics.increment = async function (name, branch, financialYear) {
+  const filter = { name, branch, financialYear };
+  try {
+    return await this.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { upsert: true, new: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // Two first-time upserts raced and the other one created the counter
+    return this.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { new: true });
+  }
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+export default Counter;
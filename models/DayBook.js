@@ -38,6 +38,21 @@ const dayBookSchema = new mongoose.Schema({
         paymentDate: Date
       }]
     },
+    principalReceived: {
+      count: { type: Number, default: 0 },
+      totalAmount: { type: Number, default: 0 },
+      transactions: [{
+        voucherId: { type: mongoose.Schema.Types.ObjectId, ref: 'Voucher' },
+        billNo: String,
+        customerId: String,
+        customerName: String,
+        amount: Number,
+        principalAfter: Number,
+        paymentMethod: String,
+        receiptNo: String,
+        paymentDate: Date
+      }]
+    },
     closedLoans: {
       count: { type: Number, default: 0 },
       totalAmount: { type: Number, default: 0 },
@@ -74,6 +89,7 @@ const dayBookSchema = new mongoose.Schema({
 dayBookSchema.index({ date: 1 });
 dayBookSchema.index({ 'summary.newLoans.transactions.customerId': 1 });
 dayBookSchema.index({ 'summary.interestReceived.transactions.customerId': 1 });
+dayBookSchema.index({ 'summary.principalReceived.transactions.customerId': 1 });
 dayBookSchema.index({ 'summary.closedLoans.transactions.customerId': 1 });
 
 // Method to calculate total activity
@@ -81,6 +97,7 @@ dayBookSchema.methods.calculateTotalActivity = function() {
   this.totalActivity = 
     this.summary.newLoans.totalAmount + 
     this.summary.interestReceived.totalAmount + 
+    this.summary.principalReceived.totalAmount + 
     this.summary.closedLoans.totalAmount;
   return this.totalActivity;
 };
@@ -121,6 +138,11 @@ dayBookSchema.statics.generateForDate = async function(date, forceRegenerate = f
           totalAmount: 0,
           transactions: []
         },
+        principalReceived: {
+          count: 0,
+          totalAmount: 0,
+          transactions: []
+        },
         closedLoans: {
           count: 0,
           totalAmount: 0,
@@ -155,13 +177,29 @@ dayBookSchema.statics.generateForDate = async function(date, forceRegenerate = f
         dayBookData.summary.newLoans.count++;
       }
       
-      // 2. Check for interest payments on selected date
+      // 2. Check for interest payments and principal repayments on selected date
       if (voucher.paymentHistory && voucher.paymentHistory.length > 0) {
         voucher.paymentHistory.forEach((payment, index) => {
           const paymentDate = payment.date ? 
             new Date(payment.date).toISOString().split('T')[0] : null;
           
-          if (paymentDate === dateString) {
+          if (paymentDate === dateString && payment.type === 'principal') {
+            const principalData = {
+              voucherId: voucher._id,
+              billNo: voucher.billNo,
+              customerId: voucher.customer?.customerId || 'N/A',
+              customerName: voucher.customer?.fullName || 'N/A',
+              amount: parseFloat(payment.amount || 0),
+              principalAfter: payment.principalAfter,
+              paymentMethod: payment.paymentMethod || 'Cash',
+              receiptNo: payment.receiptNo || `RCP-${voucher.billNo}-${index + 1}`,
+              paymentDate: payment.date
+            };
+            
+            dayBookData.summary.principalReceived.transactions.push(principalData);
+            dayBookData.summary.principalReceived.totalAmount += principalData.amount;
+            dayBookData.summary.principalReceived.count++;
+          } else if (paymentDate === dateString) {
             const interestData = {
               voucherId: voucher._id,
               billNo: voucher.billNo,
@@ -209,6 +247,7 @@ dayBookSchema.statics.generateForDate = async function(date, forceRegenerate = f
     dayBookData.totalActivity = 
       dayBookData.summary.newLoans.totalAmount + 
       dayBookData.summary.interestReceived.totalAmount + 
+      dayBookData.summary.principalReceived.totalAmount + 
       dayBookData.summary.closedLoans.totalAmount;
     
     // Save or update the DayBook document
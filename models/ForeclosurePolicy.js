@@ -0,0 +1,29 @@
+// models/ForeclosurePolicy.js
+import mongoose from "mongoose";
+
+// none     - the borrower pays all the interest still scheduled
+// proRata  - interest is rebated in proportion to the installments not yet due
+// ruleOf78 - interest is rebated by the sum of digits of the installments not yet due
+export const REBATE_METHODS = ["none", "proRata", "ruleOf78"];
+
+// How installment loans are closed early. Only the latest document is used.
+const foreclosurePolicySchema = new mongoose.Schema(
+  {
+    rebateMethod: { type: String, enum: REBATE_METHODS, default: "proRata" },
+    chargePercent: { type: Number, default: 0, min: 0, max: 100 }, // % of the outstanding principal
+    minimumCharge: { type: Number, default: 0, min: 0 },
+    updatedBy: { type: String, default: "system" },
+  },
+  { timestamps: true }
+);
+
+export const DEFAULT_FORECLOSURE_POLICY = { rebateMethod: "proRata", chargePercent: 0, minimumCharge: 0 };
+
+// Latest policy merged over the defaults
+foreclosurePolicySchema.statics.current = async function () {
+  const policy = await this.findOne().sort({ createdAt: -1 }).lean();
+  return { ...DEFAULT_FORECLOSURE_POLICY, ...(policy || {}) };
+};
+
+const ForeclosurePolicy = mongoose.model("ForeclosurePolicy", foreclosurePolicySchema);
+export default ForeclosurePolicy;
@@ -0,0 +1,43 @@
+// models/HolidayCalendar.js
+import mongoose from "mongoose";
+
+export const SHIFT_DIRECTIONS = ["next", "previous"];
+
+// Days when agents do not collect. The calendar with an empty branch is the
+// shared one: its holidays apply to every branch, and its weekly offs and
+// shift direction to branches without a calendar of their own.
+const holidayCalendarSchema = new mongoose.Schema(
+  {
+    branch: { type: String, default: "", trim: true, uppercase: true, unique: true },
+    weeklyOffs: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+    holidays: [
+      {
+        date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ }, // YYYY-MM-DD
+        name: { type: String, default: "", trim: true },
+        _id: false,
+      },
+    ],
+    shiftDirection: { type: String, enum: SHIFT_DIRECTIONS, default: "next" }, // where a due date on a day off moves
+    updatedBy: { type: String, default: "system" },
+  },
+  { timestamps: true }
+);
+
+// The calendar that applies to a branch, with the shared holidays merged in
+holidayCalendarSchema.statics.forBranch = async function (branch = "") {
+  const code = (branch || "").trim().toUpperCase();
+  const calendars = await this.find({ branch: { $in: [...new Set(["", code])] } }).lean();
+  const shared = calendars.find((c) => c.branch === "");
+  const own = code ? calendars.find((c) => c.branch === code) : null;
+  const rules = own || shared;
+
+  return {
+    branch: code,
+    weeklyOffs: rules?.weeklyOffs || [],
+    shiftDirection: rules?.shiftDirection || "next",
+    holidays: [...(shared?.holidays || []), ...(own?.holidays || [])].map((h) => h.date),
+  };
+};
+
+const HolidayCalendar = mongoose.model("HolidayCalendar", holidayCalendarSchema);
+export default HolidayCalendar;
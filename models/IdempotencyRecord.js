@@ -0,0 +1,24 @@
+// models/IdempotencyRecord.js
+import mongoose from "mongoose";
+
+// The response to a request sent with an Idempotency-Key header, kept so a
+// retry of the same request gets the same answer instead of posting again.
+// Records are removed by MongoDB once expiresAt passes.
+const idempotencyRecordSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    scope: { type: String, required: true }, // method and path the key was used on
+    requestHash: { type: String, required: true },
+    status: { type: String, enum: ["Processing", "Completed"], default: "Processing" },
+    responseStatus: { type: Number },
+    responseBody: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+idempotencyRecordSchema.index({ key: 1, scope: 1 }, { unique: true });
+idempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyRecord = mongoose.model("IdempotencyRecord", idempotencyRecordSchema);
+export default IdempotencyRecord;
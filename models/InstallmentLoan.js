@@ -0,0 +1,256 @@
+// models/InstallmentLoan.js
+import mongoose from "mongoose";
+import { nextNumber } from "../utils/sequence.js";
+import { SCHEDULE_TYPES } from "../utils/installmentSchedule.js";
+import Collection from "./Collection.js";
+
+// One schema for every installment loan. /api/loans, /api/personal-loans and
+// /api/saved-loans all read and write these documents; `origin` records which
+// of them created the loan. All dates are stored as Date.
+export const LOAN_ORIGINS = ["Loan", "PersonalLoan", "SavedLoanDetail"];
+export const PAYMENT_METHODS = ["Cash", "UPI", "Bank Transfer", "Cheque", "NEFT", "RTGS"];
+
+const installmentSchema = new mongoose.Schema(
+  {
+    installmentNo: { type: Number, required: true },
+    dueDate: { type: Date, required: true },
+    emiAmount: { type: Number, required: true },
+    principalAmount: { type: Number, required: true },
+    interestAmount: { type: Number, required: true },
+    remainingBalance: { type: Number, required: true },
+    status: { type: String, enum: ["Pending", "Partial", "Paid", "Overdue"], default: "Pending" },
+    paidAmount: { type: Number, default: 0 },
+    interestPaid: { type: Number, default: 0 }, // split of paidAmount, see utils/paymentAllocation.js
+    principalPaid: { type: Number, default: 0 },
+    paidDate: { type: Date },
+    penaltyCharged: { type: Number, default: 0 }, // late fee charged as a fine, see utils/penalty.js
+    penaltyWaived: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const paymentSchema = new mongoose.Schema(
+  {
+    paymentId: { type: String, required: true },
+    installmentNo: { type: Number, required: true },
+    amount: { type: Number, required: true },
+    fineAmount: { type: Number, default: 0 },
+    chargesAmount: { type: Number, default: 0 }, // foreclosure charges
+    totalAmount: { type: Number, required: true },
+    date: { type: Date, default: Date.now },
+    status: { type: String, enum: ["Received", "Pending", "Failed"], default: "Received" },
+    paymentMethod: { type: String, enum: PAYMENT_METHODS, default: "Cash" },
+    collectedBy: { type: String, default: "system" },
+    agentId: { type: String, default: null }, // User _id of the field agent holding the money
+    handoverId: { type: mongoose.Schema.Types.ObjectId, ref: "AgentHandover", default: null },
+    clientKey: { type: String }, // idempotency key from the field app, only on payments taken offline
+    type: { type: String, enum: ["Installment", "Foreclosure"], default: "Installment" },
+    // How the payment was applied; amount + fineAmount + chargesAmount + creditAdded - creditApplied = totalAmount
+    allocations: [
+      {
+        installmentNo: Number,
+        component: { type: String, enum: ["interest", "principal"] },
+        amount: Number,
+        _id: false,
+      },
+    ],
+    creditApplied: { type: Number, default: 0 }, // advance credit used up by this payment
+    creditAdded: { type: Number, default: 0 }, // excess held as advance credit
+    notes: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+// Terms as they stood before or after a restructure
+const termsSchema = new mongoose.Schema(
+  {
+    interestRate: Number,
+    numberOfInstallments: Number,
+    installmentFrequency: String,
+    scheduleType: String,
+    totalAmount: Number,
+    totalInterest: Number,
+  },
+  { _id: false }
+);
+
+// A reschedule of the unpaid part of the loan. The installments it replaced
+// are kept here so the old schedule can still be shown.
+const restructureSchema = new mongoose.Schema(
+  {
+    effectiveDate: { type: Date, required: true },
+    reason: { type: String, required: true, trim: true },
+    approvedBy: { type: String, required: true, trim: true },
+    outstandingBalance: { type: Number, required: true }, // amount carried into the new installments
+    moratoriumPeriods: { type: Number, default: 0 },
+    fromInstallmentNo: { type: Number, required: true }, // first installment of the new schedule
+    previousTerms: termsSchema,
+    newTerms: termsSchema,
+    replacedInstallments: [installmentSchema],
+    createdBy: { type: String, default: "system" },
+  },
+  { timestamps: true }
+);
+
+// Early closure of the loan with one payment
+const foreclosureSchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true },
+    receiptNo: { type: String, required: true }, // paymentId of the settling payment
+    rebateMethod: { type: String, required: true },
+    outstandingPrincipal: { type: Number, required: true },
+    rebate: { type: Number, default: 0 },
+    charges: { type: Number, default: 0 },
+    amount: { type: Number, required: true },
+    installmentsClosed: [Number],
+    closedBy: { type: String, default: "system" },
+  },
+  { _id: false }
+);
+
+// A request to waive fines; applied only once an admin approves it
+const penaltyWaiverSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true, min: 0.01 },
+    reason: { type: String, required: true, trim: true },
+    status: { type: String, enum: ["Pending", "Approved", "Rejected"], default: "Pending" },
+    requestedBy: { type: String, default: "system" },
+    requestedAt: { type: Date, default: Date.now },
+    decidedBy: { type: String },
+    decidedAt: { type: Date },
+    decisionNote: { type: String, default: "" },
+  }
+);
+
+const auditEntrySchema = new mongoose.Schema(
+  {
+    action: { type: String, required: true },
+    by: { type: String, default: "system" },
+    at: { type: Date, default: Date.now },
+    details: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+const installmentLoanSchema = new mongoose.Schema(
+  {
+    loanId: { type: String, required: true, unique: true, trim: true },
+    origin: { type: String, enum: LOAN_ORIGINS, default: "SavedLoanDetail", index: true },
+    legacyId: { type: mongoose.Schema.Types.ObjectId, default: null }, // _id in the old collection, for migrated loans
+    branch: { type: String, default: "", trim: true, uppercase: true }, // picks the holiday calendar for due dates
+    product: { type: String, default: "", trim: true }, // picks the penalty policy
+
+    // Customer snapshot
+    customerId: { type: String, required: true, index: true },
+    customerName: { type: String, required: true },
+    customerPhone: { type: String, required: true },
+    customerFatherSpouse: { type: String, default: "" },
+    customerAltPhone: { type: String, default: "" },
+    customerAddress: { type: String, required: true },
+    customerGovIdType: { type: String, default: "" },
+    customerGovIdNumber: { type: String, default: "" },
+    customerPhoto: { type: String, default: null },
+
+    // Terms
+    loanAmount: { type: Number, required: true, min: 1 },
+    interestRate: { type: Number, required: true, min: 0, max: 100 },
+    numberOfInstallments: { type: Number, required: true, min: 1 },
+    installmentFrequency: { type: String, enum: ["Daily", "Weekly", "Monthly"], required: true },
+    startDate: { type: Date, required: true },
+    scheduleType: { type: String, enum: SCHEDULE_TYPES, default: "flat" }, // see utils/installmentSchedule.js
+
+    // Calculated amounts
+    totalAmount: { type: Number, required: true },
+    totalInterest: { type: Number, required: true },
+    paidAmount: { type: Number, default: 0 },
+    finesDue: { type: Number, default: 0 }, // fines charged and not yet paid
+    advanceCredit: { type: Number, default: 0 }, // paid in excess, applied to the next payment
+
+    status: { type: String, enum: ["Active", "Closed", "Defaulted"], default: "Active" },
+    installments: [installmentSchema],
+    payments: [paymentSchema],
+    restructures: [restructureSchema],
+    foreclosure: { type: foreclosureSchema, default: null },
+    penaltyWaivers: [penaltyWaiverSchema],
+    auditTrail: [auditEntrySchema],
+
+    notes: { type: String, default: "" },
+    createdBy: { type: String, default: "system" },
+    lastUpdatedBy: { type: String, default: "system" },
+  },
+  { timestamps: true }
+);
+
+installmentLoanSchema.index({ customerId: 1, status: 1 });
+installmentLoanSchema.index({ origin: 1, createdAt: -1 });
+installmentLoanSchema.index({ status: 1 });
+installmentLoanSchema.index({ "installments.dueDate": 1 });
+installmentLoanSchema.index({ "payments.paymentId": 1 });
+installmentLoanSchema.index({ "payments.agentId": 1, "payments.handoverId": 1 });
+installmentLoanSchema.index({ "payments.clientKey": 1 });
+installmentLoanSchema.index({ customerName: "text", customerId: "text" });
+
+installmentLoanSchema.statics.generateLoanId = function (options) {
+  return nextNumber("loanId", options);
+};
+
+installmentLoanSchema.methods.getLoanStats = function () {
+  const paidInstallments = this.installments.filter((inst) => inst.status === "Paid").length;
+  const totalPaidAmount = this.installments.reduce((sum, inst) => sum + (inst.paidAmount || 0), 0);
+  const remainingAmount = this.totalAmount - totalPaidAmount;
+  const paymentProgress = this.totalAmount > 0 ? (totalPaidAmount / this.totalAmount) * 100 : 0;
+
+  return {
+    activeInstallments: this.installments.length - paidInstallments,
+    paidInstallments,
+    totalPaidAmount,
+    remainingAmount,
+    paymentProgress: Math.round(paymentProgress * 100) / 100,
+  };
+};
+
+// Keep the paid total and closed status in step with the installments
+installmentLoanSchema.pre("save", function (next) {
+  this.paidAmount = this.installments.reduce((sum, inst) => sum + (inst.paidAmount || 0), 0);
+
+  const allPaid = this.installments.length > 0 && this.installments.every((inst) => inst.status === "Paid");
+  if (allPaid) {
+    this.status = "Closed";
+  } else if (this.status === "Closed") {
+    this.status = "Active";
+  }
+  next();
+});
+
+// The loan's collection record is a projection of it (see
+// utils/collectionProjection.js), rewritten after every write so assignment
+// and search queries see current figures. The collection endpoints project
+// loan figures again on read (Collection.viewsOf), so a failure here does not
+// reach them; the consistency check finds and repairs the record.
+const refreshCollection = async (loan) => {
+  try {
+    await Collection.refreshFromLoan(loan);
+  } catch (err) {
+    console.error(`Failed to refresh collection record of ${loan.loanId}:`, err.message);
+  }
+};
+
+installmentLoanSchema.post("save", (loan) => refreshCollection(loan));
+
+// Query updates: read the loan back, as the query may return it as it was
+installmentLoanSchema.post("findOneAndUpdate", async function (loan) {
+  const current = loan && (await this.model.findById(loan._id).lean());
+  if (current) await refreshCollection(current);
+});
+
+installmentLoanSchema.post("updateMany", async function () {
+  const loans = await this.model.find(this.getFilter()).lean();
+  for (const loan of loans) await refreshCollection(loan);
+});
+
+installmentLoanSchema.post("findOneAndDelete", async (loan) => {
+  if (loan) await Collection.deleteOne({ loanId: loan.loanId });
+});
+
+const InstallmentLoan = mongoose.model("InstallmentLoan", installmentLoanSchema);
+export default InstallmentLoan;
@@ -0,0 +1,32 @@
+// models/InterestPolicy.js
+import mongoose from "mongoose";
+
+// How pledge interest accrues. Only the latest document is used, the same way
+// the DateTime settings are read.
+const interestPolicySchema = new mongoose.Schema(
+  {
+    // monthly   - any part month is charged as a full month
+    // halfMonth - a part month of up to 15 days is charged as half a month
+    // daily     - exact days at (monthly rate x 12 / 365) per day
+    accrualMethod: {
+      type: String,
+      enum: ["monthly", "halfMonth", "daily"],
+      default: "monthly",
+    },
+    // Interest is never charged for less than this many months (0 to disable)
+    minimumMonths: { type: Number, default: 1, min: 0 },
+    // After the due date, interest is either simple or compounds monthly on unpaid interest
+    postDueCompounding: {
+      type: String,
+      enum: ["simple", "monthly"],
+      default: "simple",
+    },
+    // Extra % per month charged on principal for the period after the due date
+    penalRate: { type: Number, default: 0, min: 0, max: 100 },
+    updatedBy: { type: String, default: "system" },
+  },
+  { timestamps: true }
+);
+
+const InterestPolicy = mongoose.model("InterestPolicy", interestPolicySchema);
+export default InterestPolicy;
@@ -48,6 +48,26 @@ interestRateSchema.pre('save', function(next) {
   }
 });
 
+// Slab whose range overlaps [minAmount, maxAmount] for the metal (bounds inclusive)
+interestRateSchema.statics.findOverlapping = function(metalType, minAmount, maxAmount, excludeId = null) {
+  const filter = {
+    metalType,
+    minAmount: { $lte: maxAmount },
+    maxAmount: { $gte: minAmount }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return this.findOne(filter);
+};
+
+// Slab that applies to a loan of the given amount
+interestRateSchema.statics.findSlab = function(metalType, amount) {
+  return this.findOne({
+    metalType,
+    minAmount: { $lte: amount },
+    maxAmount: { $gte: amount }
+  }).sort({ minAmount: -1 });
+};
+
 const InterestRate = mongoose.model('InterestRate', interestRateSchema);
 
 export default InterestRate;
\ No newline at end of file
@@ -0,0 +1,62 @@
+// models/JewelRateHistory.js
+import mongoose from "mongoose";
+
+// Every rate ever posted, per metal and purity. The JewelRate collection keeps
+// only the current reference rate per metal and is refreshed from here.
+const jewelRateHistorySchema = new mongoose.Schema(
+  {
+    metalType: {
+      type: String,
+      required: true,
+      enum: ["gold", "silver"],
+    },
+    purity: {
+      type: String, // fineness label, e.g. "916" (22K), "750" (18K)
+      required: true,
+      trim: true,
+    },
+    rate: {
+      type: Number, // per gram
+      required: true,
+      min: 0,
+    },
+    effectiveDate: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    createdBy: { type: String, default: "system" },
+  },
+  { timestamps: true }
+);
+
+jewelRateHistorySchema.index({ metalType: 1, purity: 1, effectiveDate: -1 });
+
+// Rate in force for a metal/purity at the given moment (latest entry on or before it)
+jewelRateHistorySchema.statics.rateOn = async function (metalType, purity, date = new Date()) {
+  return this.findOne({ metalType, purity, effectiveDate: { $lte: date } })
+    .sort({ effectiveDate: -1, createdAt: -1 });
+};
+
+// Rates in force at the given moment for every purity of a metal, keyed by
+// purity. A purity rate posted before the latest reference rate is stale (the
+// reference moved since) and is left out, so that purity is derived from the
+// reference instead.
+jewelRateHistorySchema.statics.ratesOn = async function (metalType, date = new Date(), referencePurity = null) {
+  const latest = await this.aggregate([
+    { $match: { metalType, effectiveDate: { $lte: date } } },
+    { $sort: { effectiveDate: -1, createdAt: -1 } },
+    { $group: { _id: "$purity", entry: { $first: "$$ROOT" } } },
+  ]);
+
+  const reference = latest.find(({ _id }) => _id === referencePurity)?.entry;
+  return latest.reduce((acc, { _id, entry }) => {
+    if (!reference || _id === referencePurity || entry.effectiveDate >= reference.effectiveDate) {
+      acc[_id] = entry;
+    }
+    return acc;
+  }, {});
+};
+
+const JewelRateHistory = mongoose.model("JewelRateHistory", jewelRateHistorySchema);
+export default JewelRateHistory;
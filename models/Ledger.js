@@ -20,6 +20,9 @@ const ledgerSchema = new mongoose.Schema({
   totalAmount: { type: Number, default: 0 }, // overallLoanAmount
   repaidAmount: { type: Number, default: 0 },
   balanceAmount: { type: Number, default: 0 },
+  accruedInterest: { type: Number, default: 0 }, // interest accrued to date under the interest policy
+  interestDue: { type: Number, default: 0 }, // accrued interest not yet paid
+  payoffAmount: { type: Number, default: 0 }, // principal + interestDue
   disbursementDate: { type: Date, required: true },
   dueDate: { type: Date, required: true },
   lastPaymentDate: { type: Date },
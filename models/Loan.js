@@ -1,4 +1,6 @@
 // models/Loan.js
+// Legacy: loans now live in InstallmentLoan. Kept so
+// scripts/migrateInstallmentLoans.js can read the old collection.
 import mongoose from "mongoose";
 
 const installmentSchema = new mongoose.Schema({
@@ -0,0 +1,33 @@
+// models/LtvRule.js
+import mongoose from "mongoose";
+
+// Maximum loan-to-value allowed per metal, optionally narrowed to one purity.
+// A rule with an empty purity is the default for that metal.
+const ltvRuleSchema = new mongoose.Schema(
+  {
+    metalType: {
+      type: String,
+      required: true,
+      enum: ["gold", "silver"],
+    },
+    purity: {
+      type: String, // normalised label, e.g. "916", "750", "" for all purities
+      default: "",
+      trim: true,
+    },
+    maxLtv: {
+      type: Number, // percentage of the appraised value
+      required: true,
+      min: 1,
+      max: 100,
+    },
+    notes: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+// One rule per metal/purity pair
+ltvRuleSchema.index({ metalType: 1, purity: 1 }, { unique: true });
+
+const LtvRule = mongoose.model("LtvRule", ltvRuleSchema);
+export default LtvRule;
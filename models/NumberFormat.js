@@ -0,0 +1,24 @@
+// models/NumberFormat.js
+import mongoose from "mongoose";
+
+// How the numbers of one series are printed. Series without a document use
+// the defaults in utils/sequence.js.
+const numberFormatSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      enum: ["billNo", "customerId", "receiptNo", "loanId", "lotNo"],
+    },
+    prefix: { type: String, default: "", trim: true },
+    padding: { type: Number, default: 5, min: 1, max: 12 }, // digits in the running number
+    separator: { type: String, default: "-" },
+    includeFinancialYear: { type: Boolean, default: true },
+    updatedBy: { type: String, default: "system" },
+  },
+  { timestamps: true }
+);
+
+const NumberFormat = mongoose.model("NumberFormat", numberFormatSchema);
+export default NumberFormat;
@@ -0,0 +1,37 @@
+// models/PenaltyPolicy.js
+import mongoose from "mongoose";
+
+// Late fees on overdue installments, per loan product. The policy with an
+// empty product applies to loans whose product has no policy of its own.
+const penaltyPolicySchema = new mongoose.Schema(
+  {
+    product: { type: String, default: "", trim: true, unique: true },
+    flatPerInstallment: { type: Number, default: 0, min: 0 }, // charged once per installment past the grace days
+    dailyPercent: { type: Number, default: 0, min: 0, max: 100 }, // % of the overdue amount per day past the grace days
+    graceDays: { type: Number, default: 0, min: 0 },
+    maxPerInstallment: { type: Number, default: 0, min: 0 }, // 0 = no cap
+    maxPerLoan: { type: Number, default: 0, min: 0 }, // 0 = no cap
+    updatedBy: { type: String, default: "system" },
+  },
+  { timestamps: true }
+);
+
+export const DEFAULT_PENALTY_POLICY = {
+  product: "",
+  flatPerInstallment: 0,
+  dailyPercent: 0,
+  graceDays: 0,
+  maxPerInstallment: 0,
+  maxPerLoan: 0,
+};
+
+// The policy for a product, falling back to the default one
+penaltyPolicySchema.statics.forProduct = async function (product = "") {
+  const code = (product || "").trim();
+  const policies = await this.find({ product: { $in: [...new Set(["", code])] } }).lean();
+  const policy = policies.find((p) => p.product === code) || policies.find((p) => p.product === "");
+  return { ...DEFAULT_PENALTY_POLICY, ...(policy || {}) };
+};
+
+const PenaltyPolicy = mongoose.model("PenaltyPolicy", penaltyPolicySchema);
+export default PenaltyPolicy;
@@ -1,4 +1,8 @@
+// models/PersonalLoan.js
+// Legacy: loans now live in InstallmentLoan. Kept so
+// scripts/migrateInstallmentLoans.js can read the old collection.
 import mongoose from 'mongoose';
+import { nextNumber } from '../utils/sequence.js';
 
 const installmentSchema = new mongoose.Schema({
   installmentNo: { type: Number, required: true },
@@ -59,8 +63,8 @@ personalLoanSchema.index({ customerId: 1, status: 1 });
 personalLoanSchema.index({ createdAt: -1 });
 
 // Static methods
-personalLoanSchema.statics.generateLoanId = function() {
-  return `LOAN${Date.now()}${Math.random().toString(36).substr(2, 3).toUpperCase()}`;
+personalLoanSchema.statics.generateLoanId = function(options) {
+  return nextNumber('loanId', options);
 };
 
 const PersonalLoan = mongoose.model('PersonalLoan', personalLoanSchema);
@@ -1,4 +1,8 @@
+// models/SavedLoanDetail.js
+// Legacy: loans now live in InstallmentLoan. Kept so
+// scripts/migrateInstallmentLoans.js can read the old collection.
 import mongoose from 'mongoose';
+import { nextNumber } from '../utils/sequence.js';
 
 const installmentSchema = new mongoose.Schema({
   installmentNo: { type: Number, required: true },
@@ -75,8 +79,8 @@ savedLoanDetailSchema.index({ status: 1 });
 savedLoanDetailSchema.index({ customerName: 'text', customerId: 'text' });
 
 // Static method to generate loan ID
-savedLoanDetailSchema.statics.generateLoanId = function() {
-  return `LOAN${Date.now()}${Math.random().toString(36).substr(2, 3).toUpperCase()}`;
+savedLoanDetailSchema.statics.generateLoanId = function(options) {
+  return nextNumber('loanId', options);
 };
 
 // Instance method to calculate loan statistics
@@ -18,7 +18,7 @@ const loanItemSchema = new mongoose.Schema({
   dueDate: { type: Date, required: true },
   status: { 
     type: String, 
-    enum: ['Active', 'Partial', 'Overdue', 'Closed'], 
+    enum: ['Active', 'Partial', 'Overdue', 'Closed', 'Auctioned'], 
     default: 'Active' 
   },
   loanStatus: {
@@ -28,6 +28,10 @@ const loanItemSchema = new mongoose.Schema({
   },
   repaidAmount: { type: Number, default: 0 },
   balanceAmount: { type: Number, default: 0 },
+  outstandingPrincipal: { type: Number, default: 0 },
+  accruedInterest: { type: Number, default: 0 },
+  interestDue: { type: Number, default: 0 },
+  payoffAmount: { type: Number, default: 0 },
   paymentProgress: { type: Number, default: 0 },
   daysOverdue: { type: Number, default: 0 },
   lastPaymentDate: { type: Date },
@@ -4,7 +4,7 @@ const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, default: "employee", enum: ["employee", "admin"] },
+  role: { type: String, default: "employee", enum: ["employee", "admin", "agent"] }, // agents are assigned collections
   position: { type: String, default: "" },
   photo: { type: String },
 }, { timestamps: true });
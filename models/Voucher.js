@@ -1,10 +1,20 @@
 // models/Voucher.js
 import mongoose from "mongoose";
 
-// Payment Schema
+// Payment Schema - "interest" payments cover months of interest, "principal"
+// payments reduce the amount lent and record the balance left after them
 const paymentSchema = new mongoose.Schema({
+  type: { type: String, enum: ["interest", "principal"], default: "interest" },
   amount: { type: Number, required: true },
-  months: { type: Number, required: true },
+  months: {
+    type: Number,
+    required: function () {
+      return this.type !== "principal";
+    },
+  },
+  principalAfter: { type: Number }, // outstanding principal after a principal payment
+  paymentMethod: { type: String, default: "Cash" },
+  receiptNo: { type: String },
   date: { type: Date, default: Date.now },
 });
 
@@ -17,12 +27,67 @@ const jewelryItemSchema = new mongoose.Schema({
   stone: { type: String, default: "" },
   count: { type: Number, default: 1 },
   purity: { type: String, default: "" },
+  grossWeight: { type: Number, default: 0 },
+  netWeight: { type: Number, default: 0 },
 });
 
+// Release Schema - items handed back while the rest stay pledged, with the
+// principal paid for them and the state of the loan afterwards
+const releaseSchema = new mongoose.Schema({
+  items: [jewelryItemSchema],
+  releasedValue: { type: Number, default: 0 }, // value of the items at the release-date rate
+  principalPaid: { type: Number, required: true },
+  principalAfter: { type: Number },
+  netWeightAfter: { type: Number },
+  eligibleAmountAfter: { type: Number }, // what the remaining items support
+  ratePerGram: { type: Number },
+  rateDate: { type: Date },
+  paymentMethod: { type: String, default: "Cash" },
+  receiptNo: { type: String },
+  releasedBy: { type: String, default: "system" },
+  date: { type: Date, default: Date.now },
+});
+
+// Valuation Snapshot Schema - frozen at issue time so audits and auctions can
+// see why the amount was sanctioned; every field is immutable once saved
+const valuationLineSchema = new mongoose.Schema(
+  {
+    name: { type: String, immutable: true },
+    purity: { type: String, immutable: true },
+    purityFactor: { type: Number, immutable: true },
+    netWeight: { type: Number, immutable: true },
+    ratePerGram: { type: Number, immutable: true },
+    value: { type: Number, immutable: true },
+    maxLtv: { type: Number, immutable: true },
+    eligibleAmount: { type: Number, immutable: true },
+  },
+  { _id: false }
+);
+
+const valuationSnapshotSchema = new mongoose.Schema(
+  {
+    ratePerGram: { type: Number, required: true, immutable: true }, // reference purity rate
+    referencePurity: { type: String, immutable: true },
+    rateDate: { type: Date, immutable: true },
+    purity: { type: String, immutable: true }, // purities valued, e.g. "916" or "916, 750"
+    purityFactor: { type: Number, immutable: true }, // weight-averaged
+    appraisedValue: { type: Number, required: true, immutable: true },
+    eligibleAmount: { type: Number, required: true, immutable: true },
+    maxLtv: { type: Number, immutable: true }, // weighted cap across items
+    ltvPercent: { type: Number, required: true, immutable: true }, // sanctioned amount / appraised value
+    lines: { type: [valuationLineSchema], immutable: true },
+    appraisedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", immutable: true },
+    appraisedByName: { type: String, immutable: true },
+    appraisedAt: { type: Date, required: true, immutable: true },
+  },
+  { _id: false }
+);
+
 // Voucher Schema
 const voucherSchema = new mongoose.Schema(
   {
     billNo: { type: String, unique: true, required: true },
+    branch: { type: String, default: "" }, // branch code the bill number was issued under
 
     // Customer Reference
     customer: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", required: true },
@@ -35,28 +100,43 @@ const voucherSchema = new mongoose.Schema(
     loanAmount: { type: Number, required: true },
     finalLoanAmount: { type: Number, required: true },
     interestRate: { type: Number, required: true },
+    interestSlab: { type: mongoose.Schema.Types.ObjectId, ref: "InterestRate" }, // slab the rate came from
     interestAmount: { type: Number, required: true },
     overallLoanAmount: { type: Number, required: true },
     loanType: { type: String, default: "Personal Loan" },
     processingFees: { type: Number, default: 0 },
+    outstandingPrincipal: { type: Number }, // finalLoanAmount less principal repaid
+
+    // Loan-to-value check (set when the requested amount exceeds the eligible amount)
+    ltvExceeded: { type: Boolean, default: false },
+    ltvOverrideReason: { type: String, default: "" },
+    valuation: { type: valuationSnapshotSchema, immutable: true },
 
     // Dates
     disbursementDate: { type: Date, required: true },
     dueDate: { type: Date, required: true },
     closedDate: { type: Date },
+    closureReceiptNo: { type: String }, // receipt issued for the final settlement
 
     // Status & Tracking
-    status: { type: String, enum: ["Active", "Closed", "Pending"], default: "Active" },
+    status: { type: String, enum: ["Active", "Closed", "Pending", "Auctioned"], default: "Active" },
     monthsPaid: { type: Number, default: 0 },
     totalInterestPaid: { type: Number, default: 0 },
     finalAmountPaid: { type: Number, default: 0 },
     paymentMethod: { type: String, default: "Cash" },
 
+    // Renewal chain: each renewal closes the parent and issues a new bill
+    renewedFrom: { type: mongoose.Schema.Types.ObjectId, ref: "Voucher", default: null },
+    renewedTo: { type: mongoose.Schema.Types.ObjectId, ref: "Voucher", default: null },
+    renewalRoot: { type: mongoose.Schema.Types.ObjectId, ref: "Voucher", default: null }, // first bill in the chain
+    renewalCount: { type: Number, default: 0 },
+
     // Payment History
     paymentHistory: [paymentSchema],
 
     // Jewelry Items
     jewelryItems: [jewelryItemSchema],
+    releases: [releaseSchema],
 
     // Notes & Soft Delete
     notes: { type: String },
@@ -66,5 +146,19 @@ const voucherSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// A new loan starts with the full amount outstanding
+voucherSchema.pre("save", function (next) {
+  if (this.isNew && this.outstandingPrincipal == null) {
+    this.outstandingPrincipal = this.finalLoanAmount;
+  }
+  next();
+});
+
+voucherSchema.index({ renewalRoot: 1 });
+// Receipt lookups for printing
+voucherSchema.index({ "paymentHistory.receiptNo": 1 });
+voucherSchema.index({ "releases.receiptNo": 1 });
+voucherSchema.index({ closureReceiptNo: 1 });
+
 const Voucher = mongoose.model("Voucher", voucherSchema);
 export default Voucher;
@@ -0,0 +1,29 @@
+// routes/agentTillRoutes.js
+import express from 'express';
+import {
+  createHandover,
+  getAgentTill,
+  getHandovers,
+  getUnsettledBalances,
+  settleHandoverVariance
+} from '../controllers/agentTillController.js';
+import { auth } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// GET /api/agent-tills/unsettled - Agents with cash not handed over or handover variances
+router.get('/unsettled', getUnsettledBalances);
+
+// GET /api/agent-tills/handovers - Handover history
+router.get('/handovers', getHandovers);
+
+// PATCH /api/agent-tills/handovers/:id - Settle a handover's shortfall or excess
+router.patch('/handovers/:id', auth, settleHandoverVariance);
+
+// GET /api/agent-tills/:agentId - An agent's collections per day
+router.get('/:agentId', getAgentTill);
+
+// POST /api/agent-tills/:agentId/handover - Cashier records the cash received from an agent
+router.post('/:agentId/handover', auth, createHandover);
+
+export default router;
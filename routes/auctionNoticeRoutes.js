@@ -0,0 +1,19 @@
+// routes/auctionNoticeRoutes.js
+import express from "express";
+import {
+  getAuctionNotices,
+  getNoticesDue,
+  getVoucherNoticeStatus,
+  issueAuctionNotice,
+  printAuctionNotice,
+} from "../controllers/auctionNoticeController.js";
+
+const router = express.Router();
+
+router.get("/", getAuctionNotices);
+router.get("/due", getNoticesDue);
+router.get("/voucher/:voucherId", getVoucherNoticeStatus);
+router.post("/", issueAuctionNotice);
+router.get("/:id/print", printAuctionNotice);
+
+export default router;
@@ -1,11 +1,36 @@
 import express from "express";
-const router = express.Router();
-const {
+import {
+  getAuctionPolicy,
+  updateAuctionPolicy,
+  getEligibleVouchers,
   getAuctionTransfers,
   createAuctionTransfer,
   getAuctionTransferById,
-  deleteAuctionTransfer
-} = require("../controllers/auctionTransferController.js");
+  deleteAuctionTransfer,
+  getAuctionLots,
+  getAuctionLotById,
+  createAuctionLot,
+  recordBid,
+  recordSale,
+  refundSurplus,
+  recoverShortfall,
+} from "../controllers/auctionTransferController.js";
+import { idempotent } from "../middleware/idempotency.js";
+
+const router = express.Router();
+
+// Auction policy (grace days and notice period)
+router.get("/policy", getAuctionPolicy);
+router.put("/policy", updateAuctionPolicy);
+
+// Overdue vouchers that can be taken to auction
+router.get("/eligible", getEligibleVouchers);
+
+// Auction lots and bids
+router.get("/lots", getAuctionLots);
+router.post("/lots", createAuctionLot);
+router.get("/lots/:lotId", getAuctionLotById);
+router.post("/lots/:lotId/bids", recordBid);
 
 // Get all auction transfers
 router.get("/", getAuctionTransfers);
@@ -19,28 +44,9 @@ router.get("/:id", getAuctionTransferById);
 // Delete auction transfer
 router.delete("/:id", deleteAuctionTransfer);
 
+// Sale, surplus refund and recovery of a shortfall
+router.post("/:id/sale", recordSale);
+router.post("/:id/refund", refundSurplus);
+router.post("/:id/shortfall-recovery", idempotent, recoverShortfall);
 
-// Save auction transfer
-router.post("/", async (req, res) => {
-  try {
-    const transfer = new AuctionTransfer(req.body);
-    await transfer.save();
-    res.status(201).json({ message: "Auction transfer saved", transfer });
-  } catch (error) {
-    console.error("Error saving transfer:", error);
-    res.status(500).json({ error: "Failed to save auction transfer" });
-  }
-});
-
-// Get all transfers
-router.get("/", async (req, res) => {
-  try {
-    const transfers = await AuctionTransfer.find().sort({ transferDate: -1 });
-    res.json(transfers);
-  } catch (error) {
-    console.error("Error fetching transfers:", error);
-    res.status(500).json({ error: "Failed to fetch transfers" });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+export default router;
@@ -4,10 +4,28 @@ import {
   getAllLoans,
   getLoanForCollection,
   markInstallmentPaid,
+  syncOfflineCollections,
   updateLoanStatus,
   syncCollectionsFromLoans,
-  getCollectionDashboard
+  getCollectionDashboard,
+  getAllocationPolicy,
+  updateAllocationPolicy,
+  getPenaltyPolicies,
+  savePenaltyPolicy,
+  createPenaltyWaiver,
+  reviewPenaltyWaiver
 } from '../controllers/collectionController.js';
+import {
+  getAgents,
+  assignCollections,
+  getRouteSheet
+} from '../controllers/collectionAssignmentController.js';
+import {
+  getCollectionConsistency,
+  repairCollectionConsistency
+} from '../controllers/collectionConsistencyController.js';
+import { auth, authorizeAdmin } from '../middleware/authMiddleware.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -17,14 +35,46 @@ router.get('/', getAllLoans);
 // GET /api/collections/dashboard - Get collection dashboard stats
 router.get('/dashboard', getCollectionDashboard);
 
-// POST /api/collections/sync - Sync collections from SavedLoanDetail
+// POST /api/collections/sync - Project collection records for all open installment loans
 router.post('/sync', syncCollectionsFromLoans);
 
+// GET /api/collections/consistency - Collection records that no longer match their loans
+router.get('/consistency', getCollectionConsistency);
+
+// POST /api/collections/consistency/repair - Rebuild drifted records from their loans
+router.post('/consistency/repair', auth, authorizeAdmin, repairCollectionConsistency);
+
+// GET/PUT /api/collections/allocation-policy - Order payments are applied in
+router.get('/allocation-policy', getAllocationPolicy);
+router.put('/allocation-policy', updateAllocationPolicy);
+
+// GET/PUT /api/collections/penalty-policies - Late fee policies per loan product
+router.get('/penalty-policies', getPenaltyPolicies);
+router.put('/penalty-policies', savePenaltyPolicy);
+
+// GET /api/collections/agents - Agents that collections can be assigned to
+router.get('/agents', getAgents);
+
+// PUT /api/collections/assignments - Assign loans to an agent and route in bulk
+router.put('/assignments', assignCollections);
+
+// GET /api/collections/route-sheet?agent=&date=&format=xlsx - An agent's stops for the day
+router.get('/route-sheet', getRouteSheet);
+
+// POST /api/collections/offline-sync - Apply payments a field agent recorded offline
+router.post('/offline-sync', syncOfflineCollections);
+
 // GET /api/collections/:loanId - Get single loan details for collection
 router.get('/:loanId', getLoanForCollection);
 
 // PUT /api/collections/:loanId/installments/:installmentNo/pay - Mark an installment as paid
-router.put('/:loanId/installments/:installmentNo/pay', markInstallmentPaid);
+router.put('/:loanId/installments/:installmentNo/pay', idempotent, markInstallmentPaid);
+
+// POST /api/collections/:loanId/penalty-waivers - Request a waiver of fines
+router.post('/:loanId/penalty-waivers', createPenaltyWaiver);
+
+// PUT /api/collections/:loanId/penalty-waivers/:waiverId - Approve or reject a waiver (admin)
+router.put('/:loanId/penalty-waivers/:waiverId', auth, authorizeAdmin, reviewPenaltyWaiver);
 
 // PUT /api/collections/:loanId/status - Update loan status (e.g., to 'Closed')
 router.put('/:loanId/status', updateLoanStatus);
@@ -0,0 +1,17 @@
+// routes/holidayCalendarRoutes.js
+import express from "express";
+import {
+  deleteHolidayCalendar,
+  getEffectiveCalendar,
+  getHolidayCalendars,
+  saveHolidayCalendar,
+} from "../controllers/holidayCalendarController.js";
+
+const router = express.Router();
+
+router.get("/", getHolidayCalendars);
+router.get("/effective", getEffectiveCalendar);
+router.put("/", saveHolidayCalendar);
+router.delete("/:id", deleteHolidayCalendar);
+
+export default router;
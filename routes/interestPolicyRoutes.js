@@ -0,0 +1,10 @@
+// routes/interestPolicyRoutes.js
+import express from "express";
+import { getInterestPolicy, updateInterestPolicy } from "../controllers/interestPolicyController.js";
+
+const router = express.Router();
+
+router.get("/", getInterestPolicy);
+router.put("/", updateInterestPolicy);
+
+export default router;
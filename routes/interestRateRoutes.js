@@ -47,14 +47,7 @@ router.post("/", async (req, res) => {
     }
     
     // Check for overlapping ranges
-    const existingRate = await InterestRate.findOne({
-      metalType,
-      $or: [
-        { $and: [{ minAmount: { $lte: minAmountNum } }, { maxAmount: { $gte: minAmountNum } }] },
-        { $and: [{ minAmount: { $lte: maxAmountNum } }, { maxAmount: { $gte: maxAmountNum } }] },
-        { $and: [{ minAmount: { $gte: minAmountNum } }, { maxAmount: { $lte: maxAmountNum } }] },
-      ],
-    });
+    const existingRate = await InterestRate.findOverlapping(metalType, minAmountNum, maxAmountNum);
     
     if (existingRate) {
       return res.status(400).json({
@@ -123,15 +116,12 @@ router.put("/:id", async (req, res) => {
     }
     
     // Check for overlapping ranges (excluding the current rate being updated)
-    const existingRate = await InterestRate.findOne({
-      _id: { $ne: req.params.id },
+    const existingRate = await InterestRate.findOverlapping(
       metalType,
-      $or: [
-        { $and: [{ minAmount: { $lte: minAmountNum } }, { maxAmount: { $gte: minAmountNum } }] },
-        { $and: [{ minAmount: { $lte: maxAmountNum } }, { maxAmount: { $gte: maxAmountNum } }] },
-        { $and: [{ minAmount: { $gte: minAmountNum } }, { maxAmount: { $lte: maxAmountNum } }] },
-      ],
-    });
+      minAmountNum,
+      maxAmountNum,
+      req.params.id
+    );
     
     if (existingRate) {
       return res.status(400).json({
@@ -38,6 +38,18 @@ router.post("/", async (req, res) => {
         .json({ message: "Maximum amount must be greater than minimum amount" });
     }
 
+    // Slabs for a metal must not overlap, or a loan amount could match two rates
+    const existingRate = await InterestRate.findOverlapping(
+      metalType,
+      parseFloat(minAmount),
+      parseFloat(maxAmount)
+    );
+    if (existingRate) {
+      return res.status(400).json({
+        message: "This amount range overlaps with an existing interest rate",
+      });
+    }
+
     const newRate = new InterestRate({
       metalType,
       minAmount: parseFloat(minAmount),
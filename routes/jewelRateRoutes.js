@@ -5,13 +5,17 @@ import {
   getJewelRateByType,
   createOrUpdateJewelRate,
   deleteJewelRate,
+  getJewelRateHistory,
+  getJewelRatesOnDate,
 } from "../controllers/jewelRateController.js";
 
 const router = express.Router();
 
 router.get("/", getJewelRates);
+router.get("/history", getJewelRateHistory);
+router.get("/on/:date", getJewelRatesOnDate);
 router.get("/:metalType", getJewelRateByType);
 router.post("/", createOrUpdateJewelRate);
 router.delete("/:metalType", deleteJewelRate);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -10,6 +10,7 @@ import {
   getLoanStats,
   getCollectionReport,
 } from "../controllers/loanController.js";
+import { idempotent } from "../middleware/idempotency.js";
 
 const router = express.Router();
 
@@ -25,6 +26,6 @@ router
   .put(updateLoan)
   .delete(deleteLoan);
 
-router.route("/:id/payment").post(processPayment);
+router.route("/:id/payment").post(idempotent, processPayment);
 
 export default router;
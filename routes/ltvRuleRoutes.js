@@ -0,0 +1,15 @@
+// routes/ltvRuleRoutes.js
+import express from "express";
+import {
+  getLtvRules,
+  createOrUpdateLtvRule,
+  deleteLtvRule,
+} from "../controllers/ltvRuleController.js";
+
+const router = express.Router();
+
+router.get("/", getLtvRules);
+router.post("/", createOrUpdateLtvRule);
+router.delete("/:id", deleteLtvRule);
+
+export default router;
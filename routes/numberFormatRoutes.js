@@ -0,0 +1,10 @@
+// routes/numberFormatRoutes.js
+import express from "express";
+import { getNumberFormats, updateNumberFormat } from "../controllers/numberFormatController.js";
+
+const router = express.Router();
+
+router.get("/", getNumberFormats);
+router.put("/:name", updateNumberFormat);
+
+export default router;
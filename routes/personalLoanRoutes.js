@@ -1,6 +1,7 @@
 import express from 'express';
 import {
   createPersonalLoan,
+  previewSchedule,
   getPersonalLoans,
   getPersonalLoanById,
   updatePersonalLoan,
@@ -8,6 +9,13 @@ import {
   markInstallmentPaid,
   getLoanStatistics
 } from '../controllers/personalLoanController.js';
+import {
+  forecloseLoan,
+  getForeclosurePolicy,
+  getForeclosureQuote,
+  updateForeclosurePolicy
+} from '../controllers/foreclosureController.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -26,12 +34,19 @@ router.use((req, res, next) => {
 // POST /api/personal-loans - Create a new personal loan
 router.post('/', createPersonalLoan);
 
+// POST /api/personal-loans/preview-schedule - Schedule for the given terms, not saved
+router.post('/preview-schedule', previewSchedule);
+
 // GET /api/personal-loans - Get all personal loans with filters and pagination
 router.get('/', getPersonalLoans);
 
 // GET /api/personal-loans/statistics - Get loan statistics
 router.get('/statistics', getLoanStatistics);
 
+// GET/PUT /api/personal-loans/foreclosure-policy - Rebate method and charges for early closure
+router.get('/foreclosure-policy', getForeclosurePolicy);
+router.put('/foreclosure-policy', updateForeclosurePolicy);
+
 // GET /api/personal-loans/:id - Get personal loan by ID or loanId
 router.get('/:id', getPersonalLoanById);
 
@@ -42,7 +57,13 @@ router.put('/:id', updatePersonalLoan);
 router.delete('/:id', deletePersonalLoan);
 
 // POST /api/personal-loans/:id/pay-installment - Mark installment as paid
-router.post('/:id/pay-installment', markInstallmentPaid);
+router.post('/:id/pay-installment', idempotent, markInstallmentPaid);
+
+// GET /api/personal-loans/:id/foreclosure-quote - Amount to close the loan early
+router.get('/:id/foreclosure-quote', getForeclosureQuote);
+
+// POST /api/personal-loans/:id/foreclose - Close the loan early with one payment
+router.post('/:id/foreclose', idempotent, forecloseLoan);
 
 // Error handling middleware for this router
 router.use((err, req, res, next) => {
@@ -0,0 +1,10 @@
+// routes/receiptRoutes.js
+import express from "express";
+import { getReceiptPdf } from "../controllers/receiptController.js";
+
+const router = express.Router();
+
+// Printable receipt for any voucher or installment loan payment
+router.get("/:receiptNo.pdf", getReceiptPdf);
+
+export default router;
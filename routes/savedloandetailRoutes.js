@@ -6,10 +6,18 @@ import {
   updateSavedLoan,
   deleteSavedLoan,
   markInstallmentPaid,
+  rescheduleLoan,
   getLoanStats,
   bulkUpdateLoans,
   searchLoans
 } from '../controllers/savedLoanDetailController.js';
+import {
+  forecloseLoan,
+  getForeclosurePolicy,
+  getForeclosureQuote,
+  updateForeclosurePolicy
+} from '../controllers/foreclosureController.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -24,6 +32,10 @@ router.get('/stats', getLoanStats);
 // GET /api/saved-loans/search - Search loans
 router.get('/search', searchLoans);
 
+// GET/PUT /api/saved-loans/foreclosure-policy - Rebate method and charges for early closure
+router.get('/foreclosure-policy', getForeclosurePolicy);
+router.put('/foreclosure-policy', updateForeclosurePolicy);
+
 // GET /api/saved-loans/:loanId - Get a specific loan by ID
 router.get('/:loanId', getSavedLoanById);
 
@@ -37,7 +49,16 @@ router.put('/:loanId', updateSavedLoan);
 router.delete('/:loanId', deleteSavedLoan);
 
 // PUT /api/saved-loans/:loanId/installments/:installmentNo/pay - Mark installment as paid
-router.put('/:loanId/installments/:installmentNo/pay', markInstallmentPaid);
+router.put('/:loanId/installments/:installmentNo/pay', idempotent, markInstallmentPaid);
+
+// POST /api/saved-loans/:loanId/reschedule - Restructure the unpaid installments
+router.post('/:loanId/reschedule', rescheduleLoan);
+
+// GET /api/saved-loans/:loanId/foreclosure-quote - Amount to close the loan early
+router.get('/:loanId/foreclosure-quote', getForeclosureQuote);
+
+// POST /api/saved-loans/:loanId/foreclose - Close the loan early with one payment
+router.post('/:loanId/foreclose', idempotent, forecloseLoan);
 
 // PUT /api/saved-loans/bulk-update - Bulk update multiple loans
 router.put('/bulk-update', bulkUpdateLoans);
@@ -3,14 +3,35 @@ import express from "express";
 import {
   getVouchers,
   getVoucherById,
+  getVoucherPayoff,
+  getVoucherTicketPdf,
+  quoteVoucher,
   createVoucher,
   updateVoucher,
+  addVoucherPayment,
+  releaseVoucherItems,
+  renewVoucher,
+  getRenewalChain,
   deleteVoucher,
 } from "../controllers/voucherController.js";
 import Voucher from "../models/Voucher.js";
+import AuctionTransfer from "../models/AuctionTransfer.js";
+import { computeVoucherPayoff, loadInterestPolicy } from "../utils/interestCalculator.js";
+import { getSystemDate } from "../utils/systemDate.js";
+import { nextNumber } from "../utils/sequence.js";
+import { idempotent } from "../middleware/idempotency.js";
 
 const router = express.Router();
 
+// ----- Eligibility preview before issuing a bill -----
+router.post("/quote", quoteVoucher);
+
+// ----- Redemption quote (does not modify the voucher) -----
+router.get("/:id/payoff", getVoucherPayoff);
+
+// ----- Printable pledge ticket -----
+router.get("/:id/ticket.pdf", getVoucherTicketPdf);
+
 // ----- Standard CRUD routes -----
 router.get("/", getVouchers);
 router.get("/:id", getVoucherById);
@@ -18,46 +39,46 @@ router.post("/", createVoucher);
 router.put("/:id", updateVoucher);
 router.delete("/:id", deleteVoucher);
 
+// ----- Interest payments and part repayments of principal -----
+router.post("/:id/payments", idempotent, addVoucherPayment);
+
+// ----- Part release of pledged items -----
+router.post("/:id/release", releaseVoucherItems);
+
+// ----- Renewal (re-pledge under a new bill) -----
+router.post("/:id/renew", renewVoucher);
+router.get("/:id/renewals", getRenewalChain);
+
 // ----- Close a loan voucher -----
-router.put("/:id/close", async (req, res) => {
+router.put("/:id/close", idempotent, async (req, res) => {
   try {
     const voucher = await Voucher.findById(req.params.id);
     if (!voucher) {
       return res.status(404).json({ message: "Voucher not found" });
     }
 
-    if (voucher.status.toLowerCase() === "closed") {
-      return res.status(400).json({ message: "Loan is already closed" });
+    if (["closed", "auctioned"].includes(voucher.status.toLowerCase())) {
+      return res.status(400).json({ message: `Loan is already ${voucher.status.toLowerCase()}` });
     }
 
-    // Calculate number of months since disbursement
-    const disbursementDate = new Date(voucher.disbursementDate);
-    const currentDate = new Date();
-    const diffTime = currentDate - disbursementDate;
-    const diffMonths = Math.floor(diffTime / (1000 * 60 * 60 * 24 * 30));
-
-    // Calculate interest
-    const interestRate = parseFloat(voucher.interestRate || 0) / 100;
-    const monthlyInterestAmount = parseFloat(voucher.finalLoanAmount || 0) * interestRate;
-
-    const paymentHistory = voucher.paymentHistory || [];
-    const paidInterest = paymentHistory.reduce((sum, payment) => sum + payment.amount, 0);
-
-    const totalInterestDue = monthlyInterestAmount * diffMonths;
-    const remainingInterestAmount = Math.max(0, totalInterestDue - paidInterest);
-
-    // Final settlement
-    const finalAmount = parseFloat(voucher.finalLoanAmount || 0) + remainingInterestAmount;
+    // Settle interest under the configured accrual policy
+    const policy = await loadInterestPolicy();
+    const payoff = computeVoucherPayoff(voucher, await getSystemDate(), policy);
 
     // Update voucher
     voucher.status = "Closed";
-    voucher.closedDate = new Date();
-    voucher.monthsPaid = diffMonths;
-    voucher.totalInterestPaid = paidInterest + remainingInterestAmount;
-    voucher.finalAmountPaid = finalAmount;
+    voucher.closedDate = payoff.asOf;
+    voucher.monthsPaid = payoff.months;
+    voucher.totalInterestPaid = Math.max(payoff.interestPaid, payoff.totalInterest);
+    voucher.finalAmountPaid = payoff.payoffAmount;
+    voucher.outstandingPrincipal = 0;
     voucher.paymentMethod = req.body.paymentMethod || "Cash";
+    voucher.closureReceiptNo = await nextNumber("receiptNo", { branch: voucher.branch, date: payoff.asOf });
 
     const updatedVoucher = await voucher.save();
+
+    // Redeeming the jewels stops any auction in progress
+    await AuctionTransfer.withdrawForVoucher(voucher._id, "Redeemed by customer");
     res.status(200).json(updatedVoucher);
   } catch (err) {
     console.error("❌ Error closing voucher:", err.message);
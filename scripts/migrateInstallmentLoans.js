@@ -0,0 +1,129 @@
+// scripts/migrateInstallmentLoans.js
+// Copies Loan, PersonalLoan and SavedLoanDetail documents into the unified
+// InstallmentLoan collection. The old collections are only read, so the script
+// can be re-run: loans copied on an earlier run are skipped.
+//
+//   npm run migrate:installment-loans              # copy
+//   npm run migrate:installment-loans -- --dry-run # report only
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import InstallmentLoan, { PAYMENT_METHODS } from "../models/InstallmentLoan.js";
+import Loan from "../models/Loan.js";
+import PersonalLoan from "../models/PersonalLoan.js";
+import SavedLoanDetail from "../models/SavedLoanDetail.js";
+import { toLoanDate } from "../utils/installmentLoanService.js";
+
+dotenv.config();
+
+const SOURCES = [
+  { origin: "Loan", model: Loan },
+  { origin: "PersonalLoan", model: PersonalLoan },
+  { origin: "SavedLoanDetail", model: SavedLoanDetail },
+];
+
+// Map a legacy document onto the unified schema
+const toInstallmentLoan = (doc, origin) => ({
+  loanId: doc.loanId,
+  origin,
+  legacyId: doc._id,
+  customerId: doc.customerId,
+  customerName: doc.customerName,
+  customerPhone: doc.customerPhone,
+  customerFatherSpouse: doc.customerFatherSpouse || "",
+  customerAltPhone: doc.customerAltPhone || "",
+  customerAddress: doc.customerAddress,
+  customerGovIdType: doc.customerGovIdType || "",
+  customerGovIdNumber: doc.customerGovIdNumber || "",
+  customerPhoto: doc.customerPhoto || null,
+  loanAmount: doc.loanAmount,
+  interestRate: doc.interestRate,
+  numberOfInstallments: doc.numberOfInstallments,
+  installmentFrequency: doc.installmentFrequency,
+  startDate: toLoanDate(doc.startDate),
+  totalAmount: doc.totalAmount,
+  totalInterest: doc.totalInterest,
+  status: doc.status,
+  installments: (doc.installments || []).map((inst) => ({
+    installmentNo: inst.installmentNo,
+    dueDate: toLoanDate(inst.dueDate),
+    emiAmount: inst.emiAmount,
+    principalAmount: inst.principalAmount,
+    interestAmount: inst.interestAmount,
+    remainingBalance: inst.remainingBalance,
+    status: inst.status,
+    paidAmount: inst.paidAmount || 0,
+    paidDate: toLoanDate(inst.paidDate),
+  })),
+  payments: (doc.payments || []).map((payment) => ({
+    paymentId: payment.paymentId,
+    installmentNo: payment.installmentNo,
+    amount: payment.amount,
+    fineAmount: payment.fineAmount || 0,
+    totalAmount: payment.totalAmount,
+    date: toLoanDate(payment.date),
+    status: payment.status || "Received",
+    paymentMethod: PAYMENT_METHODS.includes(payment.paymentMethod) ? payment.paymentMethod : "Cash",
+    notes: payment.notes || "",
+  })),
+  notes: doc.notes || "",
+  createdBy: doc.createdBy || "system",
+  lastUpdatedBy: doc.lastUpdatedBy || "system",
+  createdAt: doc.createdAt || doc._id.getTimestamp(),
+  updatedAt: doc.updatedAt || doc.createdAt || doc._id.getTimestamp(),
+});
+
+const migrateInstallmentLoans = async ({ dryRun = false } = {}) => {
+  const report = { copied: 0, skipped: 0, conflicts: [], failed: [] };
+  const copiedInThisRun = new Map(); // loanId -> origin, so a dry run also spots clashes
+
+  for (const { origin, model } of SOURCES) {
+    const docs = await model.find().lean();
+    for (const doc of docs) {
+      const existing =
+        (copiedInThisRun.has(doc.loanId) && { origin: copiedInThisRun.get(doc.loanId) }) ||
+        (await InstallmentLoan.findOne({ loanId: doc.loanId }).select("origin legacyId").lean());
+      if (existing) {
+        if (existing.origin === origin && String(existing.legacyId) === String(doc._id)) {
+          report.skipped++;
+        } else {
+          // Same loan ID issued by two of the old models; needs a manual decision
+          report.conflicts.push({ loanId: doc.loanId, origin, legacyId: doc._id, existingOrigin: existing.origin });
+        }
+        continue;
+      }
+
+      try {
+        const loan = new InstallmentLoan(toInstallmentLoan(doc, origin));
+        if (dryRun) {
+          await loan.validate();
+        } else {
+          await loan.save({ timestamps: false });
+        }
+        copiedInThisRun.set(doc.loanId, origin);
+        report.copied++;
+      } catch (err) {
+        report.failed.push({ loanId: doc.loanId, origin, error: err.message });
+      }
+    }
+  }
+
+  return report;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  await connectDB();
+
+  const report = await migrateInstallmentLoans({ dryRun });
+  console.log(`${dryRun ? "Dry run: would copy" : "Copied"} ${report.copied} loan(s), ${report.skipped} already migrated`);
+  report.conflicts.forEach((c) =>
+    console.warn(`⚠️ Loan ID ${c.loanId} from ${c.origin} (${c.legacyId}) already used by a ${c.existingOrigin} loan`)
+  );
+  report.failed.forEach((f) => console.error(`❌ ${f.origin} ${f.loanId}: ${f.error}`));
+
+  await mongoose.disconnect();
+  process.exit(report.conflicts.length || report.failed.length ? 1 : 0);
+};
+
+run();
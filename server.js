@@ -28,8 +28,8 @@ app.use(cors({
   origin: '*', // Allow all origins
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Requested-With', 'x-auth-token'],
-  exposedHeaders: ['Content-Disposition', 'Content-Length', 'Content-Type']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Requested-With', 'x-auth-token', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Disposition', 'Content-Length', 'Content-Type', 'Idempotent-Replayed']
 }));
 
 // -------- Middleware --------
@@ -191,15 +191,23 @@ const loadRoutes = async () => {
     { path: "./routes/personalLoanRoutes.js", name: "personalLoanRoutes", endpoint: "/api/personal-loans" },
     { path: "./routes/savedloandetailRoutes.js", name: "savedLoanDetailRoutes", endpoint: "/api/saved-loans" },
     { path: "./routes/collectionRoutes.js", name: "collectionRoutes", endpoint: "/api/collections" },
+    { path: "./routes/agentTillRoutes.js", name: "agentTillRoutes", endpoint: "/api/agent-tills" },
     { path: "./routes/overviewRoutes.js", name: "overviewRoutes", endpoint: "/api/overview" },
     { path: "./routes/backupRoutes.js", name: "backupRoutes", endpoint: "/api/backup" },
     { path: "./routes/customerRoutes.js", name: "customerRoutes", endpoint: "/api/customers" },
     { path: "./routes/loanRoutes.js", name: "loanRoutes", endpoint: "/api/loans" },
     { path: "./routes/financialYearRoutes.js", name: "financialYearRoutes", endpoint: "/api/financial-year" },
     { path: "./routes/jewelRateRoutes.js", name: "jewelRateRoutes", endpoint: "/api/jewel-rates" },
+    { path: "./routes/ltvRuleRoutes.js", name: "ltvRuleRoutes", endpoint: "/api/ltv-rules" },
     { path: "./routes/interestRateRoutes.js", name: "interestRateRoutes", endpoint: "/api/interest-rates" },
     { path: "./routes/interestRoutes.js", name: "interestRoutes", endpoint: "/api/interest" },
+    { path: "./routes/interestPolicyRoutes.js", name: "interestPolicyRoutes", endpoint: "/api/interest-policy" },
+    { path: "./routes/numberFormatRoutes.js", name: "numberFormatRoutes", endpoint: "/api/number-formats" },
+    { path: "./routes/holidayCalendarRoutes.js", name: "holidayCalendarRoutes", endpoint: "/api/holiday-calendars" },
     { path: "./routes/voucherRoutes.js", name: "voucherRoutes", endpoint: "/api/vouchers" },
+    { path: "./routes/auctionTransferRoutes.js", name: "auctionTransferRoutes", endpoint: "/api/auction-transfers" },
+    { path: "./routes/auctionNoticeRoutes.js", name: "auctionNoticeRoutes", endpoint: "/api/auction-notices" },
+    { path: "./routes/receiptRoutes.js", name: "receiptRoutes", endpoint: "/api/receipts" },
     { path: "./routes/dayBookRoutes.js", name: "dayBookRoutes", endpoint: "/api/daybook" },
     { path: "./routes/ledgerRoutes.js", name: "ledgerRoutes", endpoint: "/api/ledger" }
   ];
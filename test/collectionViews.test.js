@@ -0,0 +1,68 @@
+// test/collectionViews.test.js
+// GET /api/collections shows the loan's figures even when its collection
+// record missed a refresh; the record still supplies the assignment.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Collection from "../models/Collection.js";
+import DateTime from "../models/DateTime.js";
+import InstallmentLoan from "../models/InstallmentLoan.js";
+import { getAllLoans } from "../controllers/collectionController.js";
+
+DateTime.findOne = () => ({ sort: async () => null });
+
+const loan = {
+  loanId: "LN-7",
+  customerId: "C-7",
+  customerName: "Test",
+  customerPhone: "9000000000",
+  customerAddress: "Street",
+  loanAmount: 2000,
+  totalAmount: 2000,
+  totalInterest: 0,
+  numberOfInstallments: 2,
+  installmentFrequency: "Monthly",
+  status: "Active",
+  installments: [
+    { installmentNo: 1, dueDate: new Date("2026-02-01"), emiAmount: 1000, principalAmount: 1000, interestAmount: 0, status: "Paid", paidAmount: 1000 },
+    { installmentNo: 2, dueDate: new Date("2099-03-01"), emiAmount: 1000, principalAmount: 1000, interestAmount: 0, status: "Pending", paidAmount: 0 },
+  ],
+  payments: [{ paymentId: "R-1", installmentNo: 1, amount: 1000, totalAmount: 1000, date: new Date("2026-02-01"), status: "Received" }],
+};
+
+// Written before the payment above and never refreshed
+const staleRecord = { _id: "col-7", loanId: "LN-7", remainingBalance: 2000, paidInstallments: 0, assignedTo: "agent-1", collectionRoute: "North" };
+
+const loanQueries = [];
+InstallmentLoan.find = (query) => {
+  loanQueries.push(query);
+  return { lean: async () => [loan] };
+};
+Collection.find = () => ({ sort: () => ({ lean: async () => [staleRecord] }) });
+Collection.distinct = async () => ["LN-7"];
+
+const list = async (query) => {
+  let body;
+  const res = {
+    status() {
+      return this;
+    },
+    json(payload) {
+      body = payload;
+    },
+  };
+  await getAllLoans({ query }, res);
+  return body;
+};
+
+test("figures come from the loan, assignment from the record", async () => {
+  const body = await list({ agent: "agent-1" });
+
+  assert.equal(body.success, true);
+  assert.deepEqual(loanQueries.at(-1), { status: "Active", loanId: { $in: ["LN-7"] } });
+  const [row] = body.data;
+  assert.equal(row.remainingBalance, 1000);
+  assert.equal(row.nextInstallmentNo, 2);
+  assert.equal(row.assignedTo, "agent-1");
+  assert.equal(row.collectionRoute, "North");
+  assert.equal(body.pagination.totalRecords, 1);
+});
@@ -0,0 +1,70 @@
+// test/idempotency.test.js
+// A client that drops the connection before its payment response arrives
+// retries with the same Idempotency-Key and gets the first response back.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import IdempotencyRecord from "../models/IdempotencyRecord.js";
+import { idempotent } from "../middleware/idempotency.js";
+
+// Stand-in for the collection, keyed like its unique (key, scope) index
+const records = new Map();
+const recordId = ({ key, scope }) => `${scope}|${key}`;
+IdempotencyRecord.create = async (doc) => {
+  if (records.has(recordId(doc))) throw Object.assign(new Error("duplicate key"), { code: 11000 });
+  records.set(recordId(doc), { status: "Processing", ...doc });
+};
+IdempotencyRecord.findOne = (filter) => ({ lean: async () => records.get(recordId(filter)) ?? null });
+IdempotencyRecord.updateOne = async (filter, { $set }) => {
+  Object.assign(records.get(recordId(filter)), $set);
+};
+IdempotencyRecord.deleteOne = async (filter) => {
+  records.delete(recordId(filter));
+};
+
+let posted = 0;
+let release;
+const app = express();
+app.use(express.json());
+app.post("/pay", idempotent, async (req, res) => {
+  await new Promise((resolve) => {
+    release = resolve;
+  });
+  posted++;
+  res.status(201).json({ receiptNo: `R-${posted}` });
+});
+
+const waitFor = async (condition) => {
+  while (!condition()) await new Promise((resolve) => setTimeout(resolve, 5));
+};
+
+test("a response the client never received is replayed on retry", async () => {
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/pay`;
+  const send = (signal) =>
+    fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Idempotency-Key": "drop-1" },
+      body: JSON.stringify({ amount: 500 }),
+      signal,
+    });
+
+  try {
+    // The client gives up while the payment is still being posted
+    const aborted = new AbortController();
+    const first = send(aborted.signal).catch((err) => err);
+    await waitFor(() => release);
+    aborted.abort();
+    assert.equal((await first).name, "AbortError");
+    release();
+    await waitFor(() => records.get("POST /pay|drop-1")?.status === "Completed");
+
+    const retry = await send();
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.deepEqual(await retry.json(), { receiptNo: "R-1" });
+    assert.equal(posted, 1);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,87 @@
+// test/loanPayment.test.js
+// POST /api/loans/:id/payment finds the loan by the :id in its route and runs
+// the payment through the allocation engine.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import InstallmentLoan from "../models/InstallmentLoan.js";
+import AllocationPolicy from "../models/AllocationPolicy.js";
+import PenaltyPolicy from "../models/PenaltyPolicy.js";
+import Counter from "../models/Counter.js";
+import DateTime from "../models/DateTime.js";
+import FinancialYear from "../models/FinancialYear.js";
+import NumberFormat from "../models/NumberFormat.js";
+import loanRoutes from "../routes/loanRoutes.js";
+
+let receiptSeq = 0;
+AllocationPolicy.current = async () => ({ order: ["fines", "interest", "principal", "future"] });
+PenaltyPolicy.forProduct = async () => ({ flatPerInstallment: 0, dailyPercent: 0, graceDays: 0 });
+Counter.increment = async () => ({ seq: ++receiptSeq });
+DateTime.findOne = () => ({ sort: async () => null });
+FinancialYear.findOne = () => ({ sort: async () => null });
+NumberFormat.findOne = () => ({ lean: async () => null });
+
+const loan = new InstallmentLoan({
+  loanId: "LN-1",
+  customerId: "C-1",
+  customerName: "Test",
+  customerPhone: "9000000000",
+  customerAddress: "Street",
+  loanAmount: 2000,
+  interestRate: 0,
+  numberOfInstallments: 2,
+  installmentFrequency: "Monthly",
+  startDate: new Date("2026-01-01"),
+  totalAmount: 2000,
+  totalInterest: 0,
+  installments: [1, 2].map((n) => ({
+    installmentNo: n,
+    dueDate: new Date(`2026-0${n + 1}-01`),
+    emiAmount: 1000,
+    principalAmount: 1000,
+    interestAmount: 0,
+    remainingBalance: 2000 - n * 1000,
+  })),
+});
+loan.save = async function () {
+  return this;
+};
+
+const lookups = [];
+InstallmentLoan.findOne = async (query) => {
+  lookups.push(query);
+  return query.loanId === loan.loanId ? loan : null;
+};
+
+const post = async (path, body) => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/loans", loanRoutes);
+  const server = app.listen(0);
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    server.close();
+  }
+};
+
+test("a payment is applied to the loan named in the route", async () => {
+  const res = await post("/api/loans/LN-1/payment", { amount: 1000 });
+
+  assert.deepEqual(lookups.at(-1), { loanId: "LN-1" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.payments.length, 1);
+  assert.equal(res.body.data.installments[0].status, "Paid");
+});
+
+test("an unknown loan is a 404", async () => {
+  const res = await post("/api/loans/LN-404/payment", { amount: 1000 });
+
+  assert.deepEqual(lookups.at(-1), { loanId: "LN-404" });
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,98 @@
+// test/offlineSync.test.js
+// Offline payments carry the device's key; normal payments carry none, and
+// the key is checked by the loan write itself rather than a unique index.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import InstallmentLoan from "../models/InstallmentLoan.js";
+import AllocationPolicy from "../models/AllocationPolicy.js";
+import PenaltyPolicy from "../models/PenaltyPolicy.js";
+import Counter from "../models/Counter.js";
+import FinancialYear from "../models/FinancialYear.js";
+import NumberFormat from "../models/NumberFormat.js";
+import { applyInstallmentPayment } from "../utils/installmentLoanService.js";
+
+let receiptSeq = 0;
+AllocationPolicy.current = async () => ({ order: ["fines", "interest", "principal", "future"] });
+PenaltyPolicy.forProduct = async () => ({ flatPerInstallment: 0, dailyPercent: 0, graceDays: 0 });
+Counter.increment = async () => ({ seq: ++receiptSeq });
+FinancialYear.findOne = () => ({ sort: async () => null });
+NumberFormat.findOne = () => ({ lean: async () => null });
+
+// Stand-in for the database: save applies the document's $where filter to
+// the payments already stored, as MongoDB does for the conditional update
+const stored = new Map();
+const matchesWhere = (payments, where) =>
+  Object.entries(where || {}).every(([path, condition]) =>
+    path === "payments.clientKey" ? !payments.some((p) => p.clientKey === condition.$ne) : true
+  );
+const makeLoan = (loanId) => {
+  const loan = new InstallmentLoan({
+    loanId,
+    customerId: `C-${loanId}`,
+    customerName: "Test",
+    customerPhone: "9000000000",
+    customerAddress: "Street",
+    loanAmount: 3000,
+    interestRate: 0,
+    numberOfInstallments: 3,
+    installmentFrequency: "Monthly",
+    startDate: new Date("2026-01-01"),
+    totalAmount: 3000,
+    totalInterest: 0,
+    installments: [1, 2, 3].map((n) => ({
+      installmentNo: n,
+      dueDate: new Date(`2026-0${n + 1}-01`),
+      emiAmount: 1000,
+      principalAmount: 1000,
+      interestAmount: 0,
+      remainingBalance: 3000 - n * 1000,
+    })),
+  });
+  stored.set(loanId, []);
+  loan.save = async function () {
+    if (!matchesWhere(stored.get(loanId), this.$where)) {
+      throw new mongoose.Error.DocumentNotFoundError({ _id: this._id, ...this.$where }, "InstallmentLoan", 0, {});
+    }
+    stored.set(loanId, this.payments.map((p) => p.toObject()));
+    return this;
+  };
+  return loan;
+};
+
+test("payments.clientKey is not a unique index", () => {
+  const indexes = InstallmentLoan.schema.indexes().filter(([fields]) => "payments.clientKey" in fields);
+  assert.equal(indexes.length, 1);
+  assert.notEqual(indexes[0][1].unique, true);
+});
+
+test("two loans mixing offline and normal payments both save", async () => {
+  const date = new Date("2026-02-01");
+  for (const loanId of ["L-A", "L-B"]) {
+    const loan = makeLoan(loanId);
+    const normal = await applyInstallmentPayment(loan, { installmentNo: 1, amount: 1000, date });
+    const offline = await applyInstallmentPayment(loan, { installmentNo: 2, amount: 1000, date, clientKey: `key-${loanId}` });
+    assert.ok(normal.payment && offline.payment);
+  }
+
+  for (const loanId of ["L-A", "L-B"]) {
+    const [normal, offline] = stored.get(loanId);
+    assert.equal("clientKey" in normal, false, "normal payments store no key, not null");
+    assert.equal(offline.clientKey, `key-${loanId}`);
+  }
+});
+
+test("a key already on the loan is not written again", async () => {
+  const date = new Date("2026-02-01");
+  const loan = makeLoan("L-C");
+  await applyInstallmentPayment(loan, { installmentNo: 1, amount: 1000, date, clientKey: "retry" });
+
+  // A retry racing the first request holds the loan as it was before
+  const racing = makeLoan("L-C-copy");
+  stored.set("L-C-copy", stored.get("L-C"));
+  await assert.rejects(
+    applyInstallmentPayment(racing, { installmentNo: 1, amount: 1000, date, clientKey: "retry" }),
+    (err) => err.name === "DocumentNotFoundError"
+  );
+  assert.equal(stored.get("L-C-copy").length, 1);
+});
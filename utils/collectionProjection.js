@@ -0,0 +1,137 @@
+// utils/collectionProjection.js
+// A Collection record is a projection of its installment loan. Everything
+// returned by projectCollection is derived from the loan and rewritten on
+// every loan write (see the hooks in models/InstallmentLoan.js); the
+// assignment fields, notes and flags belong to the collection record alone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// DD/MM/YYYY, the form collection records keep dates in
+const formatDate = (date) => {
+  if (!date) return null;
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, "0")}/${String(d.getMonth() + 1).padStart(2, "0")}/${d.getFullYear()}`;
+};
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+export const COLLECTION_STATUS_BY_LOAN = { Active: "Active", Closed: "Completed", Defaulted: "Defaulted" };
+
+// Fields that change with the date rather than with the loan
+const TIME_DEPENDENT_FIELDS = ["overdueInstallments", "priority"];
+
+/**
+ * The loan-derived fields of a loan's collection record. Overdue counts and
+ * priority are as of asOf.
+ */
+export const projectCollection = (loan, asOf = new Date()) => {
+  const view = typeof loan.toObject === "function" ? loan.toObject() : loan;
+  const today = startOfDay(asOf);
+  const closed = view.status === "Closed";
+
+  const installments = (view.installments || []).map((inst) => {
+    const overdue = !closed && inst.status !== "Paid" && startOfDay(inst.dueDate) < today;
+    return {
+      installmentNo: inst.installmentNo,
+      originalDueDate: formatDate(inst.dueDate),
+      emiAmount: inst.emiAmount,
+      principalAmount: inst.principalAmount,
+      interestAmount: inst.interestAmount,
+      status: inst.status,
+      paidAmount: inst.paidAmount || 0,
+      remainingAmount: round2(inst.emiAmount - (inst.paidAmount || 0)),
+      lastPaymentDate: formatDate(inst.paidDate),
+      overdueDate: overdue ? formatDate(inst.dueDate) : null,
+      overdueDays: overdue ? Math.round((today - startOfDay(inst.dueDate)) / DAY_MS) : 0,
+    };
+  });
+
+  const payments = [...(view.payments || [])]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map((payment) => ({
+      paymentId: payment.paymentId,
+      installmentNo: payment.installmentNo,
+      amount: payment.amount,
+      fineAmount: payment.fineAmount || 0,
+      totalAmount: payment.totalAmount,
+      paymentDate: formatDate(payment.date),
+      paymentMethod: payment.paymentMethod || "Cash",
+      status: payment.status || "Received",
+      collectedBy: payment.collectedBy || "system",
+      notes: payment.notes || "",
+      receiptNumber: payment.paymentId,
+    }));
+  const received = payments.filter((payment) => payment.status === "Received");
+
+  const totalPaid = round2(installments.reduce((sum, inst) => sum + inst.paidAmount, 0));
+  const nextUnpaid = installments.find((inst) => inst.status !== "Paid");
+  const overdueInstallments = installments.filter((inst) => inst.overdueDays > 0).length;
+
+  return {
+    loanId: view.loanId,
+    customerId: view.customerId,
+    customerName: view.customerName,
+    customerPhone: view.customerPhone,
+    customerAddress: view.customerAddress,
+    customerPhoto: view.customerPhoto || null,
+
+    originalLoanAmount: view.loanAmount,
+    totalAmount: view.totalAmount,
+    totalInterest: view.totalInterest,
+    numberOfInstallments: view.numberOfInstallments,
+    installmentFrequency: view.installmentFrequency,
+
+    collectionStatus: COLLECTION_STATUS_BY_LOAN[view.status] || "Active",
+
+    totalPaidAmount: totalPaid,
+    totalFinesPaid: round2(received.reduce((sum, payment) => sum + payment.fineAmount, 0)),
+    remainingBalance: round2(view.totalAmount - totalPaid),
+
+    paidInstallments: installments.filter((inst) => inst.status === "Paid").length,
+    pendingInstallments: installments.filter((inst) => inst.status !== "Paid").length,
+    overdueInstallments,
+    priority: overdueInstallments > 2 ? "Critical" : overdueInstallments > 0 ? "High" : "Medium",
+
+    nextDueDate: nextUnpaid?.originalDueDate ?? null,
+    nextDueAmount: nextUnpaid?.remainingAmount ?? null,
+    nextInstallmentNo: nextUnpaid?.installmentNo ?? null,
+
+    installments,
+    payments,
+
+    firstPaymentDate: received[0]?.paymentDate ?? null,
+    lastPaymentDate: received[received.length - 1]?.paymentDate ?? null,
+    expectedCompletionDate: installments[installments.length - 1]?.originalDueDate ?? null,
+  };
+};
+
+const sameValue = (actual, expected) => {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && actual.length === expected.length && expected.every((item, i) => sameValue(actual[i], item));
+  }
+  if (expected && typeof expected === "object") {
+    return actual != null && Object.keys(expected).every((key) => sameValue(actual[key], expected[key]));
+  }
+  return (actual ?? null) === (expected ?? null);
+};
+
+/**
+ * Names of the loan-derived fields where a collection record differs from
+ * its projection. With includeTimeDependent false, overdue counts and
+ * priority are left out, so a record only goes stale when the loan changed.
+ */
+export const findDrift = (collection, projection, { includeTimeDependent = true } = {}) =>
+  Object.keys(projection).filter((field) => {
+    if (!includeTimeDependent && TIME_DEPENDENT_FIELDS.includes(field)) return false;
+    if (field === "installments" && !includeTimeDependent) {
+      const strip = (list) => (list || []).map(({ overdueDate, overdueDays, ...inst }) => inst);
+      return !sameValue(strip(collection.installments), strip(projection.installments));
+    }
+    return !sameValue(collection[field], projection[field]);
+  });
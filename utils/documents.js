@@ -0,0 +1,100 @@
+// utils/documents.js
+// Printable documents handed to customers. The business details printed in
+// the header come from the environment.
+
+export const businessDetails = () => ({
+  name: process.env.BUSINESS_NAME || "Pawn Broker",
+  address: process.env.BUSINESS_ADDRESS || "",
+  phone: process.env.BUSINESS_PHONE || "",
+  licenceNo: process.env.BUSINESS_LICENCE_NO || "",
+});
+
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+export const formatCurrency = (amount) =>
+  `₹${Number(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" }) : "";
+
+const NOTICE_TITLES = {
+  first: "First Notice: Pledge Overdue",
+  second: "Second Notice: Pledge Overdue",
+  final: "Final Notice Before Auction",
+};
+
+const noticeBody = (notice) => {
+  const bill = escapeHtml(notice.billNo);
+  const due = formatDate(notice.dueDate);
+  const respondBy = formatDate(notice.respondBy);
+
+  if (notice.stage === "final") {
+    return `<p>Despite our earlier notices, the loan against pledge bill <strong>${bill}</strong>, due on
+      ${due}, remains unpaid. Unless the amount below is paid and the pledge redeemed, the pledged
+      articles will be sold by public auction on or after <strong>${respondBy}</strong>. Any surplus from
+      the sale will be refunded to you and any shortfall remains recoverable from you.</p>`;
+  }
+  return `<p>The loan against pledge bill <strong>${bill}</strong> fell due on ${due} and remains unpaid.
+    Please pay the amount below and redeem or renew your pledge by <strong>${respondBy}</strong>.</p>`;
+};
+
+// Printable HTML for a pre-auction notice
+export const renderNoticeHtml = (notice) => {
+  const business = businessDetails();
+  const customer = notice.customer || {};
+  const items = (notice.jewelryItems || [])
+    .map(
+      (item) => `<tr><td>${escapeHtml(item.name)}</td><td>${escapeHtml(item.purity)}</td>
+        <td class="num">${item.netWeight ? `${item.netWeight} g` : ""}</td></tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(NOTICE_TITLES[notice.stage])} - ${escapeHtml(notice.billNo)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 40px; color: #222; }
+  header { border-bottom: 2px solid #222; margin-bottom: 20px; }
+  h1 { font-size: 20px; margin: 0; }
+  h2 { font-size: 16px; text-transform: uppercase; }
+  table { border-collapse: collapse; width: 100%; margin: 12px 0; }
+  td, th { border: 1px solid #999; padding: 6px; text-align: left; }
+  .num { text-align: right; }
+  .meta { font-size: 12px; color: #555; }
+  @media print { body { margin: 15mm; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(business.name)}</h1>
+  <p class="meta">${escapeHtml(business.address)} ${business.phone ? `| ${escapeHtml(business.phone)}` : ""}
+    ${business.licenceNo ? `| Licence No. ${escapeHtml(business.licenceNo)}` : ""}</p>
+</header>
+<p>Date: ${formatDate(notice.issuedAt)}</p>
+<p>To,<br>${escapeHtml(customer.fullName)} (${escapeHtml(customer.customerId)})<br>
+  ${escapeHtml(customer.address)}<br>${escapeHtml(customer.phoneNumber)}</p>
+<h2>${escapeHtml(NOTICE_TITLES[notice.stage])}</h2>
+${noticeBody(notice)}
+<table>
+  <tr><th>Pledge bill</th><td>${escapeHtml(notice.billNo)}</td></tr>
+  <tr><th>Due date</th><td>${formatDate(notice.dueDate)} (${notice.daysOverdue} days overdue)</td></tr>
+  <tr><th>Principal outstanding</th><td class="num">${formatCurrency(notice.principalOutstanding)}</td></tr>
+  <tr><th>Interest due</th><td class="num">${formatCurrency(notice.interestDue)}</td></tr>
+  <tr><th>Amount payable as of ${formatDate(notice.issuedAt)}</th><td class="num"><strong>${formatCurrency(notice.payoffAmount)}</strong></td></tr>
+</table>
+<p class="meta">Interest continues to accrue until the loan is settled.</p>
+${items ? `<table><tr><th>Pledged article</th><th>Purity</th><th class="num">Net weight</th></tr>${items}</table>` : ""}
+<p>For ${escapeHtml(business.name)}</p>
+<p class="meta">Issued by ${escapeHtml(notice.issuedByName || notice.issuedBy)} via ${escapeHtml(notice.deliveryMethod)}
+  ${notice.trackingReference ? `(ref. ${escapeHtml(notice.trackingReference)})` : ""}</p>
+</body>
+</html>`;
+};
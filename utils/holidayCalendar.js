@@ -0,0 +1,62 @@
+// utils/holidayCalendar.js
+// Moves installment due dates off weekly offs and holidays. Calendars come
+// from HolidayCalendar.forBranch: { weeklyOffs, holidays, shiftDirection }.
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// YYYY-MM-DD in server time, the form holidays are stored in
+export const toDayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+export const isDayOff = (date, calendar) =>
+  calendar.weeklyOffs.includes(new Date(date).getDay()) || calendar.holidays.includes(toDayKey(date));
+
+/**
+ * Due dates moved to working days, in order. A date on a day off goes to the
+ * next working day, or the previous one when the calendar's shiftDirection is
+ * "previous". Each date stays after the one before it (and after startDate),
+ * so a Daily schedule skips days off rather than doubling up on a day.
+ */
+export const adjustDueDates = (dueDates, calendar, startDate) => {
+  if (!calendar || (calendar.weeklyOffs.length === 0 && calendar.holidays.length === 0)) return dueDates;
+
+  const adjusted = [];
+  let previous = startDate ? new Date(startDate) : null;
+  for (const dueDate of dueDates) {
+    let date = new Date(dueDate);
+
+    if (calendar.shiftDirection === "previous" && isDayOff(date, calendar)) {
+      let earlier = date;
+      while (isDayOff(earlier, calendar)) earlier = addDays(earlier, -1);
+      if (!previous || toDayKey(earlier) > toDayKey(previous)) date = earlier;
+    }
+    if (previous && toDayKey(date) <= toDayKey(previous)) date = addDays(previous, 1);
+    while (isDayOff(date, calendar)) date = addDays(date, 1);
+
+    adjusted.push(date);
+    previous = date;
+  }
+  return adjusted;
+};
+
+// Returns an error message when a calendar update is not usable
+export const validateHolidayCalendar = ({ weeklyOffs, holidays }) => {
+  if (weeklyOffs !== undefined) {
+    if (!Array.isArray(weeklyOffs) || weeklyOffs.some((day) => !Number.isInteger(Number(day)) || day < 0 || day > 6)) {
+      return "Weekly offs must be day numbers from 0 (Sunday) to 6 (Saturday)";
+    }
+    if (new Set(weeklyOffs.map(Number)).size > 6) return "At least one day of the week must be a working day";
+  }
+  if (holidays !== undefined) {
+    if (!Array.isArray(holidays)) return "Holidays must be a list";
+    const bad = holidays.find((h) => !/^\d{4}-\d{2}-\d{2}$/.test(h?.date || "") || Number.isNaN(new Date(h.date).getTime()));
+    if (bad) return `Invalid holiday date "${bad?.date ?? ""}"; use YYYY-MM-DD`;
+  }
+  return null;
+};
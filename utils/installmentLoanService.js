@@ -0,0 +1,606 @@
+// utils/installmentLoanService.js
+// Installment loan operations shared by /api/loans, /api/personal-loans,
+// /api/saved-loans and the collection screen, so a loan is created, paid and
+// reported the same way whichever API touches it.
+import mongoose from "mongoose";
+import HolidayCalendar from "../models/HolidayCalendar.js";
+import InstallmentLoan from "../models/InstallmentLoan.js";
+import PenaltyPolicy from "../models/PenaltyPolicy.js";
+import AllocationPolicy from "../models/AllocationPolicy.js";
+import { adjustDueDates } from "./holidayCalendar.js";
+import {
+  buildInstallmentSchedule,
+  installmentDueDate,
+  periodicRate,
+  validateScheduleTerms,
+} from "./installmentSchedule.js";
+import { allocatePayment, paidSplit, unpaidInterest, unpaidPrincipal } from "./paymentAllocation.js";
+import { computePenalty, settlePenalty } from "./penalty.js";
+import { nextNumber } from "./sequence.js";
+
+// Personal and saved loans have always required at least this amount
+export const MINIMUM_LOAN_AMOUNT = 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Accepts Dates, ISO strings and the DD/MM/YYYY (or D/M/YYYY) strings older screens send
+export const toLoanDate = (value) => {
+  if (value == null || value === "" || value instanceof Date) return value;
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(String(value).trim());
+  if (match) return new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1]));
+  return new Date(value);
+};
+
+// DD/MM/YYYY, the format the saved loan and collection screens use
+export const formatLoanDate = (value) => {
+  if (!value) return value;
+  const d = new Date(value);
+  return `${String(d.getDate()).padStart(2, "0")}/${String(d.getMonth() + 1).padStart(2, "0")}/${d.getFullYear()}`;
+};
+
+// Convert any string dates in a create or update body to Dates
+export const normalizeLoanInput = (data) => {
+  const input = { ...data };
+  if (input.startDate) input.startDate = toLoanDate(input.startDate);
+  if (Array.isArray(input.installments)) {
+    input.installments = input.installments.map((inst) => ({
+      ...inst,
+      dueDate: toLoanDate(inst.dueDate),
+      paidDate: toLoanDate(inst.paidDate),
+    }));
+  }
+  if (Array.isArray(input.payments)) {
+    input.payments = input.payments.map((payment) => ({ ...payment, date: toLoanDate(payment.date) }));
+  }
+  return input;
+};
+
+// A loan with its dates as DD/MM/YYYY strings, as /api/saved-loans has always returned them
+export const toSavedLoanView = (loan) => {
+  if (!loan) return loan;
+  const view = typeof loan.toObject === "function" ? loan.toObject() : { ...loan };
+  return {
+    ...view,
+    startDate: formatLoanDate(view.startDate),
+    installments: (view.installments || []).map((inst) => ({
+      ...inst,
+      dueDate: formatLoanDate(inst.dueDate),
+      paidDate: formatLoanDate(inst.paidDate),
+    })),
+    payments: (view.payments || []).map((payment) => ({ ...payment, date: formatLoanDate(payment.date) })),
+    restructures: (view.restructures || []).map((restructure) => ({
+      ...restructure,
+      effectiveDate: formatLoanDate(restructure.effectiveDate),
+      replacedInstallments: (restructure.replacedInstallments || []).map((inst) => ({
+        ...inst,
+        dueDate: formatLoanDate(inst.dueDate),
+        paidDate: formatLoanDate(inst.paidDate),
+      })),
+    })),
+  };
+};
+
+// Find a loan by loanId, or by _id when the value is an ObjectId
+export const findInstallmentLoan = (id) => {
+  const conditions = [{ loanId: id }];
+  if (mongoose.Types.ObjectId.isValid(id)) conditions.push({ _id: id });
+  return InstallmentLoan.findOne({ $or: conditions });
+};
+
+/**
+ * Create a loan. A schedule sent by the client is kept, with its due dates
+ * moved off the branch's days off; otherwise one is generated from the loan
+ * terms and scheduleType.
+ * Returns { loan } or { rejection: { status, message } }.
+ */
+export const createInstallmentLoan = async (data, { origin, createdBy = "system" }) => {
+  const input = normalizeLoanInput(data);
+
+  if (origin !== "Loan" && Number(input.loanAmount) < MINIMUM_LOAN_AMOUNT) {
+    return { rejection: { status: 400, message: `Loan amount must be at least ₹${MINIMUM_LOAN_AMOUNT}` } };
+  }
+
+  const calendar = await HolidayCalendar.forBranch(input.branch);
+  if (!Array.isArray(input.installments) || input.installments.length === 0) {
+    const invalid = validateScheduleTerms(input);
+    if (invalid) {
+      return { rejection: { status: 400, message: invalid } };
+    }
+    const schedule = buildInstallmentSchedule({ ...input, calendar });
+    input.installments = schedule.installments;
+    input.totalInterest = schedule.totalInterest;
+    input.totalAmount = schedule.totalAmount;
+  } else {
+    const dueDates = adjustDueDates(input.installments.map((inst) => inst.dueDate), calendar, input.startDate);
+    input.installments = input.installments.map((inst, i) => ({ ...inst, dueDate: dueDates[i] }));
+    input.totalAmount ??= round2(input.installments.reduce((sum, inst) => sum + Number(inst.emiAmount || 0), 0));
+    input.totalInterest ??= round2(input.totalAmount - Number(input.loanAmount || 0));
+  }
+
+  const loan = await InstallmentLoan.create({
+    ...input,
+    loanId: input.loanId || (await InstallmentLoan.generateLoanId()),
+    loanAmount: Number(input.loanAmount),
+    origin,
+    legacyId: null,
+    status: "Active",
+    createdBy,
+    lastUpdatedBy: createdBy,
+  });
+  return { loan };
+};
+
+/**
+ * Record a payment and save the loan. The amount and fine received are
+ * applied by the allocation policy (see utils/paymentAllocation.js): the
+ * installment named by installmentNo, and every unpaid one before it, count
+ * as due. Without an amount, everything due up to that installment is taken.
+ * Returns { payment, installment } or { rejection: { status, message } }.
+ */
+export const applyInstallmentPayment = async (
+  loan,
+  {
+    installmentNo,
+    amount,
+    fineAmount = 0,
+    paymentMethod = "Cash",
+    notes = "",
+    date = new Date(),
+    collectedBy = "system",
+    agentId = null,
+    clientKey = null,
+  }
+) => {
+  if (loan.status === "Closed") {
+    return { rejection: { status: 400, message: "Loan is already closed" } };
+  }
+
+  const installment =
+    installmentNo != null
+      ? loan.installments.find((inst) => inst.installmentNo === Number(installmentNo))
+      : loan.installments.find((inst) => inst.status !== "Paid");
+  if (!installment) {
+    return installmentNo != null
+      ? { rejection: { status: 404, message: "Installment not found" } }
+      : { rejection: { status: 400, message: "All installments are already paid" } };
+  }
+  if (installment.status === "Paid") {
+    return { rejection: { status: 400, message: "Installment already paid" } };
+  }
+
+  const due = round2(
+    loan.installments
+      .filter((inst) => inst.status !== "Paid" && (inst.installmentNo <= installment.installmentNo || inst.dueDate <= date))
+      .reduce((sum, inst) => sum + inst.emiAmount - (inst.paidAmount || 0), 0)
+  );
+  const paid = amount == null || amount === "" ? due : Number(amount);
+  const fine = Number(fineAmount) || 0;
+  if (!(paid > 0)) {
+    return { rejection: { status: 400, message: "Invalid paid amount" } };
+  }
+  if (fine < 0) {
+    return { rejection: { status: 400, message: "Fine amount cannot be negative" } };
+  }
+
+  // Late fees accrued so far count as charged once they are billed as a fine
+  const penalty = computePenalty(loan, await PenaltyPolicy.forProduct(loan.product), date);
+  settlePenalty(loan, penalty, fine, "penaltyCharged");
+
+  const { order } = await AllocationPolicy.current();
+  const split = allocatePayment(loan, {
+    received: paid + fine,
+    fineCharged: fine,
+    order,
+    asOf: date,
+    uptoInstallmentNo: installment.installmentNo,
+  });
+
+  loan.payments.push({
+    paymentId: await nextNumber("receiptNo", { date }),
+    installmentNo: split.allocations[0]?.installmentNo ?? installment.installmentNo,
+    amount: split.installmentAmount,
+    fineAmount: split.fineAmount,
+    totalAmount: round2(paid + fine),
+    date,
+    status: "Received",
+    paymentMethod,
+    collectedBy,
+    agentId,
+    ...(clientKey ? { clientKey } : {}),
+    allocations: split.allocations,
+    creditApplied: split.creditApplied,
+    creditAdded: split.creditAdded,
+    notes,
+  });
+  loan.lastUpdatedBy = collectedBy;
+  // A payment synced from the field app is only written if no payment on the
+  // loan has its key yet; otherwise save throws DocumentNotFoundError
+  if (clientKey) loan.$where = { "payments.clientKey": { $ne: clientKey } };
+  await loan.save();
+
+  return { payment: loan.payments[loan.payments.length - 1].toObject(), installment };
+};
+
+// Late fees on a loan under its product's penalty policy
+export const getLoanPenalty = async (loan, asOf = new Date()) =>
+  computePenalty(loan, await PenaltyPolicy.forProduct(loan.product), asOf);
+
+/**
+ * Ask for fines on a loan to be waived. Nothing changes until an admin
+ * approves it with decidePenaltyWaiver.
+ * Returns { waiver } or { rejection: { status, message } }.
+ */
+export const requestPenaltyWaiver = async (loan, { amount, reason, requestedBy = "system" }) => {
+  if (!(Number(amount) > 0)) {
+    return { rejection: { status: 400, message: "Waiver amount must be greater than zero" } };
+  }
+  if (!String(reason || "").trim()) {
+    return { rejection: { status: 400, message: "A reason is required for a waiver" } };
+  }
+
+  loan.penaltyWaivers.push({ amount: round2(Number(amount)), reason: String(reason).trim(), requestedBy });
+  const waiver = loan.penaltyWaivers[loan.penaltyWaivers.length - 1];
+  loan.auditTrail.push({
+    action: "penaltyWaiverRequested",
+    by: requestedBy,
+    details: { waiverId: waiver._id, amount: waiver.amount, reason: waiver.reason },
+  });
+  await loan.save();
+
+  return { waiver: waiver.toObject() };
+};
+
+/**
+ * Approve or reject a pending waiver. An approved waiver comes off the
+ * fines already charged first, then off late fees not yet charged.
+ * Returns { waiver } or { rejection: { status, message } }.
+ */
+export const decidePenaltyWaiver = async (loan, waiverId, { approve, note = "", decidedBy, asOf = new Date() }) => {
+  const waiver = loan.penaltyWaivers.id(waiverId);
+  if (!waiver) {
+    return { rejection: { status: 404, message: "Waiver request not found" } };
+  }
+  if (waiver.status !== "Pending") {
+    return { rejection: { status: 400, message: `Waiver request is already ${waiver.status.toLowerCase()}` } };
+  }
+
+  if (approve) {
+    const penalty = await getLoanPenalty(loan, asOf);
+    if (waiver.amount > penalty.totalFinesPayable) {
+      return {
+        rejection: { status: 400, message: `Only ₹${penalty.totalFinesPayable} of fines can be waived on this loan` },
+      };
+    }
+    const fromFines = Math.min(loan.finesDue || 0, waiver.amount);
+    loan.finesDue = round2((loan.finesDue || 0) - fromFines);
+    settlePenalty(loan, penalty, waiver.amount - fromFines, "penaltyWaived");
+  }
+
+  waiver.status = approve ? "Approved" : "Rejected";
+  waiver.decidedBy = decidedBy;
+  waiver.decidedAt = asOf;
+  waiver.decisionNote = note;
+  loan.auditTrail.push({
+    action: approve ? "penaltyWaiverApproved" : "penaltyWaiverRejected",
+    by: decidedBy,
+    at: asOf,
+    details: { waiverId: waiver._id, amount: waiver.amount, note },
+  });
+  loan.lastUpdatedBy = decidedBy;
+  await loan.save();
+
+  return { waiver: waiver.toObject() };
+};
+
+const termsOf = (loan) => ({
+  interestRate: loan.interestRate,
+  numberOfInstallments: loan.numberOfInstallments,
+  installmentFrequency: loan.installmentFrequency,
+  scheduleType: loan.scheduleType,
+  totalAmount: loan.totalAmount,
+  totalInterest: loan.totalInterest,
+});
+
+/**
+ * Replace the unpaid installments with a new schedule and record a
+ * restructure event. By default the new schedule covers what is owed on
+ * effectiveDate: the unpaid part of installments already due plus the
+ * principal of those still to come. Paid installments and payments are kept;
+ * a part-paid installment is closed at what was paid and its shortfall moves
+ * into the new schedule. During a moratorium nothing falls due; on
+ * reducingBalance and bullet schedules the balance carries interest for it.
+ * Returns { loan, restructure } or { rejection: { status, message } }.
+ */
+export const rescheduleInstallmentLoan = async (
+  loan,
+  {
+    numberOfInstallments,
+    installmentFrequency = loan.installmentFrequency,
+    interestRate = loan.interestRate,
+    scheduleType = loan.scheduleType || "flat",
+    moratoriumPeriods = 0,
+    outstandingBalance,
+    reason,
+    approvedBy,
+    effectiveDate = new Date(),
+    createdBy = "system",
+  }
+) => {
+  if (loan.status === "Closed") {
+    return { rejection: { status: 400, message: "Loan is already closed" } };
+  }
+  if (!String(reason || "").trim() || !String(approvedBy || "").trim()) {
+    return { rejection: { status: 400, message: "A reason and the approver are required to reschedule a loan" } };
+  }
+  const moratorium = Number(moratoriumPeriods) || 0;
+  if (!Number.isInteger(moratorium) || moratorium < 0) {
+    return { rejection: { status: 400, message: "Moratorium must be a whole number of installment periods" } };
+  }
+
+  const date = toLoanDate(effectiveDate);
+  const unpaid = loan.installments.filter((inst) => inst.status !== "Paid");
+  if (unpaid.length === 0) {
+    return { rejection: { status: 400, message: "All installments are already paid" } };
+  }
+
+  const owed = round2(
+    unpaid.reduce(
+      (sum, inst) => sum + (inst.dueDate <= date ? inst.emiAmount - (inst.paidAmount || 0) : unpaidPrincipal(inst)),
+      0
+    )
+  );
+  const balance = outstandingBalance == null || outstandingBalance === "" ? owed : Number(outstandingBalance);
+  if (!(balance > 0)) {
+    return { rejection: { status: 400, message: "Outstanding balance must be greater than zero" } };
+  }
+
+  const terms = { loanAmount: balance, interestRate, numberOfInstallments, installmentFrequency, scheduleType, startDate: date };
+  const invalid = validateScheduleTerms(terms);
+  if (invalid) {
+    return { rejection: { status: 400, message: invalid } };
+  }
+
+  const schedule = buildInstallmentSchedule({
+    ...terms,
+    loanAmount:
+      scheduleType === "flat" ? balance : round2(balance * (1 + periodicRate(interestRate, installmentFrequency)) ** moratorium),
+    startDate: moratorium ? installmentDueDate(date, installmentFrequency, moratorium) : date,
+    calendar: await HolidayCalendar.forBranch(loan.branch),
+  });
+
+  const kept = [];
+  for (const inst of loan.installments) {
+    if (inst.status === "Paid") {
+      kept.push(inst.toObject());
+    } else if (inst.paidAmount > 0) {
+      const { interestPaid, principalPaid } = paidSplit(inst);
+      kept.push({
+        ...inst.toObject(),
+        emiAmount: inst.paidAmount,
+        principalAmount: principalPaid,
+        interestAmount: interestPaid,
+        interestPaid,
+        principalPaid,
+        status: "Paid",
+      });
+    }
+  }
+  const fromInstallmentNo = kept.reduce((max, inst) => Math.max(max, inst.installmentNo), 0) + 1;
+  const previousTerms = termsOf(loan);
+  const replacedInstallments = unpaid.map((inst) => inst.toObject());
+
+  loan.installments = [
+    ...kept,
+    ...schedule.installments.map((inst, i) => ({ ...inst, installmentNo: fromInstallmentNo + i })),
+  ];
+  loan.numberOfInstallments = loan.installments.length;
+  loan.installmentFrequency = installmentFrequency;
+  loan.interestRate = Number(interestRate);
+  loan.scheduleType = scheduleType;
+  loan.totalAmount = round2(kept.reduce((sum, inst) => sum + inst.emiAmount, 0) + schedule.totalAmount);
+  loan.totalInterest = round2(kept.reduce((sum, inst) => sum + inst.interestAmount, 0) + schedule.totalInterest);
+  if (loan.status === "Defaulted") loan.status = "Active";
+
+  loan.restructures.push({
+    effectiveDate: date,
+    reason: String(reason).trim(),
+    approvedBy: String(approvedBy).trim(),
+    outstandingBalance: balance,
+    moratoriumPeriods: moratorium,
+    fromInstallmentNo,
+    previousTerms,
+    newTerms: termsOf(loan),
+    replacedInstallments,
+    createdBy,
+  });
+  loan.lastUpdatedBy = createdBy;
+  await loan.save();
+
+  return { loan, restructure: loan.restructures[loan.restructures.length - 1].toObject() };
+};
+
+/**
+ * What it costs to close a loan on asOf. Installments already due are owed in
+ * full; of the interest scheduled on the rest, the policy's rebate is waived.
+ * Charges are a % of the outstanding principal, with a minimum. Unpaid fines
+ * and late fees (penalty, from getLoanPenalty) are added and advance credit
+ * taken off.
+ */
+export const quoteForeclosure = (loan, policy, asOf = new Date(), penalty = null) => {
+  const unpaid = loan.installments.filter((inst) => inst.status !== "Paid");
+  const notYetDue = unpaid.filter((inst) => inst.dueDate > asOf);
+  const n = loan.installments.length;
+  const k = notYetDue.length;
+
+  const outstandingPrincipal = round2(unpaid.reduce((sum, inst) => sum + unpaidPrincipal(inst), 0));
+  const balanceDue = round2(unpaid.reduce((sum, inst) => sum + inst.emiAmount - (inst.paidAmount || 0), 0));
+  const overdueAmount = round2(
+    unpaid.filter((inst) => inst.dueDate <= asOf).reduce((sum, inst) => sum + inst.emiAmount - (inst.paidAmount || 0), 0)
+  );
+  const unearnedInterest = notYetDue.reduce((sum, inst) => sum + unpaidInterest(inst), 0);
+
+  const totalInterest = loan.installments.reduce((sum, inst) => sum + inst.interestAmount, 0);
+  const rebateFor = {
+    none: 0,
+    proRata: n > 0 ? (totalInterest * k) / n : 0,
+    ruleOf78: n > 0 ? (totalInterest * k * (k + 1)) / (n * (n + 1)) : 0,
+  };
+  const rebate = round2(Math.min(unearnedInterest, rebateFor[policy.rebateMethod] || 0));
+  const charges = round2(Math.max(policy.minimumCharge, (outstandingPrincipal * policy.chargePercent) / 100));
+  const finesDue = round2((loan.finesDue || 0) + (penalty?.newPenalty || 0));
+
+  return {
+    loanId: loan.loanId,
+    asOf,
+    rebateMethod: policy.rebateMethod,
+    installmentsRemaining: unpaid.length,
+    installmentsNotYetDue: k,
+    outstandingPrincipal,
+    overdueAmount,
+    balanceDue,
+    rebate,
+    charges,
+    finesDue,
+    advanceCredit: loan.advanceCredit || 0,
+    amountPayable: Math.max(0, round2(balanceDue - rebate + charges + finesDue - (loan.advanceCredit || 0))),
+  };
+};
+
+/**
+ * Close every remaining installment with one payment and one receipt. The
+ * rebate comes off the interest of the last installments first. Everything
+ * is written in a single save of the loan document.
+ * Returns { payment, quote } or { rejection: { status, message } }.
+ */
+export const settleForeclosure = async (
+  loan,
+  policy,
+  { amount, paymentMethod = "Cash", notes = "", date = new Date(), collectedBy = "system" }
+) => {
+  if (loan.status === "Closed") {
+    return { rejection: { status: 400, message: "Loan is already closed" } };
+  }
+
+  const penalty = await getLoanPenalty(loan, date);
+  const quote = quoteForeclosure(loan, policy, date, penalty);
+  if (quote.installmentsRemaining === 0) {
+    return { rejection: { status: 400, message: "All installments are already paid" } };
+  }
+  if (amount != null && amount !== "" && round2(Number(amount)) !== quote.amountPayable) {
+    return {
+      rejection: { status: 400, message: `Foreclosure amount must be ₹${quote.amountPayable} as of ${formatLoanDate(date)}` },
+    };
+  }
+
+  settlePenalty(loan, penalty, penalty.newPenalty, "penaltyCharged");
+  const unpaid = loan.installments.filter((inst) => inst.status !== "Paid");
+  let rebateLeft = quote.rebate;
+  for (const inst of [...unpaid].reverse()) {
+    if (rebateLeft <= 0 || inst.dueDate <= date) continue;
+    const waived = round2(Math.min(rebateLeft, unpaidInterest(inst)));
+    inst.interestAmount = round2(inst.interestAmount - waived);
+    inst.emiAmount = round2(inst.emiAmount - waived);
+    rebateLeft = round2(rebateLeft - waived);
+  }
+  for (const inst of unpaid) {
+    inst.interestPaid = inst.interestAmount;
+    inst.principalPaid = round2(inst.emiAmount - inst.interestAmount);
+    inst.paidAmount = inst.emiAmount;
+    inst.status = "Paid";
+    inst.paidDate = date;
+  }
+  loan.totalInterest = round2(loan.totalInterest - quote.rebate);
+  loan.totalAmount = round2(loan.totalAmount - quote.rebate);
+
+  const owed = round2(quote.balanceDue - quote.rebate + quote.charges + quote.finesDue);
+  const creditApplied = Math.min(quote.advanceCredit, owed);
+  const receiptNo = await nextNumber("receiptNo", { date });
+  loan.payments.push({
+    paymentId: receiptNo,
+    installmentNo: unpaid[0].installmentNo,
+    amount: round2(quote.balanceDue - quote.rebate),
+    fineAmount: quote.finesDue,
+    chargesAmount: quote.charges,
+    totalAmount: quote.amountPayable,
+    creditApplied,
+    date,
+    status: "Received",
+    paymentMethod,
+    collectedBy,
+    type: "Foreclosure",
+    notes,
+  });
+  loan.finesDue = 0;
+  loan.advanceCredit = round2(quote.advanceCredit - creditApplied); // credit beyond the payoff stays for refund
+  loan.foreclosure = {
+    date,
+    receiptNo,
+    rebateMethod: quote.rebateMethod,
+    outstandingPrincipal: quote.outstandingPrincipal,
+    rebate: quote.rebate,
+    charges: quote.charges,
+    amount: quote.amountPayable,
+    installmentsClosed: unpaid.map((inst) => inst.installmentNo),
+    closedBy: collectedBy,
+  };
+  loan.lastUpdatedBy = collectedBy;
+  await loan.save();
+
+  return { payment: loan.payments[loan.payments.length - 1].toObject(), quote };
+};
+
+// Portfolio totals for a set of loans
+export const summarizeLoans = async (filter = {}) => {
+  const [result] = await InstallmentLoan.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              totalLoans: { $sum: 1 },
+              activeLoans: { $sum: { $cond: [{ $eq: ["$status", "Active"] }, 1, 0] } },
+              closedLoans: { $sum: { $cond: [{ $eq: ["$status", "Closed"] }, 1, 0] } },
+              defaultedLoans: { $sum: { $cond: [{ $eq: ["$status", "Defaulted"] }, 1, 0] } },
+              totalLoanAmount: { $sum: "$loanAmount" },
+              totalInterestAmount: { $sum: "$totalInterest" },
+              totalAmount: { $sum: "$totalAmount" },
+              totalPaid: { $sum: "$paidAmount" },
+              totalOutstanding: {
+                $sum: {
+                  $cond: [
+                    { $eq: ["$status", "Closed"] },
+                    0,
+                    { $max: [0, { $subtract: ["$totalAmount", "$paidAmount"] }] },
+                  ],
+                },
+              },
+            },
+          },
+          { $project: { _id: 0 } },
+        ],
+        byStatus: [{ $group: { _id: "$status", count: { $sum: 1 }, totalAmount: { $sum: "$totalAmount" } } }],
+        byFrequency: [
+          { $group: { _id: "$installmentFrequency", count: { $sum: 1 }, avgLoanAmount: { $avg: "$loanAmount" } } },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    ...(result.totals[0] || {
+      totalLoans: 0,
+      activeLoans: 0,
+      closedLoans: 0,
+      defaultedLoans: 0,
+      totalLoanAmount: 0,
+      totalInterestAmount: 0,
+      totalAmount: 0,
+      totalPaid: 0,
+      totalOutstanding: 0,
+    }),
+    byStatus: result.byStatus,
+    byFrequency: result.byFrequency,
+  };
+};
@@ -0,0 +1,150 @@
+// utils/installmentSchedule.js
+// Schedule engine for installment loans.
+import { adjustDueDates } from "./holidayCalendar.js";
+import { addMonths } from "./interestCalculator.js";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Due date of installment `n` counted from the loan start date
+export const installmentDueDate = (startDate, frequency, n) => {
+  const start = new Date(startDate);
+  if (frequency === "Monthly") return addMonths(start, n);
+
+  const dueDate = new Date(start);
+  dueDate.setDate(start.getDate() + (frequency === "Weekly" ? n * 7 : n));
+  return dueDate;
+};
+
+// flat            - interestRate is the % of the loan amount charged for the
+//                   whole term, spread evenly across the installments
+// reducingBalance - interestRate is % per annum on the balance outstanding,
+//                   repaid by equal installments (EMI)
+// bullet          - interestRate is % per annum; installments cover interest
+//                   only and the principal is repaid with the last one
+export const SCHEDULE_TYPES = ["flat", "reducingBalance", "bullet"];
+
+const PERIODS_PER_YEAR = { Daily: 365, Weekly: 52, Monthly: 12 };
+
+// Annual % converted to the rate for one installment period
+export const periodicRate = (annualRate, frequency) => Number(annualRate) / 100 / PERIODS_PER_YEAR[frequency];
+
+// Returns an error message when the terms cannot produce a schedule
+export const validateScheduleTerms = ({
+  loanAmount,
+  interestRate,
+  numberOfInstallments,
+  installmentFrequency,
+  startDate,
+  scheduleType = "flat",
+}) => {
+  if (!SCHEDULE_TYPES.includes(scheduleType)) return `Schedule type must be one of: ${SCHEDULE_TYPES.join(", ")}`;
+  if (!(Number(loanAmount) > 0)) return "Loan amount must be greater than zero";
+  if (!(Number(interestRate) >= 0)) return "Interest rate cannot be negative";
+  if (!Number.isInteger(Number(numberOfInstallments)) || Number(numberOfInstallments) < 1) {
+    return "Number of installments must be a whole number of at least 1";
+  }
+  if (!PERIODS_PER_YEAR[installmentFrequency]) return "Installment frequency must be Daily, Weekly or Monthly";
+  if (!startDate || Number.isNaN(new Date(startDate).getTime())) return "A valid start date is required";
+  return null;
+};
+
+const toInstallment = (i, dueDate, emi, principal, interest, balance) => ({
+  installmentNo: i,
+  dueDate,
+  emiAmount: round2(emi),
+  principalAmount: round2(principal),
+  interestAmount: round2(interest),
+  remainingBalance: round2(Math.max(0, balance)),
+  status: "Pending",
+  paidAmount: 0,
+});
+
+const flatSchedule = ({ principal, count, interestRate, dueDate }) => {
+  const totalInterest = principal * (Number(interestRate) / 100);
+  const totalAmount = principal + totalInterest;
+  const emi = totalAmount / count;
+  const interestShare = totalAmount > 0 ? totalInterest / totalAmount : 0;
+
+  const installments = [];
+  let remainingBalance = principal;
+  for (let i = 1; i <= count; i++) {
+    const interestAmount = emi * interestShare;
+    const principalAmount = emi - interestAmount;
+    remainingBalance -= principalAmount;
+    installments.push(toInstallment(i, dueDate(i), emi, principalAmount, interestAmount, remainingBalance));
+  }
+  return { installments, totalInterest, totalAmount };
+};
+
+// Totals of a schedule built installment by installment
+const withTotals = (installments) => ({
+  installments,
+  totalInterest: installments.reduce((sum, inst) => sum + inst.interestAmount, 0),
+  totalAmount: installments.reduce((sum, inst) => sum + inst.emiAmount, 0),
+});
+
+// Equal installments; each one pays the period's interest on the balance first.
+// The last installment clears whatever rounding has left.
+const reducingBalanceSchedule = ({ principal, count, rate, dueDate }) => {
+  const emi = rate > 0 ? round2((principal * rate * (1 + rate) ** count) / ((1 + rate) ** count - 1)) : round2(principal / count);
+
+  const installments = [];
+  let balance = principal;
+  for (let i = 1; i <= count; i++) {
+    const interest = round2(balance * rate);
+    const principalPart = i === count ? balance : Math.min(balance, round2(emi - interest));
+    balance = round2(balance - principalPart);
+    installments.push(toInstallment(i, dueDate(i), principalPart + interest, principalPart, interest, balance));
+  }
+  return withTotals(installments);
+};
+
+const bulletSchedule = ({ principal, count, rate, dueDate }) => {
+  const interest = round2(principal * rate);
+  const installments = [];
+  for (let i = 1; i <= count; i++) {
+    const principalPart = i === count ? principal : 0;
+    installments.push(
+      toInstallment(i, dueDate(i), principalPart + interest, principalPart, interest, principal - principalPart)
+    );
+  }
+  return withTotals(installments);
+};
+
+const SCHEDULE_BUILDERS = {
+  flat: flatSchedule,
+  reducingBalance: reducingBalanceSchedule,
+  bullet: bulletSchedule,
+};
+
+/**
+ * Installments, total interest and total payable for a loan's terms.
+ * scheduleType is one of SCHEDULE_TYPES (default "flat"). Given a branch
+ * holiday calendar, due dates are moved off its days off.
+ */
+export const buildInstallmentSchedule = ({
+  loanAmount,
+  interestRate,
+  numberOfInstallments,
+  installmentFrequency,
+  startDate,
+  scheduleType = "flat",
+  calendar = null,
+}) => {
+  const count = Number(numberOfInstallments);
+  const dueDates = adjustDueDates(
+    Array.from({ length: count }, (_, i) => installmentDueDate(startDate, installmentFrequency, i + 1)),
+    calendar,
+    startDate
+  );
+
+  const { installments, totalInterest, totalAmount } = SCHEDULE_BUILDERS[scheduleType]({
+    principal: Number(loanAmount),
+    count,
+    interestRate,
+    rate: periodicRate(interestRate, installmentFrequency),
+    dueDate: (n) => dueDates[n - 1],
+  });
+
+  return { scheduleType, installments, totalInterest: round2(totalInterest), totalAmount: round2(totalAmount) };
+};
@@ -0,0 +1,240 @@
+// utils/interestCalculator.js
+// Pledge interest accrual shared by voucher closure, the ledger and the stock
+// summary, so every screen arrives at the same payoff amount.
+import InterestPolicy from "../models/InterestPolicy.js";
+
+export const DEFAULT_INTEREST_POLICY = {
+  accrualMethod: "monthly",
+  minimumMonths: 1,
+  postDueCompounding: "simple",
+  penalRate: 0,
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const daysBetween = (from, to) => Math.max(0, Math.round((to - from) / MS_PER_DAY));
+
+// Add calendar months, clamping to the last day (31 Jan + 1 month = 28/29 Feb)
+export const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Latest policy merged over the defaults
+export const loadInterestPolicy = async () => {
+  const policy = await InterestPolicy.findOne().sort({ createdAt: -1 }).lean();
+  return { ...DEFAULT_INTEREST_POLICY, ...(policy || {}) };
+};
+
+// Months charged for one month slot of the loan
+const slotMonths = (days, isFullMonth, method) => {
+  if (method === "daily") return (days * 12) / 365;
+  if (isFullMonth) return 1;
+  if (days === 0) return 0;
+  if (method === "halfMonth") return days <= 15 ? 0.5 : 1;
+  return 1; // monthly: part month counts as a full month
+};
+
+// Principal outstanding at a moment, given [{ date, principal }] changes
+const principalAt = (initial, changes, at) => {
+  let principal = initial;
+  for (const change of changes) {
+    if (change.date <= at) principal = change.principal;
+  }
+  return principal;
+};
+
+// Time-weighted principal over [from, to)
+const averagePrincipal = (initial, changes, from, to) => {
+  const span = to - from;
+  if (span <= 0) return principalAt(initial, changes, from);
+
+  const points = [from, ...changes.map((c) => c.date).filter((d) => d > from && d < to), to];
+  let weighted = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    weighted += principalAt(initial, changes, points[i]) * (points[i + 1] - points[i]);
+  }
+  return weighted / span;
+};
+
+/**
+ * Interest accrued on a pledge from startDate up to asOf.
+ *
+ * principal        - amount lent
+ * monthlyRate      - % per month
+ * principalChanges - [{ date, principal }] outstanding principal after each change
+ * interestPayments - [{ date, amount }] only used for the compounding base
+ * policy           - see models/InterestPolicy.js
+ */
+export const calculateInterest = ({
+  principal,
+  monthlyRate,
+  startDate,
+  dueDate,
+  asOf = new Date(),
+  principalChanges = [],
+  interestPayments = [],
+  policy = DEFAULT_INTEREST_POLICY,
+}) => {
+  const rules = { ...DEFAULT_INTEREST_POLICY, ...policy };
+  const start = new Date(startDate);
+  const end = new Date(asOf);
+  const due = dueDate ? new Date(dueDate) : null;
+  const rate = Number(monthlyRate) / 100;
+  const penalRate = Number(rules.penalRate || 0) / 100;
+  const initialPrincipal = Number(principal) || 0;
+
+  const changes = principalChanges
+    .map((c) => ({ date: new Date(c.date), principal: Number(c.principal) }))
+    .sort((a, b) => a.date - b.date);
+  const payments = interestPayments.map((p) => ({ date: new Date(p.date), amount: Number(p.amount) || 0 }));
+  const paidBefore = (at) => payments.filter((p) => p.date <= at).reduce((sum, p) => sum + p.amount, 0);
+
+  const periods = [];
+  let regularInterest = 0;
+  let penalInterest = 0;
+  let months = 0;
+
+  for (let k = 0; ; k++) {
+    const slotStart = addMonths(start, k);
+    if (slotStart >= end) break;
+
+    const monthEnd = addMonths(start, k + 1);
+    const slotEnd = monthEnd < end ? monthEnd : end;
+    const slotDays = daysBetween(slotStart, slotEnd);
+    const slotCharge = slotMonths(slotDays, slotEnd.getTime() === monthEnd.getTime(), rules.accrualMethod);
+
+    // Split the slot where it crosses the due date so each part gets its own rate
+    const parts =
+      due && due > slotStart && due < slotEnd
+        ? [[slotStart, due], [due, slotEnd]]
+        : [[slotStart, slotEnd]];
+
+    for (const [from, to] of parts) {
+      const days = daysBetween(from, to);
+      const partMonths = slotDays > 0 ? (slotCharge * days) / slotDays : slotCharge;
+      const overdue = Boolean(due && from >= due);
+      const avgPrincipal = averagePrincipal(initialPrincipal, changes, from, to);
+
+      let base = avgPrincipal;
+      if (overdue && rules.postDueCompounding === "monthly") {
+        base += Math.max(0, regularInterest - paidBefore(from));
+      }
+
+      const interest = base * rate * partMonths;
+      const penal = overdue ? avgPrincipal * penalRate * partMonths : 0;
+
+      regularInterest += interest;
+      penalInterest += penal;
+      months += partMonths;
+
+      periods.push({
+        from,
+        to,
+        days,
+        months: Math.round(partMonths * 10000) / 10000,
+        principal: round2(avgPrincipal),
+        overdue,
+        interest: round2(interest),
+        penalInterest: round2(penal),
+      });
+    }
+  }
+
+  // Top up to the minimum chargeable period
+  const minimumMonths = Number(rules.minimumMonths || 0);
+  if (months < minimumMonths) {
+    const topUpMonths = minimumMonths - months;
+    const interest = initialPrincipal * rate * topUpMonths;
+    regularInterest += interest;
+    months = minimumMonths;
+    periods.push({
+      from: start,
+      to: end > start ? end : start,
+      days: 0,
+      months: Math.round(topUpMonths * 10000) / 10000,
+      principal: round2(initialPrincipal),
+      overdue: false,
+      minimumCharge: true,
+      interest: round2(interest),
+      penalInterest: 0,
+    });
+  }
+
+  return {
+    startDate: start,
+    dueDate: due,
+    asOf: end,
+    days: daysBetween(start, end),
+    months: Math.round(months * 10000) / 10000,
+    accrualMethod: rules.accrualMethod,
+    regularInterest: round2(regularInterest),
+    penalInterest: round2(penalInterest),
+    totalInterest: round2(regularInterest + penalInterest),
+    periods,
+  };
+};
+
+const isPrincipalPayment = (payment) => payment.type === "principal";
+
+// Principal payments made up to a date, oldest first
+export const getPrincipalPayments = (voucher, asOf = null) =>
+  (voucher.paymentHistory || [])
+    .filter(isPrincipalPayment)
+    .filter((p) => !asOf || new Date(p.date) <= new Date(asOf))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+// Principal still owed. Vouchers saved before principal payments existed have
+// no outstandingPrincipal and owe the full loan amount.
+export const getOutstandingPrincipal = (voucher, asOf = null) => {
+  const lent = Number(voucher.finalLoanAmount || voucher.loanAmount || 0);
+  if (!asOf) return Number(voucher.outstandingPrincipal ?? lent);
+
+  const repaid = getPrincipalPayments(voucher, asOf).reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+  return round2(Math.max(0, lent - repaid));
+};
+
+// Payoff of a gold voucher as of a date: outstanding principal plus interest not yet paid
+export const computeVoucherPayoff = (voucher, asOf = new Date(), policy = DEFAULT_INTEREST_POLICY) => {
+  const lent = Number(voucher.finalLoanAmount || voucher.loanAmount || 0);
+  const paymentHistory = voucher.paymentHistory || [];
+  const interestPayments = paymentHistory.filter((p) => !isPrincipalPayment(p));
+
+  let running = lent;
+  const principalChanges = getPrincipalPayments(voucher).map((p) => {
+    running = Math.max(0, running - (Number(p.amount) || 0));
+    return { date: p.date, principal: running };
+  });
+
+  const accrual = calculateInterest({
+    principal: lent,
+    monthlyRate: voucher.interestRate || 0,
+    startDate: voucher.disbursementDate,
+    dueDate: voucher.dueDate,
+    asOf,
+    principalChanges,
+    interestPayments,
+    policy,
+  });
+
+  const principal = getOutstandingPrincipal(voucher, asOf);
+  const interestPaid = round2(interestPayments.reduce((sum, p) => sum + (Number(p.amount) || 0), 0));
+  const interestDue = Math.max(0, round2(accrual.totalInterest - interestPaid));
+
+  return {
+    ...accrual,
+    principal,
+    principalRepaid: round2(lent - principal),
+    interestRate: Number(voucher.interestRate || 0),
+    interestPaid,
+    interestDue,
+    payoffAmount: round2(principal + interestDue),
+  };
+};
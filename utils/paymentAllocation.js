@@ -0,0 +1,110 @@
+// utils/paymentAllocation.js
+// Splits a payment on an installment loan across what the loan owes.
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// fines     - fines charged and not yet paid
+// interest  - interest of the installments that are due
+// principal - principal of the installments that are due
+// future    - installments not yet due, oldest first. Left out of the order,
+//             anything beyond what is due is held as advance credit.
+export const ALLOCATION_BUCKETS = ["fines", "interest", "principal", "future"];
+export const DEFAULT_ALLOCATION_ORDER = ["fines", "interest", "principal", "future"];
+
+// Returns an error message when an allocation order is not usable
+export const validateAllocationOrder = (order) => {
+  if (!Array.isArray(order) || order.some((bucket) => !ALLOCATION_BUCKETS.includes(bucket))) {
+    return `Allocation order may only contain: ${ALLOCATION_BUCKETS.join(", ")}`;
+  }
+  if (new Set(order).size !== order.length) return "Allocation order cannot repeat a bucket";
+  const missing = ["fines", "interest", "principal"].filter((bucket) => !order.includes(bucket));
+  if (missing.length) return `Allocation order must include ${missing.join(", ")}`;
+  return null;
+};
+
+// Interest and principal paid on an installment. Amounts paid before the
+// split was recorded are taken as interest and principal in proportion.
+export const paidSplit = (inst) => {
+  const interestPaid = inst.interestPaid || 0;
+  const principalPaid = inst.principalPaid || 0;
+  const untracked = (inst.paidAmount || 0) - interestPaid - principalPaid;
+  if (round2(untracked) <= 0) return { interestPaid, principalPaid };
+
+  const interestShare = inst.emiAmount > 0 ? inst.interestAmount / inst.emiAmount : 0;
+  return {
+    interestPaid: round2(interestPaid + untracked * interestShare),
+    principalPaid: round2(principalPaid + untracked * (1 - interestShare)),
+  };
+};
+
+// What is still owed on an installment. Principal is whatever of the EMI is
+// not interest, so a fully paid installment has paid exactly its EMI.
+export const unpaidInterest = (inst) => Math.max(0, round2(inst.interestAmount - paidSplit(inst).interestPaid));
+export const unpaidPrincipal = (inst) =>
+  Math.max(0, round2(inst.emiAmount - inst.interestAmount - paidSplit(inst).principalPaid));
+
+/**
+ * Apply `received` (plus any advance credit on the loan) in the given order
+ * and update the installments, loan.finesDue and loan.advanceCredit.
+ * Installments due on or before asOf, or numbered up to uptoInstallmentNo,
+ * count as due. Returns the split: { fineAmount, installmentAmount,
+ * allocations: [{ installmentNo, component, amount }], creditApplied, creditAdded }.
+ */
+export const allocatePayment = (
+  loan,
+  { received, fineCharged = 0, order = DEFAULT_ALLOCATION_ORDER, asOf = new Date(), uptoInstallmentNo = null }
+) => {
+  const creditBefore = loan.advanceCredit || 0;
+  let available = round2(Number(received) + creditBefore);
+  const finesOwed = round2((loan.finesDue || 0) + Number(fineCharged));
+
+  const unpaid = loan.installments
+    .filter((inst) => inst.status !== "Paid")
+    .sort((a, b) => a.installmentNo - b.installmentNo);
+  const isDue = (inst) =>
+    inst.dueDate <= asOf || (uptoInstallmentNo != null && inst.installmentNo <= Number(uptoInstallmentNo));
+  const due = unpaid.filter(isDue);
+  const future = unpaid.filter((inst) => !isDue(inst));
+
+  const allocations = [];
+  const take = (inst, component) => {
+    const split = paidSplit(inst);
+    const owed = component === "interest" ? unpaidInterest(inst) : unpaidPrincipal(inst);
+    const amount = round2(Math.min(available, owed));
+    if (amount <= 0) return;
+
+    inst.interestPaid = round2(split.interestPaid + (component === "interest" ? amount : 0));
+    inst.principalPaid = round2(split.principalPaid + (component === "principal" ? amount : 0));
+    inst.paidAmount = round2(inst.interestPaid + inst.principalPaid);
+    inst.status = unpaidInterest(inst) === 0 && unpaidPrincipal(inst) === 0 ? "Paid" : "Partial";
+    inst.paidDate = asOf;
+    available = round2(available - amount);
+    allocations.push({ installmentNo: inst.installmentNo, component, amount });
+  };
+
+  let fineAmount = 0;
+  for (const bucket of order) {
+    if (bucket === "fines") {
+      fineAmount = round2(Math.min(available, finesOwed));
+      available = round2(available - fineAmount);
+    } else if (bucket === "interest" || bucket === "principal") {
+      due.forEach((inst) => take(inst, bucket));
+    } else if (bucket === "future") {
+      future.forEach((inst) => {
+        take(inst, "interest");
+        take(inst, "principal");
+      });
+    }
+  }
+
+  loan.finesDue = round2(finesOwed - fineAmount);
+  loan.advanceCredit = available;
+
+  return {
+    fineAmount,
+    installmentAmount: round2(allocations.reduce((sum, a) => sum + a.amount, 0)),
+    allocations,
+    creditApplied: Math.max(0, round2(creditBefore - available)),
+    creditAdded: Math.max(0, round2(available - creditBefore)),
+  };
+};
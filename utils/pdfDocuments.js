@@ -0,0 +1,426 @@
+// utils/pdfDocuments.js
+// PDF pledge tickets and receipts. Each document can be printed in English,
+// Tamil or both; Tamil text needs a Tamil TrueType font (Noto Sans Tamil or
+// similar), read from DOCUMENT_TAMIL_FONT or fonts/NotoSansTamil-Regular.ttf.
+// No font ships with the repo (see fonts/README.md); without one, Tamil and
+// bilingual requests are refused with a 503 and English still prints.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import PDFDocument from "pdfkit";
+import { businessDetails, formatDate } from "./documents.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, "..");
+
+export const DOCUMENT_LANGUAGES = ["en", "ta", "bilingual"];
+
+const LABELS = {
+  pledgeTicket: ["Pledge Ticket", "அடகு சீட்டு"],
+  receipt: ["Receipt", "ரசீது"],
+  billNo: ["Bill No", "சீட்டு எண்"],
+  loanId: ["Loan ID", "கடன் எண்"],
+  receiptNo: ["Receipt No", "ரசீது எண்"],
+  date: ["Date", "தேதி"],
+  customer: ["Customer", "வாடிக்கையாளர்"],
+  customerId: ["Customer ID", "வாடிக்கையாளர் எண்"],
+  fatherSpouse: ["Father / Spouse", "தந்தை / கணவர்"],
+  phone: ["Phone", "தொலைபேசி"],
+  address: ["Address", "முகவரி"],
+  item: ["Item", "பொருள்"],
+  purity: ["Purity", "தரம்"],
+  count: ["Count", "எண்ணிக்கை"],
+  grossWeight: ["Gross Wt (g)", "மொத்த எடை (கி)"],
+  netWeight: ["Net Wt (g)", "நிகர எடை (கி)"],
+  total: ["Total", "மொத்தம்"],
+  ratePerGram: ["Rate per gram", "கிராம் விலை"],
+  appraisedValue: ["Appraised value", "மதிப்பீட்டு தொகை"],
+  loanAmount: ["Loan amount", "கடன் தொகை"],
+  interestRate: ["Interest (% per month)", "வட்டி (மாதம் %)"],
+  processingFees: ["Processing fees", "செயலாக்கக் கட்டணம்"],
+  disbursementDate: ["Loan date", "கடன் தேதி"],
+  dueDate: ["Due date", "தவணை தேதி"],
+  terms: ["Terms and conditions", "விதிமுறைகள் மற்றும் நிபந்தனைகள்"],
+  customerSignature: ["Customer signature", "வாடிக்கையாளர் கையொப்பம்"],
+  authorisedSignatory: ["Authorised signatory", "அங்கீகரிக்கப்பட்ட கையொப்பம்"],
+  interest: ["Interest payment", "வட்டி செலுத்துதல்"],
+  principal: ["Principal repayment", "அசல் திருப்பிச் செலுத்துதல்"],
+  release: ["Part release of articles", "பொருட்கள் பகுதி விடுவிப்பு"],
+  closure: ["Loan closure", "கடன் முடிப்பு"],
+  installment: ["Installment payment", "தவணை செலுத்துதல்"],
+  foreclosure: ["Loan foreclosure", "கடன் முன்கூட்டிய முடிப்பு"],
+  auctionShortfall: ["Auction shortfall recovery", "ஏல பற்றாக்குறை வசூல்"],
+  months: ["Months of interest", "வட்டி மாதங்கள்"],
+  principalAfter: ["Principal outstanding", "நிலுவை அசல்"],
+  itemsReleased: ["Articles released", "விடுவிக்கப்பட்ட பொருட்கள்"],
+  interestPaid: ["Interest paid", "செலுத்திய வட்டி"],
+  installmentNo: ["Installment No", "தவணை எண்"],
+  lotNo: ["Lot No", "ஏல எண்"],
+  shortfallAfter: ["Shortfall outstanding", "நிலுவை பற்றாக்குறை"],
+  fine: ["Fine", "அபராதம்"],
+  installmentsClosed: ["Installments closed", "முடிக்கப்பட்ட தவணைகள்"],
+  rebate: ["Interest rebate", "வட்டி தள்ளுபடி"],
+  foreclosureCharges: ["Foreclosure charges", "முன்கூட்டிய முடிப்புக் கட்டணம்"],
+  paymentMethod: ["Payment method", "செலுத்தும் முறை"],
+  amountReceived: ["Amount received", "பெறப்பட்ட தொகை"],
+  receivedWithThanks: ["Received with thanks", "நன்றியுடன் பெறப்பட்டது"],
+};
+
+const TERMS = [
+  [
+    "Interest is charged every month on the amount outstanding; a part month is charged as per the interest policy in force.",
+    "நிலுவைத் தொகைக்கு மாதந்தோறும் வட்டி வசூலிக்கப்படும்; பகுதி மாதத்திற்கு நடைமுறையில் உள்ள வட்டிக் கொள்கையின்படி வட்டி கணக்கிடப்படும்.",
+  ],
+  [
+    "The pledge must be redeemed or renewed on or before the due date.",
+    "தவணை தேதிக்குள் அடகுப் பொருட்களை மீட்க அல்லது புதுப்பிக்க வேண்டும்.",
+  ],
+  [
+    "Articles not redeemed after the due date may be sold by public auction after due notice.",
+    "தவணை தேதிக்குப் பிறகு மீட்கப்படாத பொருட்கள் முறையான அறிவிப்புக்குப் பின் பொது ஏலத்தில் விற்கப்படலாம்.",
+  ],
+  [
+    "This ticket must be produced when paying interest or redeeming the articles.",
+    "வட்டி செலுத்தும்போதும் பொருட்களை மீட்கும்போதும் இந்தச் சீட்டைக் கொண்டு வர வேண்டும்.",
+  ],
+];
+
+const TAMIL_SCRIPT = /[\u0B80-\u0BFF]/;
+
+const tamilFontPath = () => process.env.DOCUMENT_TAMIL_FONT || path.join(ROOT_DIR, "fonts", "NotoSansTamil-Regular.ttf");
+
+// TrueType, OpenType, Apple TrueType and TrueType collection file signatures
+const FONT_SIGNATURES = ["00010000", "4f54544f", "74727565", "74746366"];
+
+// Why the Tamil font cannot be used, or null when it can
+const tamilFontProblem = () => {
+  const fontPath = tamilFontPath();
+  let fd;
+  try {
+    fd = fs.openSync(fontPath, "r");
+    const head = Buffer.alloc(4);
+    fs.readSync(fd, head, 0, 4, 0);
+    if (!FONT_SIGNATURES.includes(head.toString("hex"))) {
+      return `Tamil font not configured: ${fontPath} is not a TrueType or OpenType font`;
+    }
+    return null;
+  } catch {
+    return `Tamil font not configured: put a Tamil .ttf at ${fontPath} or set DOCUMENT_TAMIL_FONT`;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+};
+
+export const tamilFontAvailable = () => !tamilFontProblem();
+
+// Language requested for a document, falling back to DOCUMENT_LANGUAGE then English.
+// Returns an error message and HTTP status when it cannot be printed: 400 for an
+// unknown language, 503 when the server has no usable Tamil font.
+export const resolveDocumentLanguage = (requested) => {
+  const lang = requested || process.env.DOCUMENT_LANGUAGE || "en";
+  if (!DOCUMENT_LANGUAGES.includes(lang)) {
+    return { error: `Language must be one of: ${DOCUMENT_LANGUAGES.join(", ")}`, status: 400 };
+  }
+  if (lang !== "en") {
+    const problem = tamilFontProblem();
+    if (problem) return { error: problem, status: 503 };
+  }
+  return { lang };
+};
+
+// Standard PDF fonts have no rupee sign, so amounts are printed as "Rs."
+export const formatAmount = (amount) =>
+  `Rs. ${Number(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatWeight = (weight) => (weight ? Number(weight).toFixed(3) : "");
+
+// Pick the English text, the Tamil text or both for a [en, ta] pair
+const translate = ([en, ta], lang) => {
+  if (lang === "ta") return [ta];
+  if (lang === "bilingual") return [en, ta];
+  return [en];
+};
+
+// Split text into runs of Tamil and non-Tamil script; spaces stay with the run they follow
+const scriptRuns = (text) => {
+  const runs = [];
+  for (const char of text) {
+    const last = runs[runs.length - 1];
+    const tamil = TAMIL_SCRIPT.test(char) || (/\s/.test(char) && Boolean(last?.tamil));
+    if (last && last.tamil === tamil) last.text += char;
+    else runs.push({ text: char, tamil });
+  }
+  return runs;
+};
+
+// Small layout helper over a PDFKit document. Tamil fonts carry no Latin
+// glyphs, so each run of text is set in the font for its script.
+const createWriter = (doc, lang, hasTamilFont) => {
+  const fontFor = (run, bold) => {
+    if (hasTamilFont && run.tamil) return "Tamil";
+    return bold ? "Helvetica-Bold" : "Helvetica";
+  };
+
+  const write = (value, x, y, options = {}) => {
+    const { bold = false, size = 10, align = "left", width, ...textOptions } = options;
+    const runs = scriptRuns(String(value ?? ""));
+    doc.fontSize(size);
+
+    if (runs.length <= 1) {
+      doc.font(fontFor(runs[0] || {}, bold)).text(runs[0]?.text || "", x, y, { width, align, ...textOptions });
+      return;
+    }
+
+    // PDFKit cannot align mixed-font text, so centre or right-align it by hand when it fits
+    let startX = x;
+    if (align !== "left" && width) {
+      const total = runs.reduce((sum, run) => sum + doc.font(fontFor(run, bold)).widthOfString(run.text), 0);
+      if (total <= width) startX = x + (align === "center" ? (width - total) / 2 : width - total);
+    }
+    const runWidth = width ? width - (startX - x) : undefined;
+
+    runs.forEach((run, i) => {
+      const continued = i < runs.length - 1;
+      doc.font(fontFor(run, bold));
+      if (i === 0) doc.text(run.text, startX, y, { ...textOptions, width: runWidth, continued });
+      else doc.text(run.text, { continued });
+    });
+  };
+
+  // Writes a label, joining the English and Tamil parts with " / "
+  const label = (key, x, y, options = {}) => write(translate(LABELS[key], lang).join(" / "), x, y, options);
+
+  // Label on the left, value on the right, on one line of the page
+  const row = (key, value, options = {}) => {
+    const { labelWidth = 190, bold = false } = options;
+    const x = doc.page.margins.left;
+    const valueX = x + labelWidth + 10;
+    const valueWidth = doc.page.width - doc.page.margins.right - valueX;
+    const y = doc.y;
+
+    label(key, x, y, { width: labelWidth, size: 9 });
+    const labelBottom = doc.y;
+    write(value, valueX, y, { width: valueWidth, bold });
+    doc.x = x;
+    doc.y = Math.max(labelBottom, doc.y) + 3;
+  };
+
+  const rule = () => {
+    const y = doc.y + 2;
+    doc
+      .moveTo(doc.page.margins.left, y)
+      .lineTo(doc.page.width - doc.page.margins.right, y)
+      .lineWidth(0.5)
+      .stroke();
+    doc.y = y + 6;
+  };
+
+  return { write, label, row, rule };
+};
+
+const renderPdf = (options, lang, draw) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 36, ...options });
+    let hasTamilFont = tamilFontAvailable();
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    if (hasTamilFont) {
+      // Load the font now so a damaged file is reported as such, not as a
+      // failed render; English documents just print without it
+      try {
+        doc.registerFont("Tamil", tamilFontPath());
+        doc.font("Tamil").font("Helvetica");
+      } catch {
+        hasTamilFont = false;
+      }
+    }
+    if (!hasTamilFont && lang !== "en") {
+      const fontError = new Error(tamilFontProblem() || `Tamil font not configured: ${tamilFontPath()} could not be loaded`);
+      fontError.status = 503;
+      return reject(fontError);
+    }
+
+    try {
+      draw(doc, createWriter(doc, lang, hasTamilFont));
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+
+const drawHeader = (doc, writer, titleKey) => {
+  const business = businessDetails();
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const x = doc.page.margins.left;
+
+  writer.write(business.name, x, doc.page.margins.top, { bold: true, size: 16, width, align: "center" });
+  const contact = [business.address, business.phone].filter(Boolean).join(" | ");
+  if (contact) writer.write(contact, x, doc.y, { size: 9, width, align: "center" });
+  if (business.licenceNo) {
+    writer.write(`Licence No. ${business.licenceNo}`, x, doc.y, { size: 9, width, align: "center" });
+  }
+  doc.moveDown(0.5);
+  writer.label(titleKey, x, doc.y, { bold: true, size: 13, width, align: "center" });
+  doc.x = x;
+  writer.rule();
+};
+
+// Customer photo saved by the customer upload (e.g. "/uploads/123.jpg")
+const drawPhoto = (doc, photo, x, y) => {
+  if (!photo) return false;
+  const photoPath = path.join(ROOT_DIR, photo);
+  if (!fs.existsSync(photoPath)) return false;
+  try {
+    doc.image(photoPath, x, y, { fit: [80, 100] });
+    doc.rect(x, y, 80, 100).lineWidth(0.5).stroke();
+    return true;
+  } catch {
+    return false; // not a JPEG or PNG
+  }
+};
+
+const drawItems = (doc, writer, items) => {
+  const x = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columns = [
+    { key: "item", width: width * 0.34 },
+    { key: "purity", width: width * 0.12 },
+    { key: "count", width: width * 0.12 },
+    { key: "grossWeight", width: width * 0.21, align: "right" },
+    { key: "netWeight", width: width * 0.21, align: "right" },
+  ];
+
+  const drawRow = (cells, draw) => {
+    const y = doc.y;
+    let bottom = y;
+    let cx = x;
+    columns.forEach((column, i) => {
+      draw(cells[i], cx, y, column);
+      bottom = Math.max(bottom, doc.y);
+      cx += column.width;
+    });
+    doc.x = x;
+    doc.y = bottom + 3;
+  };
+
+  drawRow(columns.map((c) => c.key), (key, cx, y, column) =>
+    writer.label(key, cx, y, { bold: true, size: 8, width: column.width - 4, align: column.align })
+  );
+  writer.rule();
+
+  const writeCell = (value, cx, y, column) =>
+    writer.write(value, cx, y, { size: 9, width: column.width - 4, align: column.align });
+
+  let count = 0;
+  let gross = 0;
+  let net = 0;
+  items.forEach((item) => {
+    count += Number(item.count || 0);
+    gross += Number(item.grossWeight || 0);
+    net += Number(item.netWeight || 0);
+    const name = [item.name, item.stone, item.remarks].filter(Boolean).join(", ");
+    drawRow([name, item.purity, item.count, formatWeight(item.grossWeight), formatWeight(item.netWeight)], writeCell);
+  });
+
+  writer.rule();
+  drawRow(["total", "", count, formatWeight(gross), formatWeight(net)], (value, cx, y, column) => {
+    const options = { bold: true, size: 9, width: column.width - 4, align: column.align };
+    if (column.key === "item") writer.label(value, cx, y, options);
+    else writer.write(value, cx, y, options);
+  });
+};
+
+const drawSignatures = (doc, writer, leftKey, rightKey) => {
+  const x = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  doc.moveDown(3);
+  const y = doc.y;
+  if (leftKey) writer.label(leftKey, x, y, { size: 9, width: width / 2 });
+  writer.label(rightKey, x + width / 2, y, { size: 9, width: width / 2, align: "right" });
+  doc.x = x;
+};
+
+/**
+ * Pledge ticket for a voucher, with the customer populated.
+ * lang - "en", "ta" or "bilingual"
+ */
+export const renderPledgeTicketPdf = (voucher, lang = "en") =>
+  renderPdf({ size: "A4" }, lang, (doc, writer) => {
+    const customer = voucher.customer || {};
+    const valuation = voucher.valuation || {};
+
+    drawHeader(doc, writer, "pledgeTicket");
+
+    const top = doc.y;
+    const photoX = doc.page.width - doc.page.margins.right - 80;
+    const hasPhoto = drawPhoto(doc, customer.photo, photoX, top);
+    doc.y = top;
+
+    writer.row("billNo", voucher.billNo, { bold: true });
+    writer.row("disbursementDate", formatDate(voucher.disbursementDate));
+    writer.row("dueDate", formatDate(voucher.dueDate), { bold: true });
+    writer.row("customer", customer.fullName, { bold: true });
+    writer.row("customerId", customer.customerId);
+    if (customer.fatherSpouse) writer.row("fatherSpouse", customer.fatherSpouse);
+    writer.row("phone", customer.phoneNumber);
+    writer.row("address", customer.address);
+    if (hasPhoto) doc.y = Math.max(doc.y, top + 104);
+
+    writer.rule();
+    drawItems(doc, writer, voucher.jewelryItems || []);
+    doc.moveDown(0.5);
+
+    if (valuation.ratePerGram) {
+      const purity = valuation.referencePurity ? ` (${valuation.referencePurity})` : "";
+      writer.row("ratePerGram", `${formatAmount(valuation.ratePerGram)}${purity}`);
+      writer.row("appraisedValue", formatAmount(valuation.appraisedValue));
+    }
+    writer.row("loanAmount", formatAmount(voucher.finalLoanAmount || voucher.loanAmount), { bold: true });
+    writer.row("interestRate", `${voucher.interestRate}%`);
+    if (voucher.processingFees) writer.row("processingFees", formatAmount(voucher.processingFees));
+
+    writer.rule();
+    writer.label("terms", doc.page.margins.left, doc.y, { bold: true, size: 9 });
+    doc.moveDown(0.3);
+    TERMS.forEach((term, i) => {
+      translate(term, lang).forEach((text) => {
+        writer.write(`${i + 1}. ${text}`, doc.page.margins.left, doc.y, { size: 8 });
+      });
+    });
+
+    drawSignatures(doc, writer, "customerSignature", "authorisedSignatory");
+  });
+
+/**
+ * Receipt for one payment.
+ * receipt - { receiptNo, kind, date, amount, paymentMethod, referenceKey,
+ *             reference, customer, lines: [[labelKey, value]] }
+ * kind    - "interest", "principal", "release", "closure" or "installment"
+ */
+export const renderReceiptPdf = (receipt, lang = "en") =>
+  renderPdf({ size: "A5" }, lang, (doc, writer) => {
+    const customer = receipt.customer || {};
+
+    drawHeader(doc, writer, "receipt");
+    writer.label(receipt.kind, doc.page.margins.left, doc.y, { bold: true, size: 10 });
+    doc.moveDown(0.5);
+
+    writer.row("receiptNo", receipt.receiptNo, { labelWidth: 150, bold: true });
+    writer.row("date", formatDate(receipt.date), { labelWidth: 150 });
+    writer.row(receipt.referenceKey, receipt.reference, { labelWidth: 150 });
+    writer.row("customer", customer.fullName, { labelWidth: 150 });
+    if (customer.customerId) writer.row("customerId", customer.customerId, { labelWidth: 150 });
+    if (customer.phoneNumber) writer.row("phone", customer.phoneNumber, { labelWidth: 150 });
+    writer.rule();
+
+    (receipt.lines || []).forEach(([key, value]) => writer.row(key, value, { labelWidth: 150 }));
+    writer.row("paymentMethod", receipt.paymentMethod || "Cash", { labelWidth: 150 });
+    writer.row("amountReceived", formatAmount(receipt.amount), { labelWidth: 150, bold: true });
+
+    drawSignatures(doc, writer, null, "receivedWithThanks");
+  });
@@ -0,0 +1,77 @@
+// utils/penalty.js
+// Late fees on installment loans under a PenaltyPolicy. Each installment
+// keeps what has been charged (penaltyCharged) and waived (penaltyWaived) so
+// the fee accrued on it is only ever charged once.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Fee accrued on one installment by asOf, before anything charged or waived
+const accruedPenalty = (inst, policy, asOf) => {
+  const daysLate = Math.floor((asOf - inst.dueDate) / MS_PER_DAY);
+  const chargeableDays = daysLate - policy.graceDays;
+  if (chargeableDays <= 0) return { daysLate: Math.max(0, daysLate), overdueAmount: 0, accrued: 0 };
+
+  const overdueAmount = round2(inst.emiAmount - (inst.paidAmount || 0));
+  let accrued = policy.flatPerInstallment + (overdueAmount * policy.dailyPercent * chargeableDays) / 100;
+  if (policy.maxPerInstallment > 0) accrued = Math.min(accrued, policy.maxPerInstallment);
+  return { daysLate, overdueAmount, accrued: round2(accrued) };
+};
+
+/**
+ * Late fees on a loan as of asOf. newPenalty is the fee accrued and not yet
+ * charged or waived, i.e. the fine to charge with the next payment;
+ * totalFinesPayable adds the fines already charged and unpaid.
+ */
+export const computePenalty = (loan, policy, asOf = new Date()) => {
+  const installments = loan.installments
+    .filter((inst) => inst.status !== "Paid" && inst.dueDate < asOf)
+    .map((inst) => {
+      const { daysLate, overdueAmount, accrued } = accruedPenalty(inst, policy, asOf);
+      const charged = inst.penaltyCharged || 0;
+      const waived = inst.penaltyWaived || 0;
+      return {
+        installmentNo: inst.installmentNo,
+        dueDate: inst.dueDate,
+        daysLate,
+        overdueAmount,
+        accrued,
+        charged,
+        waived,
+        open: Math.max(0, round2(accrued - charged - waived)),
+      };
+    });
+
+  let newPenalty = round2(installments.reduce((sum, item) => sum + item.open, 0));
+  if (policy.maxPerLoan > 0) {
+    const alreadyCounted = loan.installments.reduce(
+      (sum, inst) => sum + (inst.penaltyCharged || 0) + (inst.penaltyWaived || 0),
+      0
+    );
+    newPenalty = Math.max(0, round2(Math.min(newPenalty, policy.maxPerLoan - alreadyCounted)));
+  }
+
+  return {
+    product: policy.product,
+    asOf,
+    installments,
+    newPenalty,
+    finesDue: loan.finesDue || 0,
+    totalFinesPayable: round2(newPenalty + (loan.finesDue || 0)),
+  };
+};
+
+// Mark `amount` of the open fees as charged or waived (field is
+// "penaltyCharged" or "penaltyWaived"), oldest installment first
+export const settlePenalty = (loan, penalty, amount, field) => {
+  let left = round2(amount);
+  for (const item of penalty.installments) {
+    if (left <= 0) break;
+    const share = round2(Math.min(left, item.open));
+    if (share <= 0) continue;
+    const inst = loan.installments.find((i) => i.installmentNo === item.installmentNo);
+    inst[field] = round2((inst[field] || 0) + share);
+    left = round2(left - share);
+  }
+  return round2(amount - left);
+};
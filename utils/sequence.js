@@ -0,0 +1,54 @@
+// utils/sequence.js
+// Bill numbers, customer IDs, receipt numbers, loan IDs and auction lot numbers.
+// Each series counts per branch and restarts at 1 in every financial year.
+import Counter from "../models/Counter.js";
+import FinancialYear from "../models/FinancialYear.js";
+import NumberFormat from "../models/NumberFormat.js";
+import { getSystemDate } from "./systemDate.js";
+
+export const SEQUENCE_DEFAULTS = {
+  billNo: { prefix: "GL", padding: 5, separator: "-", includeFinancialYear: true },
+  customerId: { prefix: "C", padding: 5, separator: "-", includeFinancialYear: true },
+  receiptNo: { prefix: "RCT", padding: 6, separator: "-", includeFinancialYear: true },
+  loanId: { prefix: "LOAN", padding: 5, separator: "-", includeFinancialYear: true },
+  lotNo: { prefix: "LOT", padding: 4, separator: "-", includeFinancialYear: true },
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Financial year a date falls in: the configured FinancialYear covering it,
+// else the April-March year it belongs to
+export const resolveFinancialYear = async (date) => {
+  const year = await FinancialYear.findOne({ startDate: { $lte: date } }).sort({ startDate: -1 });
+  if (year && date < new Date(year.endDate.getTime() + MS_PER_DAY)) {
+    return String(year.year);
+  }
+
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return String(startYear);
+};
+
+export const loadNumberFormat = async (name) => {
+  const format = await NumberFormat.findOne({ name }).lean();
+  return { ...SEQUENCE_DEFAULTS[name], ...(format || {}) };
+};
+
+export const formatNumber = (format, seq, { branch = "", financialYear = "" } = {}) =>
+  [format.prefix, branch, format.includeFinancialYear ? financialYear : "", String(seq).padStart(format.padding, "0")]
+    .filter(Boolean)
+    .join(format.separator);
+
+// Issue the next number in a series
+export const nextNumber = async (name, { branch = "", date } = {}) => {
+  if (!SEQUENCE_DEFAULTS[name]) {
+    throw new Error(`Unknown number series "${name}"`);
+  }
+
+  const asOf = date || (await getSystemDate());
+  const branchCode = (branch || "").trim().toUpperCase();
+  const financialYear = await resolveFinancialYear(asOf);
+  const format = await loadNumberFormat(name);
+  const counter = await Counter.increment(name, branchCode, financialYear);
+
+  return formatNumber(format, counter.seq, { branch: branchCode, financialYear });
+};
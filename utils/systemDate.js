@@ -0,0 +1,16 @@
+// utils/systemDate.js
+import DateTime from "../models/DateTime.js";
+
+// Current business date: the DateTime override when it is switched on, else real time
+export const getSystemDate = async () => {
+  try {
+    const dateTimeSetting = await DateTime.findOne().sort({ createdAt: -1 });
+    if (dateTimeSetting && dateTimeSetting.useCustomDate) {
+      return new Date(dateTimeSetting.customDateTime);
+    }
+    return new Date(); // Default to real time
+  } catch (error) {
+    console.error("Error getting system date:", error);
+    return new Date(); // Fallback to real time
+  }
+};
@@ -0,0 +1,217 @@
+// utils/valuation.js
+import JewelRate from "../models/jewelRate.js";
+import JewelRateHistory from "../models/JewelRateHistory.js";
+import LtvRule from "../models/LtvRule.js";
+
+// The current JewelRate is the per-gram rate for this purity of each metal;
+// items of other purities use their own posted rate or are scaled against it.
+export const REFERENCE_PURITY = { gold: "916", silver: "999" };
+
+// Used when no LtvRule has been configured for a metal
+export const DEFAULT_MAX_LTV = { gold: 75, silver: 70 };
+
+// Standard hallmark fineness for common karats
+const KARAT_FINENESS = { 24: 999, 23: 958, 22: 916, 20: 833, 18: 750, 14: 585, 10: 417, 9: 375 };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const httpError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Turn "22K", "22 KT", "916", "91.6", "0.916" into a fineness label and factor.
+// Returns null when the value cannot be understood.
+export const normalisePurity = (purity, metalType = "gold") => {
+  const raw = (purity ?? "").toString().trim().toUpperCase();
+  if (!raw) {
+    const label = REFERENCE_PURITY[metalType] || "999";
+    return { label, factor: parseInt(label) / 1000 };
+  }
+
+  const karatMatch = raw.match(/^(\d{1,2}(?:\.\d+)?)\s*(K|KT|KARAT|CT|CARAT)$/);
+  let fineness;
+  if (karatMatch) {
+    const karat = parseFloat(karatMatch[1]);
+    if (karat <= 0 || karat > 24) return null;
+    fineness = KARAT_FINENESS[karat] || Math.round((karat / 24) * 1000);
+  } else if (/^\d+(\.\d+)?$/.test(raw)) {
+    const value = parseFloat(raw);
+    if (value > 0 && value <= 1) fineness = Math.round(value * 1000); // 0.916
+    else if (value > 1 && value <= 100) fineness = Math.round(value * 10); // 91.6
+    else if (value > 100 && value <= 1000) fineness = Math.round(value); // 916
+    else return null;
+  } else {
+    return null;
+  }
+
+  return { label: String(fineness), factor: fineness / 1000 };
+};
+
+// Most specific rule wins: metal + purity, then metal default, then built-in default
+export const resolveMaxLtv = (metalType, purityLabel, rules = []) => {
+  const exact = rules.find((r) => r.metalType === metalType && r.purity === purityLabel);
+  if (exact) return exact.maxLtv;
+
+  const metalDefault = rules.find((r) => r.metalType === metalType && !r.purity);
+  if (metalDefault) return metalDefault.maxLtv;
+
+  return DEFAULT_MAX_LTV[metalType] ?? 0;
+};
+
+// Build one valuation line per weighed item. When the items carry no weights
+// the voucher's net weight is valued at the first item's purity.
+const buildLines = ({ jewelType, jewelryItems = [], netWeight }) => {
+  const weighed = jewelryItems.filter((item) => Number(item.netWeight) > 0);
+
+  if (weighed.length > 0) {
+    return weighed.map((item) => ({
+      name: item.name,
+      purity: item.purity || "",
+      netWeight: Number(item.netWeight),
+    }));
+  }
+
+  return [
+    {
+      name: jewelryItems.length === 1 ? jewelryItems[0].name : "All items",
+      purity: jewelryItems[0]?.purity || "",
+      netWeight: Number(netWeight) || 0,
+    },
+  ];
+};
+
+// Pure valuation: no database access, so it can be reused for previews.
+// purityRates holds rates posted for specific purities ({ "750": 4900 }); other
+// purities are scaled from the reference rate.
+export const valueJewelry = (voucherData, ratePerGram, rules = [], purityRates = {}) => {
+  const metalType = (voucherData.jewelType || "gold").toLowerCase();
+  const reference = normalisePurity("", metalType);
+  const lines = [];
+
+  for (const line of buildLines({ ...voucherData, jewelType: metalType })) {
+    const purity = normalisePurity(line.purity, metalType);
+    if (!purity) {
+      throw httpError(400, `Unrecognised purity "${line.purity}" for item ${line.name || ""}`.trim());
+    }
+
+    const maxLtv = resolveMaxLtv(metalType, purity.label, rules);
+    const lineRate = purityRates[purity.label] ?? ratePerGram * (purity.factor / reference.factor);
+    const value = line.netWeight * lineRate;
+
+    lines.push({
+      name: line.name,
+      purity: purity.label,
+      purityFactor: purity.factor,
+      netWeight: line.netWeight,
+      ratePerGram: round2(lineRate),
+      value: round2(value),
+      maxLtv,
+      eligibleAmount: Math.floor((value * maxLtv) / 100),
+    });
+  }
+
+  const appraisedValue = round2(lines.reduce((sum, l) => sum + l.value, 0));
+  const eligibleAmount = lines.reduce((sum, l) => sum + l.eligibleAmount, 0);
+
+  return {
+    metalType,
+    ratePerGram,
+    referencePurity: reference.label,
+    totalNetWeight: round2(lines.reduce((sum, l) => sum + l.netWeight, 0)),
+    appraisedValue,
+    eligibleAmount,
+    effectiveLtv: appraisedValue > 0 ? round2((eligibleAmount / appraisedValue) * 100) : 0,
+    lines,
+  };
+};
+
+// Rates in force on a date: the reference rate plus any purity-specific rates
+// posted since it. Falls back to the current JewelRate row for data saved
+// before rate history.
+const loadRates = async (metalType, asOf) => {
+  const byPurity = await JewelRateHistory.ratesOn(metalType, asOf, REFERENCE_PURITY[metalType]);
+  const reference = byPurity[REFERENCE_PURITY[metalType]];
+
+  const ratesSince = (since) => {
+    const purityRates = {};
+    Object.entries(byPurity).forEach(([label, entry]) => {
+      if (!since || entry.effectiveDate >= since) purityRates[label] = entry.rate;
+    });
+    return purityRates;
+  };
+
+  if (reference) {
+    return { rate: reference.rate, rateDate: reference.effectiveDate, purityRates: ratesSince(null) };
+  }
+
+  const jewelRate = await JewelRate.findOne({ metalType });
+  if (!jewelRate) return null;
+  return { rate: jewelRate.rate, rateDate: jewelRate.date, purityRates: ratesSince(jewelRate.date) };
+};
+
+// Appraise voucher data against the rate in force on the disbursement date
+// (today if none is given) and the LTV rules, and compare the requested loan
+// amount with what the jewellery supports.
+export const appraiseVoucher = async (voucherData) => {
+  const metalType = (voucherData.jewelType || "").toLowerCase();
+  if (!["gold", "silver"].includes(metalType)) {
+    throw httpError(400, "jewelType must be either 'gold' or 'silver'");
+  }
+
+  const now = new Date();
+  const disbursed = voucherData.disbursementDate ? new Date(voucherData.disbursementDate) : null;
+  const asOf = disbursed && !isNaN(disbursed.getTime()) && disbursed < now ? disbursed : now;
+
+  const rates = await loadRates(metalType, asOf);
+  if (!rates) {
+    throw httpError(400, `No ${metalType} rate has been set`);
+  }
+
+  const rules = await LtvRule.find({ metalType }).lean();
+  const valuation = valueJewelry(
+    { ...voucherData, jewelType: metalType },
+    rates.rate,
+    rules,
+    rates.purityRates
+  );
+
+  const requestedAmount = Number(voucherData.finalLoanAmount ?? voucherData.loanAmount ?? 0);
+  const requestedLtv =
+    valuation.appraisedValue > 0 ? round2((requestedAmount / valuation.appraisedValue) * 100) : 0;
+
+  return {
+    ...valuation,
+    rateDate: rates.rateDate,
+    requestedAmount,
+    requestedLtv,
+    exceedsLtv: requestedAmount > valuation.eligibleAmount,
+    excessAmount: Math.max(0, round2(requestedAmount - valuation.eligibleAmount)),
+  };
+};
+
+// Shape an appraisal into the immutable snapshot stored on the voucher
+export const toValuationSnapshot = (valuation, { appraisedBy, appraisedByName, appraisedAt } = {}) => {
+  const totalWeight = valuation.lines.reduce((sum, l) => sum + l.netWeight, 0);
+  const weightedFactor =
+    totalWeight > 0
+      ? valuation.lines.reduce((sum, l) => sum + l.purityFactor * l.netWeight, 0) / totalWeight
+      : 0;
+
+  return {
+    ratePerGram: valuation.ratePerGram,
+    referencePurity: valuation.referencePurity,
+    rateDate: valuation.rateDate,
+    purity: [...new Set(valuation.lines.map((l) => l.purity))].join(", "),
+    purityFactor: Math.round(weightedFactor * 10000) / 10000,
+    appraisedValue: valuation.appraisedValue,
+    eligibleAmount: valuation.eligibleAmount,
+    maxLtv: valuation.effectiveLtv,
+    ltvPercent: valuation.requestedLtv,
+    lines: valuation.lines,
+    appraisedBy: appraisedBy || undefined,
+    appraisedByName: appraisedByName || "",
+    appraisedAt: appraisedAt || new Date(),
+  };
+};